@@ -0,0 +1,50 @@
+const User = require('../models/user_schema');
+const AuthService = require('../services/AuthService');
+
+/**
+ * JWT Authentication Middleware
+ * Expects "Authorization: Bearer <token>" and attaches the member's
+ * User document as req.user. Routes must act on req.user, never on a
+ * user ID supplied in the request body.
+ */
+const authenticate = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      error: 'Authentication Required',
+      message: 'Provide a bearer token in the Authorization header.',
+      code: 'UNAUTHENTICATED'
+    });
+  }
+
+  let claims;
+  try {
+    claims = AuthService.verifyToken(token);
+  } catch (err) {
+    return res.status(401).json({
+      error: 'Invalid Token',
+      message: err.name === 'TokenExpiredError' ? 'Your session has expired. Please log in again.' : 'Token could not be verified.',
+      code: 'INVALID_TOKEN'
+    });
+  }
+
+  try {
+    const user = await User.findById(claims.sub);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid Token',
+        message: 'The account for this token no longer exists.',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+};
+
+module.exports = { authenticate };
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Circle = require('../models/Circles');
+
+/**
+ * Role-Based Access Control
+ * Two layers of roles:
+ * - Platform roles on User.role (Member, Admin)
+ * - Circle roles on Circle.members[].role (Organizer, Member)
+ *
+ * Platform Admins pass every circle-level check. Every denial answers
+ * 403 with code FORBIDDEN so clients can handle them uniformly.
+ * Must be mounted after `authenticate`.
+ */
+
+const deny = (res, message, requiredRoles) => res.status(403).json({
+  error: 'Forbidden',
+  message,
+  requiredRoles,
+  code: 'FORBIDDEN'
+});
+
+/**
+ * Require one of the given platform roles
+ * e.g. router.post('/reset', authenticate, requireRole('Admin'), ...)
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return deny(res, `This action requires one of the platform roles: ${roles.join(', ')}.`, roles);
+  }
+  next();
+};
+
+/**
+ * Allow the user named in req.params.id to act on their own record;
+ * anyone else needs one of the given platform roles.
+ */
+const requireSelfOrRole = (...roles) => (req, res, next) => {
+  const isSelf = req.user && req.user._id.toString() === req.params.id;
+  if (!isSelf && !(req.user && roles.includes(req.user.role))) {
+    return deny(res, `Only the account owner or one of the platform roles (${roles.join(', ')}) can do this.`, roles);
+  }
+  next();
+};
+
+/**
+ * Require one of the given roles within the target circle
+ * The circle is read from req.params.id or req.body.circleId and attached
+ * as req.circle for the handler.
+ */
+const requireCircleRole = (...roles) => async (req, res, next) => {
+  try {
+    const circleId = req.params.id || req.body.circleId;
+    const circle = mongoose.isValidObjectId(circleId) && await Circle.findById(circleId);
+
+    if (!circle) {
+      return res.status(404).json({ error: 'Circle not found' });
+    }
+
+    const isAdmin = req.user && req.user.role === 'Admin';
+    const circleRole = req.user && circle.roleOf(req.user._id);
+
+    if (!isAdmin && !roles.includes(circleRole)) {
+      return deny(res, `This action requires one of the circle roles: ${roles.join(', ')}.`, roles);
+    }
+
+    req.circle = circle;
+    next();
+  } catch (error) {
+    console.error('Authorization error:', error);
+    res.status(500).json({ error: 'Authorization failed' });
+  }
+};
+
+module.exports = { requireRole, requireSelfOrRole, requireCircleRole };
@@ -1,78 +1,38 @@
-const User = require('../models/user_schema');
+const TierPolicyService = require('../services/TierPolicyService');
+const { evaluateAdmission, admissionContext, admissionDecision } = require('../services/AdmissionRules');
 
 /**
- * Circle Join Validation Middleware
+ * Circle Entry Checks
  * Prevents high-risk users from entering ROSC pools
  */
-const validateCircleEntry = async (req, res, next) => {
-  try {
-    const { userId } = req.body; // or req.user.id from JWT
-    
-    const user = await User.findById(userId).select('+paymentToken');
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
 
-    // CHECK 1: Blacklist Status
-    if (user.status === 'Blacklisted') {
-      return res.status(403).json({
-        error: 'Account Blacklisted',
-        message: 'You cannot join Ajo circles due to excessive defaulted contributions. Please contact support.',
-        code: 'BLACKLISTED'
-      });
-    }
-
-    // CHECK 2: Active Debt Verification
-    const debt = parseFloat(user.wallet.debtBalance.toString());
-    if (debt > 0) {
-      return res.status(403).json({
-        error: 'Outstanding Debt',
-        message: `You have an unpaid debt of ₦${debt}. Please clear your debt before joining a new circle.`,
-        requiredPayment: debt,
-        code: 'ACTIVE_DEBT'
-      });
-    }
-
-    // CHECK 3: Frozen Account
-    if (user.status === 'Frozen') {
-      return res.status(403).json({
-        error: 'Account Frozen',
-        message: 'Your account is temporarily frozen. Complete verification to continue.',
-        code: 'FROZEN'
-      });
-    }
-
-    // CHECK 4: Tier Limits (Concurrent Circles)
-    const canJoin = user.canJoinCircle();
-    if (!canJoin.allowed) {
-      return res.status(403).json({
-        error: 'Tier Limit Reached',
-        message: canJoin.reason,
-        currentTier: user.userTier,
-        code: 'TIER_LIMIT'
-      });
-    }
+/**
+ * Eligibility checks for entering a circle
+ * Shared by circle creation, joins, slot takeovers and organizer approval
+ * of join requests, so nobody is admitted without passing them. Reports every
+ * failed check: the body carries the first failure's error/message/code
+ * plus the complete `failures` list.
+ *
+ * Runs under the tier policy in force, and records the tier outcome
+ * (circle limit and caps) as a TierDecision when a circle is named.
+ *
+ * Call it inside the transaction that admits the user, with the user
+ * loaded through `session`. The decision then commits or rolls back with
+ * the admission, and two admissions of the same user conflict on the user
+ * document: the retried one is checked again against the first.
+ *
+ * @returns {Promise<null|{ status: Number, body: Object }>} null when the user may join
+ */
+const checkCircleEntry = async (user, circle, session) => {
+  if (!user) return { status: 404, body: { error: 'User not found' } };
 
-    // CHECK 5: Minimum Trust Score (Optional additional safety)
-    if (user.trustScore < 350) {
-      return res.status(403).json({
-        error: 'Trust Score Too Low',
-        message: 'Your reputation score is below the threshold to join new circles. Improve your score by completing existing cycles.',
-        currentScore: user.trustScore,
-        requiredScore: 350,
-        code: 'LOW_TRUST'
-      });
-    }
+  const context = await admissionContext(user, session);
+  const verdict = evaluateAdmission(user, circle, context);
+  if (circle) await TierPolicyService.record([admissionDecision(user, circle, context, verdict)], session);
 
-    // Attach user to request for downstream use
-    req.userData = user;
-    next();
-    
-  } catch (error) {
-    console.error('Circle validation error:', error);
-    res.status(500).json({ error: 'Validation failed' });
-  }
+  const { eligible, failures } = verdict;
+  if (eligible) return null;
+  return { status: 403, body: { ...failures[0], failures } };
 };
 
-module.exports = { validateCircleEntry };
\ No newline at end of file
+module.exports = { checkCircleEntry };
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+/**
+ * Idempotency-Key Middleware
+ * Mount on every money-moving route, after `authenticate`.
+ *
+ * - No header: the request runs normally.
+ * - First request with a key: runs, and its response is stored.
+ * - Replay with the same key and body: the stored response is returned
+ *   with an `Idempotent-Replayed: true` header; the handler does not run.
+ * - Same key, different request: 422 IDEMPOTENCY_KEY_MISMATCH.
+ * - Same key while the first request is still running: 409 IDEMPOTENCY_IN_PROGRESS.
+ *
+ * Only 2xx responses are stored. Any other outcome - an error status or a
+ * handler that throws past res.json - releases the key, so the client may
+ * retry with it. A claim left behind by a request that never answered (the
+ * process died mid-request) goes stale after IDEMPOTENCY_STALE_SECONDS
+ * (default 120, past MongoDB's 60 second transaction limit, so a transaction
+ * the original request started can no longer commit) and the next retry takes it over.
+ * Records are kept for IDEMPOTENCY_TTL_HOURS (default 24).
+ */
+
+const ttlMs = () => (parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const staleMs = () => (parseFloat(process.env.IDEMPOTENCY_STALE_SECONDS) || 120) * 1000;
+
+// JSON with sorted keys, so {a,b} and {b,a} fingerprint the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const fingerprintOf = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * Claim the key for this request
+ * @returns {{ lockedAt: Date } | { existing: Object }} our claim, or the record that already holds the key
+ */
+async function claim(req, key, fingerprint) {
+  const lockedAt = new Date();
+  const fields = {
+    key,
+    user: req.user._id,
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    fingerprint,
+    lockedAt,
+    expiresAt: new Date(lockedAt.getTime() + ttlMs())
+  };
+
+  try {
+    await IdempotencyKey.create(fields);
+    return { lockedAt };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+  if (!existing) return claim(req, key, fingerprint); // Released in the meantime
+
+  // The TTL monitor only runs once a minute; treat a lapsed record as gone
+  if (existing.expiresAt < lockedAt) {
+    await IdempotencyKey.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt });
+    return claim(req, key, fingerprint);
+  }
+
+  // Take over a claim whose request died without answering
+  const stale = existing.status === 'InProgress'
+    && existing.fingerprint === fingerprint
+    && lockedAt - existing.lockedAt > staleMs();
+  if (stale) {
+    const { modifiedCount } = await IdempotencyKey.updateOne(
+      { _id: existing._id, status: 'InProgress', lockedAt: existing.lockedAt },
+      { lockedAt, expiresAt: fields.expiresAt }
+    );
+    if (modifiedCount === 1) return { lockedAt };
+  }
+  return { existing };
+}
+
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      error: 'Invalid Idempotency Key',
+      message: 'Idempotency-Key must be at most 255 characters.',
+      code: 'IDEMPOTENCY_KEY_INVALID'
+    });
+  }
+
+  try {
+    const fingerprint = fingerprintOf(req);
+    const { existing, lockedAt } = await claim(req, key, fingerprint);
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          error: 'Idempotency Key Reused',
+          message: 'This Idempotency-Key was already used for a different request.',
+          code: 'IDEMPOTENCY_KEY_MISMATCH'
+        });
+      }
+
+      if (existing.status === 'InProgress') {
+        return res.status(409).json({
+          error: 'Request In Progress',
+          message: 'A request with this Idempotency-Key is still being processed. Retry shortly.',
+          code: 'IDEMPOTENCY_IN_PROGRESS'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+
+    // Only touch the record while this request still holds the claim
+    const ours = { user: req.user._id, key, status: 'InProgress', lockedAt };
+    const release = () => IdempotencyKey.deleteOne(ours)
+      .catch(err => console.error('Idempotency release failed:', err));
+    let answered = false;
+
+    // Store a 2xx response before it goes out; release the key on anything else
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      answered = true;
+      const statusCode = res.statusCode;
+      const persist = statusCode < 200 || statusCode >= 300
+        ? IdempotencyKey.deleteOne(ours)
+        : IdempotencyKey.updateOne(ours, {
+          status: 'Completed',
+          // Store exactly what the client receives (documents, ObjectIds and Decimal128 serialised)
+          response: { statusCode, body: JSON.parse(JSON.stringify(body)) }
+        });
+
+      persist
+        .catch(err => console.error('Idempotency record update failed:', err))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    // The handler threw to the error handler or answered without res.json.
+    // If instead the client went away mid-request, the handler is still
+    // running: keep the claim so a retry waits for its answer (res.json above
+    // still records it) rather than moving the money a second time.
+    res.on('close', () => {
+      if (!answered && res.writableFinished) release();
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({ error: 'Idempotency check failed' });
+  }
+};
+
+module.exports = { idempotent };
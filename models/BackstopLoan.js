@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Backstop Loan
+ * What a member owes the backstop reserve: a missed contribution the
+ * reserve covered at payout (plus the circle's penalty), or the part of a
+ * dissolution settlement they could not pay back. Repayments settle loans
+ * oldest first, principal before penalty (services/DebtService).
+ *
+ * Loans used to live in BackstopReserve.activeLoans; services/BackstopService
+ * moves any left there into this collection at startup.
+ */
+const LOAN_KINDS = [
+  'Default',               // Missed contribution covered by the reserve at payout
+  'SettlementObligation'   // Overpayment a dissolved circle's member could not return
+];
+
+const BackstopLoanSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: LOAN_KINDS,
+    default: 'Default'
+  },
+
+  circle: { type: mongoose.Schema.Types.ObjectId, ref: 'Circle' },
+
+  defaultedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  amount: {
+    type: mongoose.Types.Decimal128,
+    required: true,
+    description: 'Principal lent to cover the missed contribution'
+  },
+
+  penalty: { type: mongoose.Types.Decimal128, default: 0 },
+  principalRecovered: { type: mongoose.Types.Decimal128, default: 0 },
+  penaltyRecovered: { type: mongoose.Types.Decimal128, default: 0 },
+
+  recovered: { type: Boolean, default: false },
+  recoveredAt: Date,
+
+  eventRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    description: 'Journal eventRef of the payout or dissolution that created the loan'
+  },
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+BackstopLoanSchema.index({ defaultedUser: 1, recovered: 1, createdAt: 1 });
+BackstopLoanSchema.index({ circle: 1, recovered: 1 });
+BackstopLoanSchema.index({ recovered: 1, createdAt: 1 });
+
+module.exports = mongoose.model('BackstopLoan', BackstopLoanSchema);
+module.exports.LOAN_KINDS = LOAN_KINDS;
@@ -3,7 +3,12 @@ const mongoose = require('mongoose');
 /**
  * Platform Insurance Fund
  * Acts as liquidity buffer when circle members default.
- * Funded by 1.5% fees from every payout across all circles.
+ * Funded by platform fees from every circle (1.5% of each payout by
+ * default), and replenished as defaulters repay their loans (principal
+ * plus the penalty, which is income to the reserve).
+ *
+ * Loans themselves are BackstopLoan documents; reporting is in
+ * services/BackstopService.
  */
 const BackstopReserveSchema = new mongoose.Schema({
   balance: {
@@ -17,14 +22,24 @@ const BackstopReserveSchema = new mongoose.Schema({
     default: 0,
     description: 'Cumulative amount ever borrowed to cover shortfalls'
   },
-  
-  activeLoans: [{
-    circle: { type: mongoose.Schema.Types.ObjectId, ref: 'Circle' },
-    amount: mongoose.Types.Decimal128,
-    defaultedUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    recovered: { type: Boolean, default: false },
-    createdAt: { type: Date, default: Date.now }
-  }]
+
+  totalRecovered: {
+    type: mongoose.Types.Decimal128,
+    default: 0,
+    description: 'Cumulative loan principal repaid by defaulters'
+  },
+
+  penaltyIncome: {
+    type: mongoose.Types.Decimal128,
+    default: 0,
+    description: 'Cumulative default penalties collected'
+  },
+
+  lateFeeIncome: {
+    type: mongoose.Types.Decimal128,
+    default: 0,
+    description: 'Cumulative late fees on contributions made during grace periods'
+  }
 });
 
 module.exports = mongoose.model('BackstopReserve', BackstopReserveSchema);
\ No newline at end of file
@@ -1,6 +1,52 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 const { Decimal128 } = mongoose.Types;
+const { PAYOUT_STRATEGIES } = require('../utils/payoutOrder');
+const { USER_TIERS, KYC_LEVELS } = require('./user_schema');
+const money = require('../utils/money');
+const fees = require('../utils/fees');
+
+// What a payout does when the backstop reserve cannot cover its shortfall
+const BACKSTOP_POLICIES = [
+  'Pause',          // Pause the circle and notify the organizers
+  'PartialPayout',  // Pay out what was collected; the reserve owes the recipient the rest (an IOU)
+  'Delay'           // Reopen the round for one more grace period, then pause
+];
+const BACKSTOP_OUTCOMES = ['Paused', 'PartialPayout', 'Delayed'];
+
+// Platform fee for this circle (see utils/fees); fixed when the circle is created
+const FeeScheduleSchema = new Schema({
+  type: { type: String, enum: fees.FEE_TYPES, default: 'Flat' },
+  rateBps: { type: Number, default: fees.DEFAULT_FEE_SCHEDULE.rateBps, min: 0, max: 1000 },
+  bands: {
+    type: [{
+      _id: false,
+      upTo: { type: Decimal128, default: null },
+      rateBps: { type: Number, required: true, min: 0, max: 1000 }
+    }],
+    validate: {
+      validator: function(bands) {
+        if (this.type !== 'Tiered') return true;
+        if (!bands.length || bands[bands.length - 1].upTo !== null) return false;
+        const limits = bands.slice(0, -1).map(b => b.upTo === null ? NaN : money.toKobo(b.upTo));
+        return limits.every((limit, i) => limit > (i ? limits[i - 1] : 0));
+      },
+      message: 'Tiered fees need bands with increasing upTo amounts, ending with an open band (upTo: null)'
+    }
+  },
+  chargedTo: { type: String, enum: fees.FEE_PAYERS, default: 'Recipient' },
+  waiver: {
+    reason: String,
+    endsAt: Date
+  }
+}, { _id: false });
+
+// Default penalty for this circle (see utils/fees); fixed when the circle is created
+const PenaltyScheduleSchema = new Schema({
+  rateBps: { type: Number, default: fees.DEFAULT_PENALTY_SCHEDULE.rateBps, min: 0, max: 2000 },
+  fixed: { type: Decimal128, default: 0 },
+  max: { type: Decimal128, default: null }
+}, { _id: false });
 
 /**
  * Ajo Circle (ROSCA) Schema
@@ -18,7 +64,7 @@ const CircleSchema = new Schema({
   contributionAmount: {
     type: Decimal128,
     required: true,
-    description: 'Fixed amount each member pays per cycle (in kobo/Naira)'
+    description: 'Fixed amount each member pays per cycle (Naira; computed in kobo via utils/money)'
   },
 
   totalPot: {
@@ -34,6 +80,93 @@ const CircleSchema = new Schema({
     description: 'Contribution collection interval'
   },
 
+  feeSchedule: {
+    type: FeeScheduleSchema,
+    default: () => ({}),
+    immutable: true,
+    description: 'Platform fee: flat or tiered, charged to the recipient or split across contributors, optionally waived'
+  },
+
+  penaltySchedule: {
+    type: PenaltyScheduleSchema,
+    default: () => ({}),
+    immutable: true,
+    description: 'Penalty added to a defaulter\'s debt'
+  },
+
+  // Capacity: the circle starts on its own once maxMembers have joined,
+  // or earlier by the organizer once it has at least minMembers
+  maxMembers: {
+    type: Number,
+    default: 12,
+    min: [2, 'A circle needs room for at least 2 members'],
+    max: [100, 'A circle cannot exceed 100 members'],
+    description: 'Capacity; reaching it starts the circle'
+  },
+
+  minMembers: {
+    type: Number,
+    default: 2,
+    min: [2, 'A circle needs at least 2 members to start'],
+    validate: {
+      validator: function(value) { return value <= this.maxMembers; },
+      message: 'minMembers cannot exceed maxMembers'
+    },
+    description: 'Members required before the organizer can start the circle'
+  },
+
+  // Access: Public circles can be joined by anyone who finds them; Private
+  // circles only through an invite code. Either way, approvalRequired
+  // turns joins into requests the organizer approves or rejects.
+  visibility: {
+    type: String,
+    enum: ['Public', 'Private'],
+    default: 'Public'
+  },
+
+  approvalRequired: {
+    type: Boolean,
+    default: false,
+    description: 'Joins become join requests for the organizer to decide'
+  },
+
+  // Organizer's entry requirements, on top of the platform checks
+  // (evaluated by services/AdmissionRules)
+  admissionRules: {
+    minTrustScore: { type: Number, min: 300, max: 850 },
+    allowedTiers: [{ type: String, enum: USER_TIERS }],
+    maxContributionByTier: {
+      Bronze: Decimal128,
+      Silver: Decimal128,
+      Gold: Decimal128
+    },
+    minKycLevel: { type: Number, enum: KYC_LEVELS }
+  },
+
+  invites: [{
+    code: { type: String, required: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    expiresAt: Date,
+    maxUses: { type: Number, min: 1 },
+    uses: { type: Number, default: 0 },
+    revokedAt: Date,
+    createdAt: { type: Date, default: Date.now }
+  }],
+
+  joinRequests: [{
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    status: {
+      type: String,
+      enum: ['Pending', 'Approved', 'Rejected'],
+      default: 'Pending'
+    },
+    inviteCode: String,
+    message: { type: String, maxlength: 280 },
+    requestedAt: { type: Date, default: Date.now },
+    decidedAt: Date,
+    decidedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+  }],
+
   // Rotation Mechanics
   payoutOrder: [{
     type: Schema.Types.ObjectId,
@@ -41,6 +174,40 @@ const CircleSchema = new Schema({
     description: 'Strict queue: index 0 receives first, index 1 second, etc.'
   }],
 
+  payoutStrategy: {
+    type: String,
+    enum: PAYOUT_STRATEGIES,
+    default: 'JoinOrder',
+    description: 'How payoutOrder is fixed when the circle becomes Active (see utils/payoutOrder)'
+  },
+
+  assignedOrder: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    description: 'Organizer-chosen order for the OrganizerAssigned strategy'
+  }],
+
+  // Audit trail for RandomDraw: replaying seededShuffle(candidates, seed) reproduces `order`,
+  // and applying payoutOrderAmendments to that gives today's payoutOrder
+  payoutDraw: {
+    algorithm: String,
+    seed: String,
+    candidates: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+    order: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+    drawnAt: Date
+  },
+
+  // Changes to payoutOrder after the circle started, oldest first (utils/payoutOrder applyAmendments)
+  payoutOrderAmendments: [{
+    kind: { type: String, enum: ['Removed', 'Replaced'], required: true },
+    slot: { type: Number, required: true, description: 'Index in payoutOrder when the change was made' },
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    replacement: { type: Schema.Types.ObjectId, ref: 'User', description: 'Who took over the slot (Replaced)' },
+    by: { type: Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    at: { type: Date, default: Date.now }
+  }],
+
   currentTurn: {
     type: Number,
     default: 0,
@@ -60,6 +227,12 @@ const CircleSchema = new Schema({
       ref: 'User',
       required: true
     },
+    role: {
+      type: String,
+      enum: ['Organizer', 'Member'],
+      default: 'Member',
+      description: 'Organizer runs the circle (payouts, defaults); Member contributes'
+    },
     joinedAt: {
       type: Date,
       default: Date.now
@@ -67,7 +240,7 @@ const CircleSchema = new Schema({
     // Current cycle payment status
     paymentStatus: {
       type: String,
-      enum: ['Pending', 'Paid', 'Defaulted', 'Excused'],
+      enum: ['Pending', 'Paid', 'Defaulted'],
       default: 'Pending'
     },
     lastPaymentDate: Date,
@@ -75,6 +248,56 @@ const CircleSchema = new Schema({
       type: Number,
       default: 0,
       description: 'Historical count of successful contributions'
+    },
+    bid: {
+      type: Decimal128,
+      default: 0,
+      description: 'Bidding strategy: discount this member gives up from their payout for an earlier slot'
+    },
+    roundsDefaulted: {
+      type: Number,
+      default: 0,
+      description: 'Rounds the backstop covered for this member (owed back through their debt)'
+    },
+    payoutReceived: {
+      type: Decimal128,
+      default: 0,
+      description: 'Gross pot received (after any bid given up) plus bid shares; used to settle a dissolution'
+    },
+    withheldBalance: {
+      type: Decimal128,
+      default: 0,
+      description: 'Part of this member\'s payout held in their vault until the circle completes'
+    },
+    prepaidRounds: {
+      type: Number,
+      default: 0,
+      description: 'Future contributions already escrowed by a lump-sum exit; each round starts Paid while any remain'
+    },
+    exitedAt: {
+      type: Date,
+      description: 'Set when a paid-out member leaves after settling their remaining contributions'
+    },
+    lateContributions: {
+      type: Number,
+      default: 0,
+      description: 'Contributions made during a grace period (also counted in totalContributionsMade)'
+    },
+    lateHistory: [{
+      round: Number,
+      dueAt: Date,
+      paidAt: Date,
+      fee: Decimal128
+    }],
+    lastRemindedAt: Date,
+    roundFeePaid: {
+      type: Decimal128,
+      default: 0,
+      description: 'Platform fee share paid with this round\'s contribution (Contributors fee schedules)'
+    },
+    exitRequest: {
+      requestedAt: Date,
+      nominee: { type: Schema.Types.ObjectId, ref: 'User', description: 'Only this user may take over the slot, if set' }
     }
   }],
 
@@ -82,7 +305,7 @@ const CircleSchema = new Schema({
   backstopBalance: {
     type: Decimal128,
     default: 0,
-    description: 'Accumulated 1.5% fees from this specific circle'
+    description: 'Accumulated platform fees from this specific circle'
   },
 
   totalFeesCollected: {
@@ -94,23 +317,120 @@ const CircleSchema = new Schema({
   // State Management
   status: {
     type: String,
-    enum: ['Forming', 'Active', 'Paused', 'Completed', 'Defaulted'],
+    enum: ['Forming', 'Active', 'Paused', 'Completed', 'Defaulted', 'Dissolved'],
     default: 'Forming',
-    description: 'Forming=not full yet, Active=rotating, Paused=intervention needed'
+    description: 'Forming=not full yet, Active=rotating, Paused=intervention needed, Dissolved=wound up early'
   },
 
+  pausedAt: Date,
+  pauseReason: String,
+
+  // Late contributions
+  gracePeriodHours: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 336,
+    description: 'How long after the due date late contributions are accepted before anyone is defaulted (0 = none)'
+  },
+
+  lateFeeBps: {
+    type: Number,
+    default: 200,
+    min: 0,
+    max: 499,
+    description: 'Fee on a late contribution in basis points; below the 5% default penalty'
+  },
+
+  graceEndsAt: {
+    type: Date,
+    description: 'Set when a round falls due with contributions outstanding; cleared at payout'
+  },
+
+  // Backstop shortfalls (CycleManager.holdPayout)
+  backstopPolicy: {
+    type: String,
+    enum: BACKSTOP_POLICIES,
+    default: 'Pause',
+    description: 'What a payout does when the backstop reserve cannot cover the round\'s missing contributions'
+  },
+
+  backstopOutcomes: [{
+    round: Number,
+    policy: { type: String, enum: BACKSTOP_POLICIES },
+    outcome: { type: String, enum: BACKSTOP_OUTCOMES, required: true },
+    recipient: { type: Schema.Types.ObjectId, ref: 'User' },
+    shortfall: Decimal128,
+    reserveBalance: { type: Decimal128, description: 'What the reserve held, including the round\'s own fee' },
+    paidOut: { type: Decimal128, description: 'PartialPayout: the collected pot paid to the recipient' },
+    delayedUntil: Date,
+    payoutRef: Schema.Types.ObjectId,
+    at: { type: Date, default: Date.now }
+  }],
+
+  payoutIous: [{
+    recipient: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    round: Number,
+    amount: { type: Decimal128, required: true, description: 'Part of the pot the reserve could not cover' },
+    settled: { type: Decimal128, default: 0 },
+    settledAt: Date,
+    cancelledAt: { type: Date, description: 'Set when a dissolution squares up what the IOU still owed' },
+    payoutRef: Schema.Types.ObjectId,
+    createdAt: { type: Date, default: Date.now }
+  }],
+
   startDate: Date,
   expectedEndDate: Date,
 
   // Metadata for reconciliation
   lastPayoutDate: Date,
-  nextPayoutDate: Date
+  nextPayoutDate: Date,
+
+  // Settlement reports for removals, exits, replacements and dissolution (services/SettlementService)
+  settlements: [{
+    kind: { type: String, enum: ['Removal', 'Exit', 'LumpSum', 'Replacement', 'Dissolution'], required: true },
+    settledAt: { type: Date, default: Date.now },
+    settledBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    replacedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    lines: [{
+      user: { type: Schema.Types.ObjectId, ref: 'User' },
+      paidIn: Decimal128,
+      received: Decimal128,
+      escrowRefunded: Decimal128,
+      exitFee: Decimal128,
+      lumpSum: Decimal128,
+      platformFee: Decimal128,
+      buyIn: Decimal128,
+      withheldApplied: Decimal128,
+      withheldReleased: Decimal128,
+      obligationCharged: Decimal128,
+      refundFromCircle: Decimal128,
+      refundFromReserve: Decimal128
+    }],
+    totals: {
+      escrowRefunded: Decimal128,
+      refundFromCircle: Decimal128,
+      refundFromReserve: Decimal128,
+      obligationCharged: Decimal128
+    }
+  }],
+
+  contributionWindowClosedAt: {
+    type: Date,
+    description: 'Set when the scheduler closes collection for the current round; cleared at payout'
+  }
 
 }, {
   timestamps: true,
   toJSON: { virtuals: true }
 });
 
+// Virtual: Whether the circle has reached capacity
+CircleSchema.virtual('isFull').get(function() {
+  return this.members.length >= this.maxMembers;
+});
+
 // Virtual: Calculate actual collected amount vs expected
 CircleSchema.virtual('collectionRate').get(function() {
   const paidCount = this.members.filter(m => m.paymentStatus === 'Paid').length;
@@ -123,8 +443,95 @@ CircleSchema.virtual('currentRecipient').get(function() {
   return this.payoutOrder[this.currentTurn % this.payoutOrder.length];
 });
 
+// Virtual: Payouts made so far, i.e. the number of the round being collected
+CircleSchema.virtual('payoutsMade').get(function() {
+  return this.cycleCount * this.payoutOrder.length + this.currentTurn;
+});
+
+// Virtual: End of the current round's grace period (due date + gracePeriodHours)
+CircleSchema.virtual('graceDeadline').get(function() {
+  if (this.graceEndsAt) return this.graceEndsAt;
+  if (!this.nextPayoutDate) return undefined;
+  return new Date(this.nextPayoutDate.getTime() + (this.gracePeriodHours || 0) * 60 * 60 * 1000);
+});
+
+// Virtual: Member entries with the Organizer role
+CircleSchema.virtual('organizers').get(function() {
+  return this.members.filter(m => m.role === 'Organizer');
+});
+
+/**
+ * Circle-level role of a user, or null if they are not a member
+ */
+CircleSchema.methods.roleOf = function(userId) {
+  const member = this.members.find(m => (m.user._id || m.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+/**
+ * Whether the current round is in its grace period at `now`
+ * Starts at the due date (nextPayoutDate) and runs for gracePeriodHours.
+ */
+CircleSchema.methods.inGracePeriod = function(now = new Date()) {
+  if (!this.gracePeriodHours || !this.nextPayoutDate || now <= this.nextPayoutDate) return false;
+  return now < this.graceDeadline;
+};
+
+/**
+ * Platform fee on `base` kobo under this circle's schedule (see utils/fees)
+ */
+CircleSchema.methods.feeFor = function(base, now = new Date()) {
+  return fees.feeFor(this.feeSchedule, base, now);
+};
+
+/**
+ * Fee share each contributor pays per round (0 unless the fee is charged to contributors)
+ */
+CircleSchema.methods.contributorFeeShare = function(now = new Date()) {
+  return fees.contributorShare(this.feeSchedule, money.toKobo(this.totalPot), this.members.length, now);
+};
+
+/**
+ * Penalty on a missed contribution of `base` kobo under this circle's schedule
+ */
+CircleSchema.methods.penaltyFor = function(base) {
+  return fees.penaltyFor(this.penaltySchedule, base);
+};
+
+/**
+ * What the reserve still owes on a payout IOU (kobo)
+ */
+CircleSchema.methods.iouDue = function(iou) {
+  if (iou.cancelledAt) return 0;
+  return money.subtract(money.toKobo(iou.amount), money.toKobo(iou.settled));
+};
+
+/**
+ * Invite matching `code` that can still be used at `now`, or null
+ */
+CircleSchema.methods.usableInvite = function(code, now = new Date()) {
+  const invite = this.invites.find(i => i.code === code);
+  if (!invite || invite.revokedAt) return null;
+  if (invite.expiresAt && invite.expiresAt <= now) return null;
+  if (invite.maxUses && invite.uses >= invite.maxUses) return null;
+  return invite;
+};
+
+// Membership can never outgrow capacity
+CircleSchema.pre('validate', function(next) {
+  if (this.members.length > this.maxMembers) {
+    return next(new Error(`Circle is full (${this.maxMembers} members)`));
+  }
+  if (this.backstopPolicy === 'Delay' && !this.gracePeriodHours) {
+    return next(new Error('The Delay backstop policy needs a grace period (gracePeriodHours)'));
+  }
+  next();
+});
+
 // Index for efficient queries
 CircleSchema.index({ status: 1, nextPayoutDate: 1 });
 CircleSchema.index({ 'members.user': 1 });
+CircleSchema.index({ 'invites.code': 1 }, { unique: true, partialFilterExpression: { 'invites.code': { $exists: true } } });
 
-module.exports = mongoose.model('Circle', CircleSchema);
\ No newline at end of file
+module.exports = mongoose.model('Circle', CircleSchema);
+module.exports.BACKSTOP_POLICIES = BACKSTOP_POLICIES;
\ No newline at end of file
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { Decimal128 } = mongoose.Types;
+
+/**
+ * Cycle Records (Immutable)
+ * One per payout, written in the payout's transaction: who was paid, for
+ * which turn of the rotation, how the pot was split, and where every
+ * member stood that round. Members use them to check the rotation was
+ * honoured long after currentTurn has moved on.
+ *
+ * Rounds are numbered from 0, like a circle's payoutsMade.
+ */
+const MemberStatusSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  paymentStatus: {
+    type: String,
+    enum: ['Paid', 'Defaulted', 'Pending'],
+    required: true
+  },
+  late: { type: Boolean, default: false, description: 'Paid during the grace period' },
+  lateFee: { type: Decimal128, default: 0 },
+  feePaid: { type: Decimal128, default: 0, description: 'Platform fee share paid with the contribution (Contributors fee schedules)' }
+}, { _id: false });
+
+const CycleRecordSchema = new Schema({
+  circle: {
+    type: Schema.Types.ObjectId,
+    ref: 'Circle',
+    required: true,
+    immutable: true
+  },
+
+  round: { type: Number, required: true, min: 0, immutable: true },
+  cycle: { type: Number, required: true, min: 0, immutable: true, description: 'Full rotations completed before this payout' },
+  turn: { type: Number, required: true, min: 0, immutable: true, description: 'Position in the payout order' },
+
+  recipient: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+
+  dueAt: { type: Date, immutable: true, description: 'Scheduled payout date' },
+  paidAt: { type: Date, required: true, immutable: true },
+
+  // Amounts as in the payout result (Naira)
+  amounts: {
+    type: new Schema({
+      gross: Decimal128,
+      platformFee: Decimal128,
+      feeChargedTo: String,
+      net: Decimal128,
+      bidDiscount: Decimal128,
+      withheldInVault: Decimal128,
+      availableNow: Decimal128,
+      backstopLoan: Decimal128,
+      iou: Decimal128
+    }, { _id: false }),
+    immutable: true
+  },
+
+  defaultsCovered: { type: Number, default: 0, immutable: true },
+  tierPolicyVersion: { type: Number, immutable: true },
+
+  members: {
+    type: [MemberStatusSchema],
+    immutable: true
+  },
+
+  payoutRef: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    immutable: true,
+    description: 'Journal eventRef shared by every entry of the payout'
+  },
+
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+CycleRecordSchema.index({ circle: 1, round: 1 }, { unique: true });
+CycleRecordSchema.index({ recipient: 1, paidAt: -1 });
+
+CycleRecordSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Cycle records are immutable'));
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+].forEach(op => CycleRecordSchema.pre(op, function() {
+  throw new Error('Cycle records are immutable');
+}));
+
+module.exports = mongoose.model('CycleRecord', CycleRecordSchema);
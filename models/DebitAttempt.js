@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * Direct Debit Attempt
+ * One record per charge sent to the payment provider on a member's stored
+ * card, so support can see every try, its outcome and when the next one
+ * is due. Attempts are grouped by (circle, user, round).
+ */
+const DebitAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  circle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Circle',
+    required: true
+  },
+
+  round: {
+    type: Number,
+    required: true,
+    description: 'Payout number within the circle (cycleCount × members + currentTurn)'
+  },
+
+  attempt: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  amount: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+
+  provider: String,
+
+  reference: {
+    type: String,
+    required: true,
+    unique: true,
+    description: 'Our reference, sent to the provider so a retried request is never charged twice'
+  },
+
+  providerReference: String,
+
+  status: {
+    type: String,
+    enum: ['Pending', 'Succeeded', 'Failed'],
+    default: 'Pending'
+  },
+
+  failureReason: String,
+
+  retryable: {
+    type: Boolean,
+    default: false
+  },
+
+  nextRetryAt: {
+    type: Date,
+    description: 'Earliest time the next attempt may run (exponential backoff)'
+  }
+}, {
+  timestamps: true
+});
+
+DebitAttemptSchema.index({ circle: 1, user: 1, round: 1, attempt: 1 }, { unique: true });
+
+module.exports = mongoose.model('DebitAttempt', DebitAttemptSchema);
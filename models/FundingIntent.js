@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Funding Intent (Wallet Deposit)
+ * Created when a member asks to top up their wallet, before any money
+ * moves. The provider's webhook later settles it; the wallet is credited
+ * only on the Pending -> Succeeded transition, so replayed or duplicated
+ * webhooks never credit twice.
+ */
+const FundingIntentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  amount: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+
+  provider: {
+    type: String,
+    required: true
+  },
+
+  reference: {
+    type: String,
+    required: true,
+    unique: true,
+    description: 'Our reference, sent to the provider at checkout'
+  },
+
+  providerReference: {
+    type: String,
+    description: 'Provider transaction ID, set once when the webhook settles the intent'
+  },
+
+  authorizationUrl: String,
+
+  status: {
+    type: String,
+    enum: ['Pending', 'Succeeded', 'Failed'],
+    default: 'Pending'
+  },
+
+  failureReason: String,
+
+  paidAt: Date
+}, {
+  timestamps: true
+});
+
+// One credit per provider transaction, even across different intents
+FundingIntentSchema.index(
+  { provider: 1, providerReference: 1 },
+  { unique: true, partialFilterExpression: { providerReference: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('FundingIntent', FundingIntentSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Idempotency Record
+ * Remembers the outcome of a money-moving request sent with an
+ * Idempotency-Key header, so a retried request (flaky mobile network,
+ * double click) replays the original response instead of moving money
+ * twice. Records expire automatically via the TTL index on expiresAt.
+ */
+const IdempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    maxlength: 255
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    description: 'Keys are scoped per user, so two members can never collide'
+  },
+
+  method: String,
+  path: String,
+
+  fingerprint: {
+    type: String,
+    required: true,
+    description: 'SHA-256 of method, path and body; a reused key must match it'
+  },
+
+  status: {
+    type: String,
+    enum: ['InProgress', 'Completed'],
+    default: 'InProgress'
+  },
+
+  lockedAt: {
+    type: Date,
+    default: Date.now,
+    description: 'When the current request claimed the key; an InProgress claim older than IDEMPOTENCY_STALE_SECONDS may be taken over'
+  },
+
+  response: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+IdempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
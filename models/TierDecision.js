@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Tier Decisions (Immutable)
+ * One entry each time a member's tier was applied: assigning the tier
+ * itself, an admission check against the tier's circle limit and money
+ * caps, or the withholding rate on a payout. Each records the tier policy
+ * version it used, so any outcome can be explained after the policy has
+ * changed. Version 0 is the built-in default policy.
+ */
+const TIER_DECISION_KINDS = [
+  'TierAssignment',   // Member's tier set from their trust score
+  'Admission',        // Circle limit and contribution/exposure caps checked on entry
+  'Withholding'       // Payout withholding rate applied
+];
+
+const TierDecisionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+
+  kind: {
+    type: String,
+    enum: TIER_DECISION_KINDS,
+    required: true,
+    immutable: true
+  },
+
+  policyVersion: {
+    type: Number,
+    required: true,
+    min: 0,
+    immutable: true
+  },
+
+  tier: {
+    type: String,
+    required: true,
+    immutable: true,
+    description: 'Tier the decision was made for'
+  },
+
+  outcome: {
+    type: String,
+    enum: ['Applied', 'Allowed', 'Denied'],
+    required: true,
+    immutable: true
+  },
+
+  circle: {
+    type: Schema.Types.ObjectId,
+    ref: 'Circle',
+    immutable: true
+  },
+
+  details: {
+    type: Schema.Types.Mixed,
+    immutable: true,
+    description: 'Inputs and limits behind the outcome (score, rate, caps, failures)'
+  },
+
+  decidedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+TierDecisionSchema.index({ user: 1, decidedAt: -1 });
+TierDecisionSchema.index({ policyVersion: 1, kind: 1 });
+
+TierDecisionSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Tier decisions are immutable'));
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+].forEach(op => TierDecisionSchema.pre(op, function() {
+  throw new Error('Tier decisions are immutable');
+}));
+
+module.exports = mongoose.model('TierDecision', TierDecisionSchema);
+module.exports.TIER_DECISION_KINDS = TIER_DECISION_KINDS;
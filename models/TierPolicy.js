@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { Decimal128 } = mongoose.Types;
+
+/**
+ * Tier Policy (Versioned, Immutable)
+ * Everything a member's tier decides: the trust score it starts at, how
+ * many circles they may be in at once, how much of each payout is
+ * withheld, and how much money they may commit. Admins change the policy
+ * by saving a new version (services/TierPolicyService); the highest
+ * version is in force and older ones stay as the record of what applied
+ * when.
+ *
+ * Caps are Naira like every other amount; null means no cap.
+ */
+const TierRulesSchema = new Schema({
+  minScore: {
+    type: Number,
+    required: true,
+    min: 300,
+    max: 850,
+    description: 'Lowest trust score that reaches this tier'
+  },
+  maxActiveCircles: {
+    type: Number,
+    required: true,
+    min: 0,
+    description: 'Circles a member may belong to at once'
+  },
+  withholdingBps: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 10000,
+    description: 'Share of each payout held in the vault until the circle completes'
+  },
+  maxContribution: {
+    type: Decimal128,
+    default: null,
+    description: 'Largest per-round contribution of a circle this tier may join'
+  },
+  maxExposure: {
+    type: Decimal128,
+    default: null,
+    description: 'Most a member may still owe across all their circles, counting the one being joined'
+  }
+}, { _id: false });
+
+const TierPolicySchema = new Schema({
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+    unique: true,
+    immutable: true
+  },
+
+  tiers: {
+    Bronze: { type: TierRulesSchema, required: true },
+    Silver: { type: TierRulesSchema, required: true },
+    Gold: { type: TierRulesSchema, required: true }
+  },
+
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+
+  notes: {
+    type: String,
+    maxlength: 500,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Every score needs a tier, and tiers must be reached in order
+TierPolicySchema.pre('validate', function(next) {
+  const { Bronze, Silver, Gold } = this.tiers || {};
+  if (!Bronze || !Silver || !Gold) return next();
+  if (Bronze.minScore !== 300) return next(new Error('Bronze must start at the minimum trust score (300)'));
+  if (!(Bronze.minScore < Silver.minScore && Silver.minScore < Gold.minScore)) {
+    return next(new Error('Tier score thresholds must increase from Bronze to Silver to Gold'));
+  }
+  next();
+});
+
+TierPolicySchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Tier policies are immutable; save a new version instead'));
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+].forEach(op => TierPolicySchema.pre(op, function() {
+  throw new Error('Tier policies are immutable; save a new version instead');
+}));
+
+module.exports = mongoose.model('TierPolicy', TierPolicySchema);
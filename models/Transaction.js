@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Wallet Journal (Immutable)
+ * One entry per movement on one leg of a user's wallet.
+ *
+ * Double-entry: every entry names the counterparty account on the other
+ * side of the movement (the circle pot, the backstop reserve, the platform
+ * fee account, or money entering from outside the platform). Legs of the
+ * same business event share an eventRef, so a payout can be read back as
+ * "credit available, debit fee, move withholding to vault".
+ *
+ * Entries are never updated or deleted. Corrections are new entries.
+ */
+const LEGS = ['Available', 'Vault', 'Debt', 'Reserved'];
+const DIRECTIONS = ['Credit', 'Debit']; // Credit increases the leg's balance, Debit decreases it
+const COUNTERPARTIES = ['Circle', 'Backstop', 'FeeAccount', 'External'];
+const EVENT_TYPES = [
+  'OpeningBalance',        // Funds seeded outside the payment flow (simulations, registrations before funding intents)
+  'DirectDebit',           // Card charged through the payment provider
+  'Deposit',               // Wallet top-up confirmed by a provider webhook
+  'Contribution',          // Member escrows their round contribution
+  'LateFee',               // Fee on a contribution made during the grace period
+  'ContributionSettlement',// Escrowed contribution leaves the vault into the pot at payout
+  'Payout',                // Recipient receives the gross pot
+  'PlatformFee',           // Fee deducted from the payout
+  'PayoutWithholding',     // Tier-based share of the payout locked in the vault
+  'BidDiscount',           // Winning bid given up by the recipient, shared among the other members
+  'PayoutIou',             // Part of a short payout the reserve pays the recipient later
+  'VaultRelease',          // Withheld funds released when the circle completes
+  'ContributionRefund',    // Escrowed or past contributions returned on removal or dissolution
+  'SettlementObligation',  // Amount a paid-out member owes back when a circle is dissolved
+  'SettlementRefund',      // Share of a dissolved circle paid to a member still owed
+  'ExitFee',               // Fee kept by the reserve when a member leaves before their payout
+  'ExitSettlement',        // Remaining contributions escrowed in one lump sum by a paid-out member leaving
+  'ReplacementBuyIn',      // Replacement member buys the leaver's position in the circle
+  'DefaultPrincipal',      // Missed contribution added to debt
+  'DefaultPenalty',        // Penalty added to debt on a default
+  'DebtRepayment',         // Debt principal settled from available balance
+  'PenaltyRepayment',      // Default penalty settled from available balance
+  'WithdrawalReserve',     // Withdrawal amount held while the transfer processes
+  'Withdrawal',            // Reserved funds paid out to the member's bank
+  'WithdrawalReversal'     // Failed or bank-reversed withdrawal returned to available
+];
+
+const TransactionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+
+  leg: {
+    type: String,
+    enum: LEGS,
+    required: true,
+    immutable: true
+  },
+
+  direction: {
+    type: String,
+    enum: DIRECTIONS,
+    required: true,
+    immutable: true
+  },
+
+  amount: {
+    type: Schema.Types.Decimal128,
+    required: true,
+    immutable: true,
+    description: 'Always positive; direction gives the sign'
+  },
+
+  balanceAfter: {
+    type: Schema.Types.Decimal128,
+    immutable: true,
+    description: 'Balance of this leg immediately after the movement'
+  },
+
+  counterparty: {
+    kind: { type: String, enum: COUNTERPARTIES, required: true, immutable: true },
+    ref: { type: Schema.Types.ObjectId, immutable: true }
+  },
+
+  eventType: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true,
+    immutable: true
+  },
+
+  eventRef: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    immutable: true,
+    description: 'Shared by every leg of the same business event'
+  },
+
+  circle: {
+    type: Schema.Types.ObjectId,
+    ref: 'Circle',
+    immutable: true
+  },
+
+  memo: {
+    type: String,
+    immutable: true
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true }
+});
+
+TransactionSchema.index({ user: 1, createdAt: -1 });
+TransactionSchema.index({ eventRef: 1 });
+TransactionSchema.index({ circle: 1, createdAt: -1 });
+
+// ==========================================
+// IMMUTABILITY GUARDS
+// ==========================================
+const rejectMutation = function() {
+  throw new Error('Journal entries are immutable');
+};
+
+TransactionSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Journal entries are immutable'));
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+].forEach(op => TransactionSchema.pre(op, rejectMutation));
+
+module.exports = mongoose.model('Transaction', TransactionSchema);
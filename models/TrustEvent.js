@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Trust Score History (Immutable)
+ * One entry per event that moved a member's trust score. The score is
+ * derived from these events by services/TrustEngine, so every change can be
+ * traced back to what caused it.
+ *
+ * `points` is the weight in force when the event happened; later weight
+ * changes never rewrite history. A Baseline event carries the score the
+ * member had before the engine started recording.
+ */
+const TRUST_EVENT_TYPES = [
+  'Baseline',              // Score carried over from before event history began
+  'OnTimeContribution',    // Contribution escrowed by the due date
+  'LateContribution',      // Contribution made during the grace period
+  'Default',               // Missed contribution charged as debt
+  'DebtRepayment',         // Debt (or part of it) repaid
+  'PayoutReceived',        // Member received their payout in good standing
+  'CircleCompleted',       // Member saw a circle through to completion
+  'EarlyExit'              // Member left a circle before their payout, with a refund
+];
+
+const TrustEventSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+
+  type: {
+    type: String,
+    enum: TRUST_EVENT_TYPES,
+    required: true,
+    immutable: true
+  },
+
+  points: {
+    type: Number,
+    required: true,
+    immutable: true,
+    description: 'Score change when the event happened, before any decay'
+  },
+
+  occurredAt: {
+    type: Date,
+    required: true,
+    immutable: true
+  },
+
+  scoreAfter: {
+    type: Number,
+    immutable: true,
+    description: 'Trust score immediately after this event'
+  },
+
+  tierAfter: {
+    type: String,
+    immutable: true
+  },
+
+  circle: {
+    type: Schema.Types.ObjectId,
+    ref: 'Circle',
+    immutable: true
+  },
+
+  ref: {
+    type: Schema.Types.ObjectId,
+    immutable: true,
+    description: 'The journal eventRef (payout, default, repayment) behind this event'
+  },
+
+  memo: {
+    type: String,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+TrustEventSchema.index({ user: 1, occurredAt: 1 });
+
+TrustEventSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Trust events are immutable'));
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+].forEach(op => TrustEventSchema.pre(op, function() {
+  throw new Error('Trust events are immutable');
+}));
+
+module.exports = mongoose.model('TrustEvent', TrustEventSchema);
+module.exports.TRUST_EVENT_TYPES = TRUST_EVENT_TYPES;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * Withdrawal (Wallet -> Bank)
+ * Lifecycle:
+ *   Pending    - funds moved from available to reserved, not yet sent
+ *                (resubmitted by the scheduler until the provider answers)
+ *   Processing - transfer accepted by the provider, awaiting its webhook
+ *   Paid       - transfer landed; reserved funds leave the platform
+ *   Failed     - transfer rejected; reserved funds return to available
+ *   Reversed   - the bank returned a Paid transfer; funds credited back
+ */
+const WITHDRAWAL_STATUSES = ['Pending', 'Processing', 'Paid', 'Failed', 'Reversed'];
+
+const WithdrawalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  amount: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+
+  // Snapshot, so later edits to the user's accounts don't rewrite history
+  bankAccount: {
+    bankCode: { type: String, required: true },
+    accountNumber: { type: String, required: true },
+    accountName: { type: String, required: true }
+  },
+
+  provider: {
+    type: String,
+    required: true
+  },
+
+  reference: {
+    type: String,
+    required: true,
+    unique: true,
+    description: 'Our transfer reference; providers dedupe resubmissions on it'
+  },
+
+  providerReference: String,
+
+  status: {
+    type: String,
+    enum: WITHDRAWAL_STATUSES,
+    default: 'Pending',
+    index: true
+  },
+
+  failureReason: String,
+
+  // Submissions that never reached the provider; after the last one the withdrawal fails
+  submitAttempts: { type: Number, default: 0 },
+  lastSubmittedAt: Date,
+  lastSubmitError: String,
+
+  paidAt: Date,
+  failedAt: Date,
+  reversedAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Withdrawal', WithdrawalSchema);
+module.exports.WITHDRAWAL_STATUSES = WITHDRAWAL_STATUSES;
@@ -1,5 +1,12 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const Transaction = require('./Transaction');
+const TrustEvent = require('./TrustEvent');
+const TrustEngine = require('../services/TrustEngine');
+const TierPolicyService = require('../services/TierPolicyService');
+const money = require('../utils/money');
+const { DEFAULT_PENALTY_SCHEDULE, penaltyFor } = require('../utils/fees');
 
 /**
  * Ajo - Rotational Savings Platform (ROSCA)
@@ -13,8 +20,12 @@ const Schema = mongoose.Schema;
 // Constants
 const USER_TIERS = ['Bronze', 'Silver', 'Gold'];
 const USER_STATUSES = ['Active', 'Frozen', 'Blacklisted'];
-const DEBT_BLACKLIST_THRESHOLD = 500000; // ₦5,000 in kobo (smallest currency unit)
-const TRUST_SCORE_RANGE = { min: 300, max: 850 };
+const USER_ROLES = ['Member', 'Admin'];
+const KYC_LEVELS = [1, 2, 3];
+const DEBT_BLACKLIST_THRESHOLD = 50000000; // ₦500,000 in kobo (smallest currency unit)
+const { TRUST_SCORE_RANGE } = TrustEngine;
+const OTP_TTL_MS = 5 * 60 * 1000; // One-time codes are valid for 5 minutes
+const OTP_MAX_ATTEMPTS = 5;
 
 const UserSchema = new Schema({
   // ==========================================
@@ -69,11 +80,22 @@ const UserSchema = new Schema({
     index: true
   },
 
+  /**
+   * CBN-style KYC tier: 1 = BVN + NIN (checked at registration),
+   * 2 = address verified, 3 = full due diligence. Raised by Admins.
+   */
+  kycLevel: {
+    type: Number,
+    enum: KYC_LEVELS,
+    default: 1,
+    description: 'Verified KYC tier (1-3); circles can require a minimum'
+  },
+
   // ==========================================
   // TRIPLE-LEDGER WALLET SYSTEM
   // ==========================================
-  // Using Decimal128 for financial precision (avoids floating-point errors)
-  // Alternatively, store as Integer (kobo) in production for absolute precision
+  // Stored as Decimal128 Naira; all arithmetic happens in integer kobo
+  // through utils/money so rounding is exact and explicit
   
   wallet: {
     availableBalance: {
@@ -104,17 +126,39 @@ const UserSchema = new Schema({
      * DEBT LEDGER
      * Tracks defaulted contributions. When a user misses a payment:
      * 1. The owed amount is added to debtBalance
-     * 2. A 5% penalty is immediately applied to discourage defaults
+     * 2. A penalty (the circle's penalty schedule, 5% by default) is immediately applied to discourage defaults
      * 3. This accrues until repaid (via availableBalance or direct debit)
      */
     debtBalance: {
       type: Schema.Types.Decimal128,
       default: 0,
       min: 0,
-      description: 'Outstanding defaulted contributions + 5% penalties'
+      description: 'Outstanding defaulted contributions + penalties'
+    },
+
+    /**
+     * Funds held for a withdrawal while the bank transfer is processing.
+     * Released back to availableBalance if the transfer fails.
+     */
+    reservedBalance: {
+      type: Schema.Types.Decimal128,
+      default: 0,
+      min: 0,
+      description: 'Funds reserved for withdrawals in flight'
     }
   },
 
+  /**
+   * Payout destinations for withdrawals. Account numbers are NUBAN
+   * checksum-validated on registration (utils/nuban).
+   */
+  bankAccounts: [{
+    bankCode: { type: String, required: true },
+    accountNumber: { type: String, required: true },
+    accountName: { type: String, required: true, trim: true },
+    addedAt: { type: Date, default: Date.now }
+  }],
+
   // ==========================================
   // REPUTATION ENGINE
   // ==========================================
@@ -147,6 +191,20 @@ const UserSchema = new Schema({
     description: 'Account operational status'
   },
 
+  /**
+   * Platform-wide role. Circle-level roles (Organizer/Member) live on the
+   * circle's membership entries, not here.
+   */
+  role: {
+    type: String,
+    enum: {
+      values: USER_ROLES,
+      message: 'Role must be Member or Admin'
+    },
+    default: 'Member',
+    description: 'Platform role (Admin can run operator actions on any circle)'
+  },
+
   // ==========================================
   // PAYMENT AUTOMATION (PCI DSS Sensitive)
   // ==========================================
@@ -166,6 +224,25 @@ const UserSchema = new Schema({
     description: 'When the card token expires'
   },
 
+  // ==========================================
+  // AUTHENTICATION (Credentials never leave the DB)
+  // ==========================================
+  /**
+   * scrypt hash in the form "salt:hash". Optional - users who never set a
+   * password log in with a one-time code sent to their phone number.
+   */
+  passwordHash: {
+    type: String,
+    select: false,
+    description: 'scrypt password hash (salt:hash)'
+  },
+
+  otp: {
+    codeHash: { type: String, select: false },
+    expiresAt: { type: Date, select: false },
+    attempts: { type: Number, default: 0, select: false }
+  },
+
   // ==========================================
   // RELATIONSHIPS
   // ==========================================
@@ -195,7 +272,16 @@ const UserSchema = new Schema({
 
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Never serialise credentials, even if they were explicitly selected
+    transform: (doc, ret) => {
+      delete ret.passwordHash;
+      delete ret.otp;
+      delete ret.paymentToken;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -217,7 +303,7 @@ UserSchema.index({ 'wallet.debtBalance': 1 }); // For debt collection jobs
  */
 UserSchema.pre('save', async function(next) {
   if (this.isModified('wallet.debtBalance') || this.isNew) {
-    const debt = parseFloat(this.wallet.debtBalance.toString());
+    const debt = money.toKobo(this.wallet.debtBalance);
     
     if (debt > DEBT_BLACKLIST_THRESHOLD && this.status !== 'Blacklisted') {
       this.status = 'Blacklisted';
@@ -225,23 +311,63 @@ UserSchema.pre('save', async function(next) {
       this.blacklistReason = 'Excessive Debt';
       
       // Optionally: Remove from all active circles or freeze positions
-      console.warn(`User ${this._id} auto-blacklisted due to debt: ${debt}`);
+      console.warn(`User ${this._id} auto-blacklisted due to debt: ₦${money.toNaira(debt)}`);
       
       // Trigger side effects (email, notification) via event emitter in production
       this.emit('user:blacklisted', { userId: this._id, debtAmount: debt });
     }
   }
 
-  // Auto-tier upgrade/downgrade based on trust score
-  if (this.isModified('trustScore')) {
-    if (this.trustScore >= 750) this.userTier = 'Gold';
-    else if (this.trustScore >= 550) this.userTier = 'Silver';
-    else this.userTier = 'Bronze';
+  // Auto-tier upgrade/downgrade based on trust score, under the tier policy in force
+  if (this.isModified('trustScore') || this.isNew) {
+    this.applyTier(await TierPolicyService.current(), this.isNew ? 'Registration' : 'ScoreChange');
   }
 
   next();
 });
 
+/**
+ * Journal Flush:
+ * Wallet movements queued by postLedger() are written to the Transaction
+ * journal once the balances they describe have been saved, inside the
+ * same session when there is one.
+ */
+UserSchema.post('save', async function(doc) {
+  const entries = doc.$locals.pendingJournal;
+  if (!entries || !entries.length) return;
+
+  doc.$locals.pendingJournal = [];
+  await Transaction.insertMany(entries, { session: doc.$session() });
+});
+
+/**
+ * Trust History Flush:
+ * Events queued by TrustEngine.record() are written the same way, tagged
+ * with the tier the member ended up in.
+ */
+UserSchema.post('save', async function(doc) {
+  const events = doc.$locals.pendingTrustEvents;
+  if (!events || !events.length) return;
+
+  doc.$locals.pendingTrustEvents = [];
+  await TrustEvent.insertMany(
+    events.map(e => ({ ...e, tierAfter: e.tierAfter || doc.userTier })),
+    { session: doc.$session() }
+  );
+});
+
+/**
+ * Tier Decision Flush:
+ * Tier assignments queued by applyTier() are written the same way.
+ */
+UserSchema.post('save', async function(doc) {
+  const decisions = doc.$locals.pendingTierDecisions;
+  if (!decisions || !decisions.length) return;
+
+  doc.$locals.pendingTierDecisions = [];
+  await TierPolicyService.record(decisions, doc.$session());
+});
+
 // ==========================================
 // VIRTUALS
 // ==========================================
@@ -252,11 +378,12 @@ UserSchema.pre('save', async function(next) {
  * This represents the user's true equity position in the platform.
  */
 UserSchema.virtual('netWorth').get(function() {
-  const available = parseFloat(this.wallet.availableBalance?.toString() || 0);
-  const vault = parseFloat(this.wallet.vaultBalance?.toString() || 0);
-  const debt = parseFloat(this.wallet.debtBalance?.toString() || 0);
+  const available = money.toKobo(this.wallet.availableBalance);
+  const vault = money.toKobo(this.wallet.vaultBalance);
+  const reserved = money.toKobo(this.wallet.reservedBalance);
+  const debt = money.toKobo(this.wallet.debtBalance);
   
-  return (available + vault - debt).toFixed(2);
+  return money.toDecimalString(money.subtract(money.add(available, vault, reserved), debt));
 });
 
 /**
@@ -264,45 +391,133 @@ UserSchema.virtual('netWorth').get(function() {
  * Sum of vault and debt (funds that cannot be withdrawn)
  */
 UserSchema.virtual('encumberedFunds').get(function() {
-  const vault = parseFloat(this.wallet.vaultBalance?.toString() || 0);
-  const debt = parseFloat(this.wallet.debtBalance?.toString() || 0);
-  return (vault + debt).toFixed(2);
+  const vault = money.toKobo(this.wallet.vaultBalance);
+  const debt = money.toKobo(this.wallet.debtBalance);
+  return money.toDecimalString(money.add(vault, debt));
 });
 
+// ==========================================
+// LEDGER POSTING
+// ==========================================
+
+const LEDGER_FIELDS = {
+  Available: 'availableBalance',
+  Vault: 'vaultBalance',
+  Debt: 'debtBalance',
+  Reserved: 'reservedBalance'
+};
+
+/**
+ * Post a movement to one wallet leg
+ * The only place wallet balances should change. Updates the leg and queues
+ * a journal entry that is written when the user is next saved.
+ *
+ * @param {String} leg - 'Available' | 'Vault' | 'Debt' | 'Reserved'
+ * @param {String} direction - 'Credit' (increase) | 'Debit' (decrease)
+ * @param {Number} amount - Positive integer amount in kobo (see utils/money)
+ * @param {Object} entry - { counterparty: { kind, ref }, eventType, eventRef, circle, memo }
+ */
+UserSchema.methods.postLedger = function(leg, direction, amount, entry) {
+  const field = LEDGER_FIELDS[leg];
+  if (!field) throw new Error(`Unknown wallet leg: ${leg}`);
+  if (!Number.isSafeInteger(amount) || amount <= 0) throw new Error('Ledger amount must be a positive kobo integer');
+
+  const current = money.toKobo(this.wallet[field]);
+  const next = direction === 'Credit' ? money.add(current, amount) : money.subtract(current, amount);
+  if (next < 0) throw new Error(`Insufficient ${leg.toLowerCase()} balance`);
+
+  this.wallet[field] = money.fromKobo(next);
+
+  this.$locals.pendingJournal = this.$locals.pendingJournal || [];
+  this.$locals.pendingJournal.push({
+    user: this._id,
+    leg,
+    direction,
+    amount: money.fromKobo(amount),
+    balanceAfter: this.wallet[field],
+    counterparty: entry.counterparty,
+    eventType: entry.eventType,
+    eventRef: entry.eventRef || new mongoose.Types.ObjectId(),
+    circle: entry.circle,
+    memo: entry.memo
+  });
+
+  return this;
+};
+
 // ==========================================
 // INSTANCE METHODS
 // ==========================================
 
+// Only pass a session through when the caller has one; an explicit
+// `session: undefined` would detach the document from its own session
+const sessionOptions = ({ session } = {}) => (session ? { session } : {});
+
 /**
  * Apply Default Penalty
- * When a user misses a contribution, add the amount plus 5% penalty to debt.
- * The 5% serves as:
+ * When a user misses a contribution, add the amount plus a penalty to debt
+ * (the circle's penalty schedule; 5% by default). The penalty serves as:
  * 1. Compensation to the ROSCA group for liquidity disruption
  * 2. Operational cost of recovery efforts
  * 3. Behavioral incentive for timely payments
  * 
- * @param {Number} baseAmount - The missed contribution amount (in Naira)
+ * @param {Number} baseAmount - The missed contribution amount (in kobo)
+ * @param {Object} ref - Optional { circle, eventRef } for the journal,
+ *   { penalty } in kobo from the circle's schedule (default schedule
+ *   otherwise), and { session } to save inside the caller's transaction
  */
-UserSchema.methods.applyDefaultPenalty = function(baseAmount) {
-  const penaltyRate = 0.05;
-  const totalOwed = baseAmount * (1 + penaltyRate);
-  
-  const currentDebt = parseFloat(this.wallet.debtBalance.toString());
-  this.wallet.debtBalance = mongoose.Types.Decimal128.fromString(
-    (currentDebt + totalOwed).toString()
-  );
+UserSchema.methods.applyDefaultPenalty = async function(baseAmount, ref = {}) {
+  const penalty = ref.penalty === undefined ? this.constructor.penaltyFor(baseAmount) : ref.penalty;
+  const eventRef = ref.eventRef || new mongoose.Types.ObjectId();
+  const backstop = { kind: 'Backstop' };
+
+  // Principal and penalty are separate journal lines so recoveries can be split later
+  this.postLedger('Debt', 'Credit', baseAmount, {
+    counterparty: backstop, eventType: 'DefaultPrincipal', eventRef, circle: ref.circle
+  });
+  if (penalty > 0) {
+    this.postLedger('Debt', 'Credit', penalty, {
+      counterparty: backstop, eventType: 'DefaultPenalty', eventRef, circle: ref.circle
+    });
+  }
   
   // Impact reputation
-  this.trustScore = Math.max(TRUST_SCORE_RANGE.min, this.trustScore - 50);
+  await TrustEngine.record(this, 'Default', { circle: ref.circle, ref: eventRef, session: ref.session });
   
-  return this.save();
+  return this.save(sessionOptions(ref));
+};
+
+/**
+ * Set the tier the trust score reaches under `policy`
+ * A change (or a new member's first tier) is queued as a TierAssignment
+ * decision, written when the user is saved.
+ *
+ * @param {String} reason - Registration, ScoreChange or PolicyUpdate
+ * @returns {String} the tier
+ */
+UserSchema.methods.applyTier = function(policy, reason) {
+  const tier = TierPolicyService.tierFor(this.trustScore, policy);
+  if (tier === this.userTier && !this.isNew) return tier;
+
+  this.$locals.pendingTierDecisions = this.$locals.pendingTierDecisions || [];
+  this.$locals.pendingTierDecisions.push({
+    user: this._id,
+    kind: 'TierAssignment',
+    policyVersion: policy.version,
+    tier,
+    outcome: 'Applied',
+    details: { reason, trustScore: this.trustScore, previousTier: this.isNew ? null : this.userTier, minScore: policy.tiers[tier].minScore }
+  });
+  this.userTier = tier;
+  return tier;
 };
 
 /**
  * Check if user can join a new Ajo circle
  * Validates tier limits, blacklist status, and existing commitments
+ * @param {Object} policy - Tier policy to apply (default: the last one loaded)
  */
-UserSchema.methods.canJoinCircle = function() {
+UserSchema.methods.canJoinCircle = function(policy = TierPolicyService.snapshot()) {
   if (this.status === 'Blacklisted') {
     return { allowed: false, reason: 'Account is blacklisted due to outstanding debt' };
   }
@@ -312,8 +527,7 @@ UserSchema.methods.canJoinCircle = function() {
   }
 
   // Tier-based limits on concurrent circles
-  const tierLimits = { Bronze: 2, Silver: 5, Gold: 10 };
-  const maxCircles = tierLimits[this.userTier];
+  const maxCircles = TierPolicyService.rulesFor(this.userTier, policy).maxActiveCircles;
   
   if (this.activeCircles.length >= maxCircles) {
     return { 
@@ -328,61 +542,155 @@ UserSchema.methods.canJoinCircle = function() {
 /**
  * Move funds from Available to Vault (when joining a circle)
  * Atomic operation simulation - use transactions in production
+ * @param {Number} amount - Contribution in kobo
+ * @param {Object} ref - Optional { circle, eventRef } for the journal, and
+ *   { session } to save inside the caller's transaction
  */
-UserSchema.methods.escrowToVault = async function(amount) {
-  const available = parseFloat(this.wallet.availableBalance.toString());
+UserSchema.methods.escrowToVault = async function(amount, ref = {}) {
+  const available = money.toKobo(this.wallet.availableBalance);
   
   if (available < amount) {
     throw new Error('Insufficient available balance');
   }
   
-  this.wallet.availableBalance = mongoose.Types.Decimal128.fromString(
-    (available - amount).toString()
-  );
-  
-  const vault = parseFloat(this.wallet.vaultBalance.toString());
-  this.wallet.vaultBalance = mongoose.Types.Decimal128.fromString(
-    (vault + amount).toString()
-  );
+  const entry = {
+    counterparty: { kind: 'Circle', ref: ref.circle },
+    eventType: 'Contribution',
+    eventRef: ref.eventRef || new mongoose.Types.ObjectId(),
+    circle: ref.circle
+  };
+  this.postLedger('Available', 'Debit', amount, entry);
+  this.postLedger('Vault', 'Credit', amount, entry);
   
-  return this.save();
+  return this.save(sessionOptions(ref));
 };
 
 /**
  * Repay debt from available balance
- * Returns the remaining debt after payment
+ * Takes and returns kobo: the remaining debt after payment
+ * @param {Object} options - Optional { session, eventRef, reserve, penalty }; `penalty`
+ *   is the part of `amount` settling default penalties, journaled separately
+ *   from principal
  */
-UserSchema.methods.repayDebt = async function(amount) {
-  const available = parseFloat(this.wallet.availableBalance.toString());
-  const debt = parseFloat(this.wallet.debtBalance.toString());
+UserSchema.methods.repayDebt = async function(amount, options = {}) {
+  const available = money.toKobo(this.wallet.availableBalance);
+  const debt = money.toKobo(this.wallet.debtBalance);
+  const penalty = options.penalty || 0;
   
   if (amount > available) throw new Error('Insufficient funds');
   if (amount > debt) throw new Error('Payment exceeds debt');
+  if (penalty > amount) throw new Error('Penalty share exceeds payment');
   
-  this.wallet.availableBalance = mongoose.Types.Decimal128.fromString(
-    (available - amount).toString()
-  );
-  
-  this.wallet.debtBalance = mongoose.Types.Decimal128.fromString(
-    (debt - amount).toString()
-  );
+  const entry = {
+    counterparty: { kind: 'Backstop', ref: options.reserve },
+    eventRef: options.eventRef || new mongoose.Types.ObjectId()
+  };
+  const principal = money.subtract(amount, penalty);
+  for (const [part, eventType] of [[principal, 'DebtRepayment'], [penalty, 'PenaltyRepayment']]) {
+    if (part === 0) continue;
+    this.postLedger('Available', 'Debit', part, { ...entry, eventType });
+    this.postLedger('Debt', 'Debit', part, { ...entry, eventType });
+  }
   
   // Improve trust score slightly on repayment
-  this.trustScore = Math.min(TRUST_SCORE_RANGE.max, this.trustScore + 10);
+  await TrustEngine.record(this, 'DebtRepayment', { ref: entry.eventRef, session: options.session });
   
   // If fully cleared, check if we should unfreeze
-  if (parseFloat(this.wallet.debtBalance.toString()) === 0 && this.status === 'Frozen') {
+  if (money.toKobo(this.wallet.debtBalance) === 0 && this.status === 'Frozen') {
     this.status = 'Active';
   }
   
-  await this.save();
-  return parseFloat(this.wallet.debtBalance.toString());
+  await this.save(sessionOptions(options));
+  return money.toKobo(this.wallet.debtBalance);
+};
+
+// ==========================================
+// AUTHENTICATION METHODS
+// ==========================================
+
+const hashSecret = (secret, salt) =>
+  crypto.scryptSync(secret, salt, 64).toString('hex');
+
+const secretMatches = (secret, stored) => {
+  if (!stored) return false;
+  const [salt, hash] = stored.split(':');
+  const candidate = Buffer.from(hashSecret(secret, salt), 'hex');
+  const expected = Buffer.from(hash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+};
+
+/**
+ * Set (or replace) the login password
+ * Stored as a salted scrypt hash; the plain password is never persisted.
+ */
+UserSchema.methods.setPassword = function(password) {
+  if (typeof password !== 'string' || password.length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+  const salt = crypto.randomBytes(16).toString('hex');
+  this.passwordHash = `${salt}:${hashSecret(password, salt)}`;
+};
+
+/**
+ * Compare a password attempt against the stored hash
+ * Requires the document to be loaded with .select('+passwordHash')
+ */
+UserSchema.methods.verifyPassword = function(password) {
+  if (typeof password !== 'string') return false;
+  return secretMatches(password, this.passwordHash);
+};
+
+/**
+ * Generate a 6-digit one-time login code
+ * Returns the plain code so the caller can hand it to the SMS gateway.
+ * Only the hash is stored on the user.
+ */
+UserSchema.methods.issueOtp = function() {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const salt = crypto.randomBytes(8).toString('hex');
+
+  this.otp = {
+    codeHash: `${salt}:${hashSecret(code, salt)}`,
+    expiresAt: new Date(Date.now() + OTP_TTL_MS),
+    attempts: 0
+  };
+  return code;
+};
+
+/**
+ * Check a one-time code. A code is single use: it is cleared on success,
+ * and burnt after OTP_MAX_ATTEMPTS wrong guesses.
+ * Requires the document to be loaded with .select('+otp.codeHash +otp.expiresAt +otp.attempts')
+ */
+UserSchema.methods.verifyOtp = function(code) {
+  const otp = this.otp || {};
+  if (!otp.codeHash || !otp.expiresAt || otp.expiresAt < new Date()) return false;
+
+  if (typeof code === 'string' && secretMatches(code, otp.codeHash)) {
+    this.otp = { codeHash: undefined, expiresAt: undefined, attempts: 0 };
+    return true;
+  }
+
+  this.otp.attempts = (otp.attempts || 0) + 1;
+  if (this.otp.attempts >= OTP_MAX_ATTEMPTS) {
+    this.otp.codeHash = undefined;
+    this.otp.expiresAt = undefined;
+  }
+  return false;
 };
 
 // ==========================================
 // STATIC METHODS
 // ==========================================
 
+/**
+ * Default penalty charged on a missed contribution (kobo in, kobo out)
+ * @param {Object} schedule - Penalty schedule (default: the platform's, 5%)
+ */
+UserSchema.statics.penaltyFor = function(baseAmount, schedule = DEFAULT_PENALTY_SCHEDULE) {
+  return penaltyFor(schedule, baseAmount);
+};
+
 /**
  * Find high-risk users for collection workflows
  */
@@ -419,4 +727,6 @@ UserSchema.statics.validateLedgerIntegrity = async function() {
   ]);
 };
 
-module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
+module.exports = mongoose.model('User', UserSchema);
+module.exports.USER_TIERS = USER_TIERS;
+module.exports.KYC_LEVELS = KYC_LEVELS;
@@ -0,0 +1,25 @@
+const router = require('express').Router();
+const AuthService = require('../services/AuthService');
+
+// Request a one-time login code by SMS
+router.post('/otp', async (req, res) => {
+  try {
+    if (!req.body.phoneNumber) throw new Error('Phone number is required');
+    await AuthService.requestOtp(req.body.phoneNumber);
+    res.json({ message: 'If the number is registered, a login code has been sent' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Exchange phone number + password or OTP for an access token
+router.post('/login', async (req, res) => {
+  try {
+    const { token, user } = await AuthService.login(req.body);
+    res.json({ token, user });
+  } catch (err) {
+    res.status(401).json({ error: err.message, code: 'INVALID_CREDENTIALS' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const router = require('express').Router();
+const mongoose = require('mongoose');
+const money = require('../utils/money');
+const Circle = require('../models/Circles');
+const BackstopReserve = require('../models/BackstopReserve');
+const BackstopService = require('../services/BackstopService');
+const CycleManager = require('../services/CycleManager');
+const { runInTransaction } = require('../utils/transaction');
+const { authenticate } = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const { idempotent } = require('../middleware/idempotency');
+
+// Reserve reporting is for platform staff only
+router.use(authenticate, requireRole('Admin'));
+
+const pagination = (query) => ({
+  page: Math.max(1, parseInt(query.page, 10) || 1),
+  limit: Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20))
+});
+
+const objectId = (value, name) => {
+  if (value === undefined) return undefined;
+  if (!mongoose.isValidObjectId(value)) throw new Error(`Invalid ${name} ID`);
+  return value;
+};
+
+// Balance, lifetime totals, recovery rates and ageing of outstanding loans
+router.get('/', async (req, res) => {
+  try {
+    res.json(await BackstopService.summary());
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Individual loans; ?status=outstanding|recovered, ?circle, ?user
+router.get('/loans', async (req, res) => {
+  try {
+    const filter = {
+      status: req.query.status,
+      circle: objectId(req.query.circle, 'circle'),
+      user: objectId(req.query.user, 'user')
+    };
+    res.json(await BackstopService.loans(filter, pagination(req.query)));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+router.get('/loans/by-circle', async (req, res) => {
+  try {
+    res.json(await BackstopService.outstanding('circle', pagination(req.query)));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+router.get('/loans/by-user', async (req, res) => {
+  try {
+    res.json(await BackstopService.outstanding('user', pagination(req.query)));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Fee inflow and recoveries against deployments; ?interval=day|week|month, ?from, ?to
+router.get('/flows', async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    if ([from, to].some(d => d && isNaN(d))) throw new Error('Invalid date range');
+
+    res.json(await BackstopService.flows({ from, to, interval: req.query.interval }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// What the reserve would need if every member still Pending this round defaulted
+router.get('/exposure', async (req, res) => {
+  try {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    res.json(await BackstopService.exposure({ limit }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Pay a circle's outstanding payout IOUs from the reserve now, e.g. after a top-up
+ * Body: { circleId }. Otherwise they are paid at the circle's next fully
+ * covered payout.
+ */
+router.post('/ious/settle', idempotent, async (req, res) => {
+  try {
+    const circleId = objectId((req.body || {}).circleId, 'circle');
+    if (!circleId) throw new Error('circleId is required');
+
+    const report = await runInTransaction(async (session) => {
+      const circle = await Circle.findById(circleId).session(session);
+      if (!circle) throw new Error('Circle not found');
+
+      const reserve = await BackstopReserve.findOne().session(session) || new BackstopReserve();
+      const paid = await CycleManager.settleIous(circle, reserve, session);
+      await circle.save({ session });
+      await reserve.save({ session });
+      return { paid: money.toNaira(paid), ...CycleManager.backstopReport(circle) };
+    });
+    res.json(report);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
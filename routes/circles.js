@@ -1,117 +1,614 @@
 const router = require('express').Router();
-const { Decimal128 } = require('mongoose').Types; 
+const mongoose = require('mongoose');
+const money = require('../utils/money');
+const crypto = require('crypto');
+const { runInTransaction } = require('../utils/transaction');
 const Circle = require('../models/Circles');
+const CycleRecord = require('../models/CycleRecord');
 const User = require('../models/user_schema');
 const CycleManager = require('../services/CycleManager');
-const { validateCircleEntry } = require('../middleware/circleAuth');
+const SettlementService = require('../services/SettlementService');
+const Notifier = require('../services/Notifier');
+const { checkCircleEntry } = require('../middleware/circleAuth');
+const { authenticate } = require('../middleware/auth');
+const { requireCircleRole } = require('../middleware/authorize');
+const { idempotent } = require('../middleware/idempotency');
+const { seededShuffle, applyAmendments } = require('../utils/payoutOrder');
+const { DEFAULT_FEE_SCHEDULE, DEFAULT_PENALTY_SCHEDULE } = require('../utils/fees');
+const { evaluateAdmission, admissionContext } = require('../services/AdmissionRules');
+
+// Every circle operation acts on the authenticated member
+router.use(authenticate);
+
+// Organizer-supplied admission rules, with tier contribution caps parsed as money
+const parseAdmissionRules = (input) => {
+  if (!input) return undefined;
+  const { minTrustScore, allowedTiers, maxContributionByTier = {}, minKycLevel } = input;
+  const caps = {};
+  for (const [tier, amount] of Object.entries(maxContributionByTier)) {
+    caps[tier] = money.fromKobo(money.parseAmount(amount));
+  }
+  return { minTrustScore, allowedTiers, maxContributionByTier: caps, minKycLevel };
+};
+
+// Fields that were supplied, so defaults fill in the rest
+const supplied = (fields) => Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+const optionalAmount = (value, options) => (value === null || value === undefined ? value : money.fromKobo(money.parseAmount(value, options)));
+
+/**
+ * Fee and penalty schedules snapshotted onto a new circle
+ * The organizer chooses who pays the fee (feeSchedule.chargedTo); rates,
+ * bands, waivers and penalties are set by Admins only. Anything not given
+ * is copied from the platform defaults.
+ */
+const parseSchedules = ({ feeSchedule = {}, penaltySchedule }, user) => {
+  const { chargedTo, type, rateBps, bands, waiver } = feeSchedule;
+  if (user.role !== 'Admin' && (type || rateBps !== undefined || bands || waiver || penaltySchedule)) {
+    throw new Error('Only Admins can set fee rates, fee waivers or penalty schedules');
+  }
+
+  return {
+    feeSchedule: {
+      ...DEFAULT_FEE_SCHEDULE,
+      ...supplied({
+        chargedTo,
+        type,
+        rateBps,
+        bands: bands && bands.map(band => ({ upTo: optionalAmount(band.upTo) || null, rateBps: band.rateBps })),
+        waiver: waiver && { reason: waiver.reason, endsAt: waiver.endsAt }
+      })
+    },
+    penaltySchedule: {
+      ...DEFAULT_PENALTY_SCHEDULE,
+      ...(penaltySchedule && supplied({
+        rateBps: penaltySchedule.rateBps,
+        fixed: optionalAmount(penaltySchedule.fixed, { allowZero: true }),
+        max: optionalAmount(penaltySchedule.max)
+      }))
+    }
+  };
+};
 
 router.post('/', async (req, res) => {
   try {
-    const circle = new Circle({
-      title: req.body.title,
-      contributionAmount: Decimal128.fromString(req.body.contributionAmount.toString()),
-      frequency: req.body.frequency,
-      totalPot: Decimal128.fromString("0"),  // ADD THIS - starts at 0
-      status: 'Forming'
+    const contribution = money.parseAmount(req.body.contributionAmount);
+    const schedules = parseSchedules(req.body, req.user);
+
+    const result = await runInTransaction(async (session) => {
+      const creator = await User.findById(req.user._id).session(session);
+      const circle = new Circle({
+        title: req.body.title,
+        contributionAmount: money.fromKobo(contribution),
+        frequency: req.body.frequency,
+        totalPot: money.fromKobo(contribution),  // Creator is the first member
+        payoutStrategy: req.body.payoutStrategy,
+        maxMembers: req.body.maxMembers,
+        minMembers: req.body.minMembers,
+        visibility: req.body.visibility,
+        approvalRequired: req.body.approvalRequired,
+        admissionRules: parseAdmissionRules(req.body.admissionRules),
+        gracePeriodHours: req.body.gracePeriodHours,
+        lateFeeBps: req.body.lateFeeBps,
+        backstopPolicy: req.body.backstopPolicy,
+        ...schedules,
+        status: 'Forming'
+      });
+
+      // Creating a circle is joining it: the creator passes the same entry checks
+      const failure = await checkCircleEntry(creator, circle, session);
+      if (failure) return { failure };
+
+      // The creator runs the circle and takes the first slot
+      circle.members.push({ user: creator._id, role: 'Organizer', paymentStatus: 'Pending' });
+      circle.payoutOrder.push(creator._id);
+      creator.activeCircles.push(circle._id);
+      
+      await circle.save({ session });
+      await creator.save({ session });
+      return { circle };
     });
-    
+
+    if (result.failure) return res.status(result.failure.status).json(result.failure.body);
+    res.json(result.circle);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+/**
+ * Join a circle
+ * Body: { circleId } for a public circle, or { inviteCode } (optionally with
+ * circleId) for a private one. Circles with approvalRequired record a join
+ * request instead and answer 202.
+ */
+router.post('/join', async (req, res) => {
+  try {
+    const { circleId, inviteCode, message } = req.body;
+
+    const result = await runInTransaction(async (session) => {
+      const user = await User.findById(req.user._id).session(session);
+      const circle = circleId
+        ? await Circle.findById(circleId).session(session)
+        : inviteCode && await Circle.findOne({ 'invites.code': inviteCode }).session(session);
+      
+      if (!circle) throw new Error('Circle not found');
+
+      const invite = inviteCode ? circle.usableInvite(inviteCode) : null;
+      if (inviteCode && !invite) throw new Error('Invite code is invalid, expired or used up');
+      if (circle.visibility === 'Private' && !invite) throw new Error('This circle is private; an invite code is required');
+
+      if (circle.status !== 'Forming') throw new Error(`Circle is ${circle.status} and no longer accepting members`);
+      if (circle.roleOf(user._id)) throw new Error('User is already a member of this circle');
+
+      const failure = await checkCircleEntry(user, circle, session);
+      if (failure) return { failure };
+
+      // Organizer decides; eligibility and the invite are checked again at approval
+      if (circle.approvalRequired) {
+        const pending = circle.joinRequests.some(r => r.status === 'Pending' && r.user.equals(user._id));
+        if (pending) throw new Error('You already have a pending request for this circle');
+
+        circle.joinRequests.push({ user: user._id, inviteCode: invite && invite.code, message });
+        await circle.save({ session });
+        return { status: 'PendingApproval', circleId: circle._id };
+      }
+
+      if (invite) invite.uses += 1; // A use is counted on admission
+      await CycleManager.admitMember(circle, user, session);
+      await circle.save({ session });
+      await user.save({ session });
+      return { status: circle.status, circleId: circle._id };
+    });
+
+    if (result.failure) return res.status(result.failure.status).json(result.failure.body);
+    res.status(result.status === 'PendingApproval' ? 202 : 200).json({ success: true, ...result });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Preview a circle from its invite code (what an invite link opens)
+ */
+router.get('/invites/:code', async (req, res) => {
+  const circle = await Circle.findOne({ 'invites.code': req.params.code });
+  const invite = circle && circle.usableInvite(req.params.code);
+  if (!invite) return res.status(404).json({ error: 'Invite code is invalid, expired or used up' });
+
+  res.json({
+    circleId: circle._id,
+    title: circle.title,
+    contributionAmount: circle.contributionAmount,
+    frequency: circle.frequency,
+    members: circle.members.length,
+    maxMembers: circle.maxMembers,
+    approvalRequired: circle.approvalRequired,
+    expiresAt: invite.expiresAt
+  });
+});
+
+// Organizer starts a Forming circle once it has at least minMembers
+router.post('/:id/start', requireCircleRole('Organizer'), async (req, res) => {
+  try {
+    const circle = await runInTransaction(async (session) => {
+      const circle = await Circle.findById(req.circle._id).session(session);
+      await CycleManager.startCircle(circle, session);
+      await circle.save({ session });
+      return circle;
+    });
+    res.json(circle);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Pause an Active circle: no payouts, contributions or direct debits until resumed
+router.post('/:id/pause', requireCircleRole('Organizer'), async (req, res) => {
+  try {
+    const circle = CycleManager.pauseCircle(req.circle, req.body.reason);
     await circle.save();
     res.json(circle);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
-router.post('/join', async (req, res) => {
+
+// Resume a Paused circle; the payout calendar shifts by the time paused
+router.post('/:id/resume', requireCircleRole('Organizer'), async (req, res) => {
   try {
-    const { userId, circleId } = req.body;
-    const user = await User.findById(userId);
-    const circle = await Circle.findById(circleId);
-    
-    if (!user || !circle) throw new Error('User or Circle not found');
+    const circle = CycleManager.resumeCircle(req.circle);
+    await circle.save();
+    res.json(circle);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
 
-    // 1. PREVENT DUPLICATES: Check if user is already in the circle
-    const isAlreadyMember = circle.members.some(m => m.user.toString() === userId);
-    if (isAlreadyMember) throw new Error('User is already a member of this circle');
-    
-    // 2. Add Member & Update Payout Order
-    circle.members.push({ user: userId, paymentStatus: 'Pending' });
-    circle.payoutOrder.push(userId);
-    
-    // 3. Update Total Pot
-    const memberCount = circle.payoutOrder.length;
-    const contrib = parseFloat(circle.contributionAmount.toString());
-    circle.totalPot = Decimal128.fromString((memberCount * contrib).toString());
-    
-    // 4. STATUS TRIGGER: Flip to Active if 2+ members
-    if (circle.members.length >= 2) {
-      circle.status = 'Active';
+/**
+ * Remove a member before their payout turn (Organizer)
+ * Their escrow is refunded and the backstop reserve buys out their position.
+ * Body: { reason }
+ */
+router.delete('/:id/members/:userId', requireCircleRole('Organizer'), idempotent, async (req, res) => {
+  try {
+    const report = await runInTransaction(session =>
+      SettlementService.removeMember(req.circle._id, req.params.userId, { by: req.user._id, reason: (req.body || {}).reason }, session)
+    );
+    res.json(report);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Dissolve the circle and settle every member (Organizer)
+ * Body: { reason }
+ */
+router.post('/:id/dissolve', requireCircleRole('Organizer'), idempotent, async (req, res) => {
+  try {
+    const report = await runInTransaction(session =>
+      SettlementService.dissolveCircle(req.circle._id, { by: req.user._id, reason: req.body.reason }, session)
+    );
+    res.json(report);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Leave the circle (Member)
+ * Body: { mode: 'refund' | 'lumpSum' | 'replacement', nomineeId, reason }
+ * - refund:      before your payout; contributions back minus the exit fee
+ * - lumpSum:     after your payout; escrow every remaining contribution now
+ * - replacement: before your payout; open your slot to a replacement
+ */
+router.post('/:id/exit', requireCircleRole('Member'), idempotent, async (req, res) => {
+  try {
+    const { mode, nomineeId, reason } = req.body;
+    if (nomineeId && !mongoose.isValidObjectId(nomineeId)) throw new Error('nomineeId is not a valid user ID');
+
+    const result = await runInTransaction(session =>
+      SettlementService.exit(req.circle._id, req.user._id, { mode, nominee: nomineeId, reason }, session)
+    );
+    res.json(result);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Take over the slot of a member looking for a replacement
+ * The caller must pass the circle's admission rules, and pays the leaver's
+ * position plus this round's escrow if the leaver had already paid it.
+ */
+router.post('/:id/members/:userId/replace', idempotent, async (req, res) => {
+  try {
+    const result = await runInTransaction(async (session) => {
+      const circle = mongoose.isValidObjectId(req.params.id) && await Circle.findById(req.params.id).session(session);
+      if (!circle) throw new Error('Circle not found');
+
+      const user = await User.findById(req.user._id).session(session);
+      const failure = await checkCircleEntry(user, circle, session);
+      if (failure) return { failure };
+
+      return { report: await SettlementService.replaceMember(circle._id, req.params.userId, user._id, {}, session) };
+    });
+
+    if (result.failure) return res.status(result.failure.status).json(result.failure.body);
+    res.json(result.report);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Settlement reports from removals, exits, replacements and dissolution
+router.get('/:id/settlements', requireCircleRole('Organizer', 'Member'), (req, res) => {
+  res.json(req.circle.settlements.map(s => SettlementService.formatReport(s)));
+});
+
+/**
+ * Pay out the current round
+ * When the backstop reserve cannot cover the missing contributions, the
+ * circle's backstopPolicy applies: the response is { held: true,
+ * backstopOutcome } for Pause and Delay, or the payout with an `iou` for
+ * PartialPayout. Organizers (and an IOU's recipient) are notified.
+ * A circle that is not Active, or is waiting for late contributions,
+ * answers 409.
+ */
+router.post('/payout', requireCircleRole('Organizer'), idempotent, async (req, res) => {
+  try {
+    const result = await runInTransaction(session =>
+      CycleManager.processCirclePayout(req.circle._id, session)
+    );
+    if (result.backstopOutcome) {
+      for (const user of result.notify) {
+        await Notifier.backstopOutcome(user, { circleId: req.circle._id, title: req.circle.title, ...result.backstopOutcome });
+      }
     }
+    res.json(result);
+  } catch (err) {
+    // A circle that isn't ready to pay out says why; anything else failed
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Payout history, one record per round (from 0), checked against the payout order
+router.get('/:id/cycles', requireCircleRole('Organizer', 'Member'), async (req, res) => {
+  try {
+    const records = await CycleRecord.find({ circle: req.circle._id }).sort({ round: 1 });
+    res.json(records.map(record => CycleManager.presentCycle(record, req.circle)));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+router.get('/:id/cycles/:n', requireCircleRole('Organizer', 'Member'), async (req, res) => {
+  try {
+    const round = Number(req.params.n);
+    if (!Number.isInteger(round) || round < 0) throw new Error('Round must be a whole number (the first payout is round 0)');
+
+    const record = await CycleRecord.findOne({ circle: req.circle._id, round });
+    if (!record) return res.status(404).json({ error: `No payout recorded for round ${round}` });
+    res.json(CycleManager.presentCycle(record, req.circle));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Backstop policy, how short rounds were handled and the payout IOUs left
+router.get('/:id/backstop', requireCircleRole('Organizer', 'Member'), (req, res) => {
+  res.json(CycleManager.backstopReport(req.circle));
+});
+
+// Change what happens when the reserve cannot cover a round; body: { policy }
+router.put('/:id/backstop-policy', requireCircleRole('Organizer'), async (req, res) => {
+  try {
+    const circle = req.circle;
+    if (['Completed', 'Dissolved'].includes(circle.status)) throw new Error(`Circle is ${circle.status}`);
+
+    const { policy } = req.body || {};
+    if (!policy) throw new Error('policy is required');
+
+    circle.backstopPolicy = policy;
+    await circle.save();
+    res.json(CycleManager.backstopReport(circle));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+router.post('/contribute', idempotent, async (req, res) => {
+  try {
+    const result = await runInTransaction(session =>
+      CycleManager.processContribution(req.body.circleId, req.user._id, session)
+    );
     
-    user.activeCircles.push(circleId);
-    
+    res.json({ success: true, amount: result.amount });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Organizer (or Admin) marks a member as defaulted for the current round
+router.post('/default', requireCircleRole('Organizer'), idempotent, async (req, res) => {
+  try {
+    const { userId } = req.body;
+    if (!userId) throw new Error('userId is required');
+
+    const user = await runInTransaction(session =>
+      CycleManager.processDefault(req.circle._id, userId, session)
+    );
+    res.json({ message: `${user.fullName} defaulted. Debt: ₦${money.toDecimalString(money.toKobo(user.wallet.debtBalance))}, Status: ${user.status}` });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Organizer sets the payout order (OrganizerAssigned circles, while Forming)
+ * Body: { order: [userId, ...] }; members left out follow in join order.
+ */
+router.put('/:id/payout-order', requireCircleRole('Organizer'), async (req, res) => {
+  try {
+    const circle = req.circle;
+    if (circle.payoutStrategy !== 'OrganizerAssigned') throw new Error('Circle does not use the OrganizerAssigned strategy');
+    if (circle.status !== 'Forming') throw new Error('Payout order is fixed once the circle is Active');
+
+    const order = Array.isArray(req.body.order) ? req.body.order.map(String) : [];
+    const memberIds = circle.members.map(m => m.user.toString());
+    const unknown = order.filter(id => !memberIds.includes(id));
+    if (unknown.length) throw new Error(`Not members of this circle: ${unknown.join(', ')}`);
+    if (new Set(order).size !== order.length) throw new Error('Order lists a member more than once');
+
+    circle.assignedOrder = order;
     await circle.save();
-    await user.save();
-    res.json({ success: true, status: circle.status });
+    res.json({ assignedOrder: circle.assignedOrder });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-router.post('/payout', async (req, res) => {
+/**
+ * Bid for an earlier payout slot (Bidding circles, while Forming)
+ * Body: { amount } - the discount the member will give up from their payout
+ */
+router.put('/:id/bid', requireCircleRole('Organizer', 'Member'), async (req, res) => {
   try {
-    const result = await CycleManager.processCirclePayout(req.body.circleId);
-    res.json(result);
+    const circle = req.circle;
+    if (circle.payoutStrategy !== 'Bidding') throw new Error('Circle does not use the Bidding strategy');
+    if (circle.status !== 'Forming') throw new Error('Bidding closes once the circle is Active');
+
+    const member = circle.members.find(m => m.user.toString() === req.user._id.toString());
+    if (!member) throw new Error('Not a member of this circle');
+
+    const bid = money.parseAmount(req.body.amount, { allowZero: true });
+    if (bid >= money.toKobo(circle.totalPot)) throw new Error('Bid must be less than the pot');
+
+    member.bid = money.fromKobo(bid);
+    await circle.save();
+    res.json({ bid: money.toNaira(bid) });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(400).json({ error: err.message });
   }
 });
 
-router.post('/contribute', async (req, res) => {
+/**
+ * Audit a RandomDraw: replays the stored seed over the stored candidates
+ * `verified` checks the draw itself against the order as drawn;
+ * `amendmentsVerified` checks that the removals and replacements recorded
+ * since then lead from that order to today's payoutOrder.
+ */
+router.get('/:id/payout-draw', requireCircleRole('Organizer', 'Member'), (req, res) => {
+  const { payoutStrategy, payoutDraw, payoutOrder, payoutOrderAmendments } = req.circle;
+  if (payoutStrategy !== 'RandomDraw' || !payoutDraw || !payoutDraw.seed) {
+    return res.status(404).json({ error: 'No random draw recorded for this circle' });
+  }
+
+  // Circles drawn before the drawn order was kept separately
+  const drawnOrder = payoutDraw.order.length ? payoutDraw.order : payoutOrder;
+  const replayed = seededShuffle(payoutDraw.candidates.map(String), payoutDraw.seed);
+  const amended = applyAmendments(drawnOrder, payoutOrderAmendments);
+  res.json({
+    algorithm: payoutDraw.algorithm,
+    seed: payoutDraw.seed,
+    candidates: payoutDraw.candidates,
+    drawnAt: payoutDraw.drawnAt,
+    drawnOrder,
+    amendments: payoutOrderAmendments,
+    payoutOrder,
+    verified: replayed.join() === drawnOrder.map(String).join(),
+    amendmentsVerified: Boolean(amended) && amended.join() === payoutOrder.map(String).join()
+  });
+});
+
+/**
+ * Create an invite code (Organizer)
+ * Body: { expiresInHours, maxUses } - both optional
+ */
+router.post('/:id/invites', requireCircleRole('Organizer'), async (req, res) => {
   try {
-    const { userId, circleId } = req.body;
-    const user = await User.findById(userId);
-    const circle = await Circle.findById(circleId);
-    
-    const member = circle.members.find(m => m.user.toString() === userId);
-    if (!member) throw new Error('Not a member');
-    
-    const amount = parseFloat(circle.contributionAmount.toString());
-    await user.escrowToVault(amount);
-    member.paymentStatus = 'Paid';
-    
-    await user.save();
+    const circle = req.circle;
+    if (circle.status !== 'Forming') throw new Error('Invites can only be created while the circle is Forming');
+
+    const hours = req.body.expiresInHours === undefined ? null : Number(req.body.expiresInHours);
+    if (hours !== null && !(hours > 0)) throw new Error('expiresInHours must be a positive number');
+    const maxUses = req.body.maxUses === undefined ? undefined : Number(req.body.maxUses);
+    if (maxUses !== undefined && !(Number.isInteger(maxUses) && maxUses > 0)) throw new Error('maxUses must be a positive integer');
+
+    circle.invites.push({
+      code: crypto.randomBytes(6).toString('base64url'),
+      createdBy: req.user._id,
+      expiresAt: hours === null ? undefined : new Date(Date.now() + hours * 60 * 60 * 1000),
+      maxUses
+    });
     await circle.save();
-    
-    res.json({ success: true, amount });
+
+    const invite = circle.invites[circle.invites.length - 1];
+    res.status(201).json({ ...invite.toJSON(), link: `/api/circles/invites/${invite.code}` });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-router.post('/default', async (req, res) => {
+router.get('/:id/invites', requireCircleRole('Organizer'), (req, res) => {
+  res.json(req.circle.invites);
+});
+
+// Revoke an invite code (Organizer)
+router.delete('/:id/invites/:code', requireCircleRole('Organizer'), async (req, res) => {
+  const invite = req.circle.invites.find(i => i.code === req.params.code);
+  if (!invite) return res.status(404).json({ error: 'Invite not found' });
+
+  invite.revokedAt = invite.revokedAt || new Date();
+  await req.circle.save();
+  res.json(invite);
+});
+
+// Join requests awaiting the organizer (?status=Pending|Approved|Rejected)
+router.get('/:id/join-requests', requireCircleRole('Organizer'), async (req, res) => {
+  await req.circle.populate('joinRequests.user', 'fullName trustScore userTier');
+  const status = req.query.status || 'Pending';
+  res.json(req.circle.joinRequests.filter(r => r.status === status));
+});
+
+/**
+ * Approve or reject a join request (Organizer)
+ * Approval re-runs the entry checks against the requester as they are now,
+ * and counts a use of the invite the request was made with.
+ */
+const decideJoinRequest = (decision) => async (req, res) => {
   try {
-    const { userId, circleId } = req.body;
-    const user = await User.findById(userId);
-    const circle = await Circle.findById(circleId);
-    
-    const member = circle.members.find(m => m.user.toString() === userId);
-    if (!member) throw new Error('Not a member');
-    
-    const amount = parseFloat(circle.contributionAmount.toString());
-    await user.applyDefaultPenalty(amount);
-    member.paymentStatus = 'Defaulted';
-    
+    const result = await runInTransaction(async (session) => {
+      const circle = await Circle.findById(req.circle._id).session(session);
+      const request = circle.joinRequests.id(req.params.requestId);
+      if (!request) throw new Error('Join request not found');
+      if (request.status !== 'Pending') throw new Error(`Join request was already ${request.status}`);
+
+      request.decidedAt = new Date();
+      request.decidedBy = req.user._id;
+
+      if (decision === 'reject') {
+        request.status = 'Rejected';
+        await circle.save({ session });
+        return { request };
+      }
+
+      const user = await User.findById(request.user).session(session);
+      const failure = await checkCircleEntry(user, circle, session);
+      if (failure) return { failure };
+
+      // Other requests made with the same code may have used it up since
+      const invite = request.inviteCode && circle.invites.find(i => i.code === request.inviteCode);
+      if (invite) {
+        if (invite.maxUses && invite.uses >= invite.maxUses) throw new Error('The invite this request was made with is used up');
+        invite.uses += 1;
+      }
+
+      request.status = 'Approved';
+      await CycleManager.admitMember(circle, user, session);
+      await circle.save({ session });
+      await user.save({ session });
+      return { request, circleStatus: circle.status };
+    });
+
+    if (result.failure) return res.status(result.failure.status).json(result.failure.body);
+    res.json(result);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+router.post('/:id/join-requests/:requestId/approve', requireCircleRole('Organizer'), decideJoinRequest('approve'));
+router.post('/:id/join-requests/:requestId/reject', requireCircleRole('Organizer'), decideJoinRequest('reject'));
+
+// Organizer replaces the admission rules while the circle is Forming
+router.put('/:id/admission-rules', requireCircleRole('Organizer'), async (req, res) => {
+  try {
+    const circle = req.circle;
+    if (circle.status !== 'Forming') throw new Error('Admission rules are fixed once the circle is Active');
+
+    circle.admissionRules = parseAdmissionRules(req.body) || {};
     await circle.save();
-    res.json({ message: `${user.fullName} defaulted. Debt: ₦${user.wallet.debtBalance}, Status: ${user.status}` });
+    res.json(circle.admissionRules);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+// Dry run: every check the authenticated user would fail for this circle
+router.get('/:id/eligibility', async (req, res) => {
+  const circle = mongoose.isValidObjectId(req.params.id) && await Circle.findById(req.params.id);
+  if (!circle) return res.status(404).json({ error: 'Circle not found' });
+
+  res.json(evaluateAdmission(req.user, circle, await admissionContext(req.user)));
+});
+
 // Add this route (GET all circles)
 router.get('/', async (req, res) => {
   try {
-    const circles = await Circle.find().populate('members.user');
+    // Private circles are only listed to their members (and Admins)
+    const filter = req.user.role === 'Admin'
+      ? {}
+      : { $or: [{ visibility: { $ne: 'Private' } }, { 'members.user': req.user._id }] };
+    const circles = await Circle.find(filter).select('-invites').populate('members.user');
     res.json(circles);
   } catch (err) {
     res.status(500).json({ error: err.message });
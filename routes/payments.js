@@ -0,0 +1,98 @@
+const router = require('express').Router();
+const FundingIntent = require('../models/FundingIntent');
+const Withdrawal = require('../models/Withdrawal');
+const FundingService = require('../services/FundingService');
+const WithdrawalService = require('../services/WithdrawalService');
+const payments = require('../services/payments');
+const money = require('../utils/money');
+
+/**
+ * Provider webhooks
+ * Unauthenticated by design: trust comes from the HMAC signature over the
+ * raw request body (captured as req.rawBody in server.js). Always answer
+ * 200 once the signature checks out, or the provider keeps retrying.
+ */
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const provider = payments.getProvider();
+    if (provider.name !== req.params.provider) {
+      return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+
+    if (!req.rawBody || !provider.verifyWebhook(req.rawBody, req.headers)) {
+      return res.status(401).json({ error: 'Invalid webhook signature', code: 'INVALID_SIGNATURE' });
+    }
+
+    // charge.* settles deposits, transfer.* settles withdrawals
+    const isTransfer = String(req.body.event || '').startsWith('transfer.');
+    const { outcome, intent, withdrawal } = isTransfer
+      ? await WithdrawalService.settleWebhook(provider, req.body)
+      : await FundingService.settleWebhook(provider, req.body);
+    const settled = intent || withdrawal;
+    res.json({ received: true, outcome, reference: settled && settled.reference });
+  } catch (err) {
+    console.error('Webhook processing failed:', err);
+    res.status(500).json({ error: 'Webhook processing failed' }); // Provider will redeliver
+  }
+});
+
+// Deliver a signed webhook to our own endpoint over HTTP, as the provider would
+const deliverFakeWebhook = async (req, res, { rawBody, headers }) => {
+  const response = await fetch(`${req.protocol}://${req.get('host')}/api/payments/webhooks/fake`, {
+    method: 'POST',
+    headers,
+    body: rawBody
+  });
+  res.status(response.status).json(await response.json());
+};
+
+// The fake provider's stand-in routes never exist in production
+const fakeOnly = (req, res, next) => {
+  if (process.env.NODE_ENV === 'production' || payments.getProvider().name !== 'fake') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+};
+
+/**
+ * Local stand-in for the provider's hosted checkout (fake provider only)
+ * "Pays" a funding intent by sending its signed charge webhook.
+ * Body: { outcome: 'success' | 'failed' }
+ */
+router.post('/fake/checkout/:reference', fakeOnly, async (req, res) => {
+  try {
+    const provider = payments.getProvider();
+    const intent = await FundingIntent.findOne({ reference: req.params.reference });
+    if (!intent) return res.status(404).json({ error: 'Funding intent not found' });
+
+    await deliverFakeWebhook(req, res, provider.signWebhook({
+      reference: intent.reference,
+      amount: money.toKobo(intent.amount),
+      outcome: req.body.outcome === 'failed' ? 'failed' : 'success'
+    }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Local stand-in for the bank settling a withdrawal (fake provider only)
+ * Body: { outcome: 'success' | 'failed' | 'reversed' }
+ */
+router.post('/fake/transfers/:reference', fakeOnly, async (req, res) => {
+  try {
+    const withdrawal = await Withdrawal.findOne({ reference: req.params.reference });
+    if (!withdrawal) return res.status(404).json({ error: 'Withdrawal not found' });
+
+    const outcome = ['failed', 'reversed'].includes(req.body.outcome) ? req.body.outcome : 'success';
+    await deliverFakeWebhook(req, res, payments.getProvider().signTransferWebhook({
+      reference: withdrawal.reference,
+      amount: money.toKobo(withdrawal.amount),
+      outcome
+    }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const router = require('express').Router();
+const mongoose = require('mongoose');
+const TierDecision = require('../models/TierDecision');
+const TierPolicyService = require('../services/TierPolicyService');
+const { authenticate } = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+
+router.use(authenticate);
+
+// Policy in force; members can see what their tier allows
+router.get('/', async (req, res) => {
+  try {
+    res.json(TierPolicyService.present(await TierPolicyService.current()));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+router.get('/versions', requireRole('Admin'), async (req, res) => {
+  try {
+    const versions = await TierPolicyService.history();
+    res.json(versions.map(policy => TierPolicyService.present(policy)));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Save a new policy version
+ * Body: { tiers: { Gold: { maxExposure: 2000000 }, ... }, notes }. Tiers
+ * and fields left out keep their current values. Members whose tier moves
+ * under the new score thresholds are re-tiered straight away.
+ */
+router.put('/', requireRole('Admin'), async (req, res) => {
+  try {
+    const { tiers, notes } = req.body || {};
+    if (!tiers || typeof tiers !== 'object') throw new Error('tiers is required');
+
+    const policy = await TierPolicyService.update(tiers, { by: req.user._id, notes });
+    const retiered = await TierPolicyService.retier(policy);
+    res.json({ policy: TierPolicyService.present(policy), retiered });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Decisions made under the policy; ?user, ?circle, ?kind, ?policyVersion filter
+router.get('/decisions', requireRole('Admin'), async (req, res) => {
+  try {
+    const { user, circle, kind, policyVersion } = req.query;
+    const filter = {};
+
+    for (const [field, id] of Object.entries({ user, circle })) {
+      if (!id) continue;
+      if (!mongoose.isValidObjectId(id)) throw new Error(`Invalid ${field} ID`);
+      filter[field] = id;
+    }
+    if (kind) filter.kind = { $in: kind.split(',') };
+    if (policyVersion !== undefined) filter.policyVersion = parseInt(policyVersion, 10);
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const [decisions, total] = await Promise.all([
+      TierDecision.find(filter).sort({ decidedAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+      TierDecision.countDocuments(filter)
+    ]);
+
+    res.json({ page, limit, total, decisions });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
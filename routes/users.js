@@ -1,20 +1,245 @@
 const router = require('express').Router();
+const mongoose = require('mongoose');
 const User = require('../models/user_schema');
+const Transaction = require('../models/Transaction');
+const FundingIntent = require('../models/FundingIntent');
+const Withdrawal = require('../models/Withdrawal');
+const FundingService = require('../services/FundingService');
+const WithdrawalService = require('../services/WithdrawalService');
+const DebtService = require('../services/DebtService');
+const TrustEngine = require('../services/TrustEngine');
+const money = require('../utils/money');
+const { runInTransaction } = require('../utils/transaction');
+const { authenticate } = require('../middleware/auth');
+const { requireRole, requireSelfOrRole } = require('../middleware/authorize');
+const { idempotent } = require('../middleware/idempotency');
 
+// Registration opens an empty wallet: money only arrives through a funding intent
 router.post('/', async (req, res) => {
   try {
-    const user = new User(req.body);
-    user.wallet.availableBalance = require('mongoose').Types.Decimal128.fromString(req.body.initialBalance.toString());
+    const { fullName, bvn, nin, phoneNumber, password } = req.body;
+
+    const user = new User({ fullName, bvn, nin, phoneNumber });
+    if (password) user.setPassword(password);
     await user.save();
+
     res.json(user);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-router.get('/', async (req, res) => {
+router.get('/', authenticate, requireRole('Admin'), async (req, res) => {
   const users = await User.find();
   res.json(users);
 });
 
-module.exports = router;
\ No newline at end of file
+// Profile of the authenticated member
+router.get('/me', authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+// Set or change the login password
+router.put('/me/password', authenticate, async (req, res) => {
+  try {
+    req.user.setPassword(req.body.password);
+    await req.user.save();
+    res.json({ message: 'Password updated' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Wallet journal for a user
+ * Filters: leg, direction, eventType, circle, from, to (ISO dates)
+ * Paging: page (1-based), limit (max 100)
+ */
+router.get('/:id/transactions', authenticate, requireSelfOrRole('Admin'), async (req, res) => {
+  try {
+    const { leg, direction, eventType, circle, from, to } = req.query;
+    const filter = { user: req.params.id };
+
+    if (leg) filter.leg = leg;
+    if (direction) filter.direction = direction;
+    if (eventType) filter.eventType = { $in: eventType.split(',') };
+    if (circle) {
+      if (!mongoose.isValidObjectId(circle)) throw new Error('Invalid circle ID');
+      filter.circle = circle;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some(d => isNaN(d))) throw new Error('Invalid date range');
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+      Transaction.countDocuments(filter)
+    ]);
+
+    res.json({ page, limit, total, transactions });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Trust score with the factors behind it
+ * Decay moves the score between events, so the stored score (and tier) is
+ * brought up to date here. ?limit caps the history returned (max 200).
+ */
+router.get('/:id/trust', authenticate, requireSelfOrRole('Admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const explanation = await TrustEngine.explain(user, { limit });
+    if (explanation.score !== user.trustScore) {
+      user.trustScore = explanation.score;
+      await user.save();
+    }
+
+    res.json({ userId: user._id, tier: user.userTier, ...explanation });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Start a wallet deposit
+ * Returns the provider's checkout URL; the wallet is credited when the
+ * provider's webhook confirms payment.
+ */
+router.post('/:id/funding', authenticate, requireSelfOrRole('Admin'), idempotent, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const intent = await FundingService.createIntent(user, money.parseAmount(req.body.amount));
+    res.status(201).json(intent);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Poll a deposit's status
+router.get('/:id/funding/:reference', authenticate, requireSelfOrRole('Admin'), async (req, res) => {
+  const intent = await FundingIntent.findOne({ user: req.params.id, reference: req.params.reference });
+  if (!intent) return res.status(404).json({ error: 'Funding intent not found' });
+  res.json(intent);
+});
+
+// Register a payout bank account (NUBAN checksum validated)
+router.post('/:id/bank-accounts', authenticate, requireSelfOrRole('Admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const { bankCode, accountNumber, accountName } = req.body;
+    const account = await WithdrawalService.addBankAccount(user, {
+      bankCode: String(bankCode || ''),
+      accountNumber: String(accountNumber || ''),
+      accountName
+    });
+    res.status(201).json(account);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+router.get('/:id/bank-accounts', authenticate, requireSelfOrRole('Admin'), async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  res.json(user.bankAccounts);
+});
+
+/**
+ * Withdraw from availableBalance to a registered bank account
+ * The amount is reserved immediately; the withdrawal settles to Paid or
+ * Failed when the provider reports the transfer outcome.
+ */
+router.post('/:id/withdrawals', authenticate, requireSelfOrRole('Admin'), idempotent, async (req, res) => {
+  try {
+    const withdrawal = await WithdrawalService.requestWithdrawal(req.params.id, {
+      amount: money.parseAmount(req.body.amount),
+      bankAccountId: req.body.bankAccountId
+    });
+    res.status(201).json(withdrawal);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+router.get('/:id/withdrawals', authenticate, requireSelfOrRole('Admin'), async (req, res) => {
+  const filter = { user: req.params.id };
+  if (req.query.status) filter.status = req.query.status;
+  const withdrawals = await Withdrawal.find(filter).sort({ createdAt: -1 }).limit(100);
+  res.json(withdrawals);
+});
+
+/**
+ * Repay outstanding debt from available balance
+ * `amount` is optional; without it as much debt as the balance covers is
+ * repaid. Settles the oldest backstop loans first.
+ */
+router.post('/:id/repay', authenticate, requireSelfOrRole('Admin'), idempotent, async (req, res) => {
+  try {
+    const result = await runInTransaction(async (session) => {
+      const user = await User.findById(req.params.id).session(session);
+      if (!user) throw new Error('User not found');
+
+      const amount = req.body.amount === undefined
+        ? Math.min(money.toKobo(user.wallet.availableBalance), money.toKobo(user.wallet.debtBalance))
+        : money.parseAmount(req.body.amount);
+      if (amount === 0) throw new Error('Nothing to repay');
+
+      return DebtService.repay(user, amount, session);
+    });
+
+    res.json({
+      repaid: money.toNaira(result.repaid),
+      principal: money.toNaira(result.principal),
+      penalty: money.toNaira(result.penalty),
+      remainingDebt: money.toNaira(result.remainingDebt),
+      loansRecovered: result.loansRecovered
+    });
+  } catch (err) {
+    res.status(err.message === 'User not found' ? 404 : 400).json({ error: err.message });
+  }
+});
+
+// Record a completed KYC upgrade (Admin)
+router.patch('/:id/kyc', authenticate, requireRole('Admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    user.kycLevel = Number(req.body.kycLevel);
+    await user.save();
+    res.json({ userId: user._id, kycLevel: user.kycLevel });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Grant or revoke the platform Admin role
+router.patch('/:id/role', authenticate, requireRole('Admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    user.role = req.body.role;
+    await user.save();
+    res.json({ userId: user._id, role: user.role });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,10 @@ const express = require('express');
 const mongoose = require('mongoose');
 const app = express();
 
-app.use(express.json());
+// Keep the raw bytes too: webhook signatures are computed over them
+app.use(express.json({
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI)
@@ -16,6 +19,21 @@ mongoose.connect(process.env.MONGODB_URI)
         balance: mongoose.Types.Decimal128.fromString("1000000") 
       });
     }
+    // Loans used to be embedded in the reserve document
+    const moved = await require('./services/BackstopService').migrateEmbeddedLoans();
+    if (moved) console.log(`Moved ${moved} backstop loans into their own collection`);
+    // Bootstrap platform admins (comma-separated phone numbers)
+    if (process.env.ADMIN_PHONE_NUMBERS) {
+      const User = require('./models/user_schema');
+      const phones = process.env.ADMIN_PHONE_NUMBERS.split(',').map(p => p.trim());
+      await User.updateMany({ phoneNumber: { $in: phones } }, { role: 'Admin' });
+    }
+    // Automatic payouts from each circle's frequency
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      require('./services/CycleScheduler').start({
+        intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 60000
+      });
+    }
   });
 
 // Routes
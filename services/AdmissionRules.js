@@ -0,0 +1,241 @@
+const Circle = require('../models/Circles');
+const TierPolicyService = require('./TierPolicyService');
+const money = require('../utils/money');
+
+const PLATFORM_MIN_TRUST_SCORE = 350;
+
+/**
+ * Circle Admission Rules Engine
+ * Every rule runs, so a member sees everything standing between them and
+ * a circle at once instead of fixing one problem per attempt.
+ *
+ * A rule is { code, check(user, circle, context) } where check returns
+ * null when the user passes, or { error, message, ...details } when they
+ * don't. Platform rules always apply; circle rules read
+ * circle.admissionRules and pass when the organizer hasn't set them.
+ *
+ * `context` carries what the rules can't read off the documents: the tier
+ * policy to apply and the member's current exposure (see admissionContext).
+ */
+
+// Rules that apply the member's tier; their outcome is recorded as a TierDecision
+const TIER_RULE_CODES = ['TIER_LIMIT', 'TIER_CONTRIBUTION_CAP', 'TIER_EXPOSURE_CAP'];
+
+/**
+ * Contributions a member still owes a circle, in kobo
+ * Forming circles count a full rotation at capacity; for running circles,
+ * rounds already escrowed (this round if Paid, plus any prepaid) are
+ * excluded. Without `userId`, what a newcomer would take on.
+ */
+const remainingCommitment = (circle, userId) => {
+  const contribution = money.toKobo(circle.contributionAmount);
+  if (circle.status === 'Forming') return contribution * circle.maxMembers;
+  if (!['Active', 'Paused'].includes(circle.status)) return 0;
+
+  let rounds = circle.payoutOrder.length - circle.currentTurn;
+  const member = userId && circle.members.find(m => (m.user._id || m.user).toString() === userId.toString());
+  if (member) {
+    if (member.paymentStatus === 'Paid') rounds -= 1;
+    rounds -= member.prepaidRounds || 0;
+  }
+  return contribution * Math.max(0, rounds);
+};
+
+/**
+ * Tier policy in force and the user's exposure across their active circles
+ * @returns {Promise<{ policy: Object, exposure: Number }>} exposure in kobo
+ */
+const admissionContext = async (user, session) => {
+  const policy = await TierPolicyService.current({ session });
+  const circles = user.activeCircles && user.activeCircles.length
+    ? await Circle.find({ _id: { $in: user.activeCircles } })
+      .select('status contributionAmount maxMembers payoutOrder currentTurn members.user members.paymentStatus members.prepaidRounds')
+      .session(session || null)
+    : [];
+  const exposure = money.add(0, ...circles.map(circle => remainingCommitment(circle, user._id)));
+  return { policy, exposure };
+};
+
+const PLATFORM_RULES = [
+  {
+    code: 'BLACKLISTED',
+    check: (user) => user.status === 'Blacklisted' && {
+      error: 'Account Blacklisted',
+      message: 'You cannot join Ajo circles due to excessive defaulted contributions. Please contact support.'
+    }
+  },
+  {
+    code: 'ACTIVE_DEBT',
+    check: (user) => {
+      const debt = money.toKobo(user.wallet.debtBalance);
+      return debt > 0 && {
+        error: 'Outstanding Debt',
+        message: `You have an unpaid debt of ₦${money.toDecimalString(debt)}. Please clear your debt before joining a new circle.`,
+        requiredPayment: money.toNaira(debt)
+      };
+    }
+  },
+  {
+    code: 'FROZEN',
+    check: (user) => user.status === 'Frozen' && {
+      error: 'Account Frozen',
+      message: 'Your account is temporarily frozen. Complete verification to continue.'
+    }
+  },
+  {
+    code: 'TIER_LIMIT',
+    check: (user, circle, { policy }) => {
+      // Blacklisted/Frozen accounts are already reported above
+      if (user.status !== 'Active') return null;
+      const canJoin = user.canJoinCircle(policy);
+      return !canJoin.allowed && {
+        error: 'Tier Limit Reached',
+        message: canJoin.reason,
+        currentTier: user.userTier
+      };
+    }
+  },
+  {
+    code: 'TIER_CONTRIBUTION_CAP',
+    check: (user, circle, { policy }) => {
+      const max = circle && TierPolicyService.rulesFor(user.userTier, policy).maxContribution;
+      if (max === null || max === undefined) return null;
+
+      return money.toKobo(circle.contributionAmount) > max && {
+        error: 'Contribution Above Tier Cap',
+        message: `${user.userTier} members may join circles contributing at most ₦${money.toDecimalString(max)} per round.`,
+        currentTier: user.userTier,
+        maxContribution: money.toNaira(max)
+      };
+    }
+  },
+  {
+    code: 'TIER_EXPOSURE_CAP',
+    check: (user, circle, { policy, exposure }) => {
+      const max = circle && TierPolicyService.rulesFor(user.userTier, policy).maxExposure;
+      if (max === null || max === undefined) return null;
+
+      const total = money.add(exposure, remainingCommitment(circle));
+      return total > max && {
+        error: 'Exposure Above Tier Cap',
+        message: `Joining would commit you to ₦${money.toDecimalString(total)} in contributions across your circles; ` +
+          `${user.userTier} members may commit at most ₦${money.toDecimalString(max)}.`,
+        currentTier: user.userTier,
+        currentExposure: money.toNaira(exposure),
+        exposureAfterJoining: money.toNaira(total),
+        maxExposure: money.toNaira(max)
+      };
+    }
+  },
+  {
+    code: 'LOW_TRUST',
+    check: (user) => user.trustScore < PLATFORM_MIN_TRUST_SCORE && {
+      error: 'Trust Score Too Low',
+      message: 'Your reputation score is below the threshold to join new circles. Improve your score by completing existing cycles.',
+      currentScore: user.trustScore,
+      requiredScore: PLATFORM_MIN_TRUST_SCORE
+    }
+  }
+];
+
+const CIRCLE_RULES = [
+  {
+    code: 'CIRCLE_MIN_TRUST',
+    check: (user, { admissionRules: rules }) => rules.minTrustScore && user.trustScore < rules.minTrustScore && {
+      error: 'Trust Score Below Circle Minimum',
+      message: `This circle requires a trust score of at least ${rules.minTrustScore}.`,
+      currentScore: user.trustScore,
+      requiredScore: rules.minTrustScore
+    }
+  },
+  {
+    code: 'TIER_NOT_ALLOWED',
+    check: (user, { admissionRules: rules }) => rules.allowedTiers && rules.allowedTiers.length > 0 &&
+      !rules.allowedTiers.includes(user.userTier) && {
+      error: 'Tier Not Allowed',
+      message: `This circle is open to ${rules.allowedTiers.join(', ')} members only.`,
+      currentTier: user.userTier,
+      allowedTiers: [...rules.allowedTiers]
+    }
+  },
+  {
+    code: 'CONTRIBUTION_ABOVE_TIER_MAX',
+    check: (user, circle) => {
+      const limits = circle.admissionRules.maxContributionByTier;
+      const limit = limits && limits[user.userTier];
+      if (limit === undefined || limit === null) return null;
+
+      const max = money.toKobo(limit);
+      return money.toKobo(circle.contributionAmount) > max && {
+        error: 'Contribution Too High For Tier',
+        message: `${user.userTier} members may join circles contributing at most ₦${money.toDecimalString(max)}.`,
+        currentTier: user.userTier,
+        maxContribution: money.toNaira(max)
+      };
+    }
+  },
+  {
+    code: 'KYC_LEVEL_TOO_LOW',
+    check: (user, { admissionRules: rules }) => rules.minKycLevel && (user.kycLevel || 1) < rules.minKycLevel && {
+      error: 'KYC Level Too Low',
+      message: `This circle requires KYC level ${rules.minKycLevel}. Complete verification to upgrade.`,
+      currentLevel: user.kycLevel || 1,
+      requiredLevel: rules.minKycLevel
+    }
+  }
+];
+
+/**
+ * Run every rule for `user` against `circle` (circle optional: platform rules only)
+ * @param {Object} context - { policy, exposure } from admissionContext(); defaults to
+ *   the last loaded policy and no existing exposure
+ * @returns {{ eligible: Boolean, failures: Array<{ code, error, message }> }}
+ */
+const evaluateAdmission = (user, circle, { policy = TierPolicyService.snapshot(), exposure = 0 } = {}) => {
+  const rules = circle && circle.admissionRules ? [...PLATFORM_RULES, ...CIRCLE_RULES] : PLATFORM_RULES;
+  const failures = rules
+    .map(rule => {
+      const failure = rule.check(user, circle, { policy, exposure });
+      return failure ? { code: rule.code, ...failure } : null;
+    })
+    .filter(Boolean);
+
+  return { eligible: failures.length === 0, failures };
+};
+
+/**
+ * The tier side of an admission check, as a TierDecision
+ */
+const admissionDecision = (user, circle, { policy, exposure }, { failures }) => {
+  const rules = TierPolicyService.rulesFor(user.userTier, policy);
+  const tierFailures = failures.filter(f => TIER_RULE_CODES.includes(f.code)).map(f => f.code);
+  return {
+    user: user._id,
+    kind: 'Admission',
+    policyVersion: policy.version,
+    tier: user.userTier,
+    outcome: tierFailures.length ? 'Denied' : 'Allowed',
+    circle: circle && circle._id,
+    details: {
+      failures: tierFailures,
+      activeCircles: user.activeCircles.length,
+      maxActiveCircles: rules.maxActiveCircles,
+      contribution: circle ? money.toNaira(money.toKobo(circle.contributionAmount)) : null,
+      maxContribution: rules.maxContribution === null ? null : money.toNaira(rules.maxContribution),
+      exposure: money.toNaira(exposure),
+      commitment: circle ? money.toNaira(remainingCommitment(circle)) : null,
+      maxExposure: rules.maxExposure === null ? null : money.toNaira(rules.maxExposure)
+    }
+  };
+};
+
+module.exports = {
+  PLATFORM_MIN_TRUST_SCORE,
+  PLATFORM_RULES,
+  CIRCLE_RULES,
+  TIER_RULE_CODES,
+  remainingCommitment,
+  admissionContext,
+  admissionDecision,
+  evaluateAdmission
+};
@@ -0,0 +1,82 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/user_schema');
+
+const OTP_SELECT = '+otp.codeHash +otp.expiresAt +otp.attempts';
+
+/**
+ * Authentication Service
+ * Issues and verifies the JWTs that identify a member on every request.
+ * Members log in with their phone number plus either a password or a
+ * one-time code delivered by SMS.
+ */
+class AuthService {
+
+  get secret() {
+    if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET is not configured');
+    return process.env.JWT_SECRET;
+  }
+
+  /**
+   * Sign an access token for a user
+   * The user ID travels in the standard `sub` claim.
+   */
+  issueToken(user) {
+    return jwt.sign(
+      { sub: user._id.toString() },
+      this.secret,
+      { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
+    );
+  }
+
+  /**
+   * Verify a token and return its claims
+   * Throws if the signature is invalid or the token has expired.
+   */
+  verifyToken(token) {
+    return jwt.verify(token, this.secret);
+  }
+
+  /**
+   * Step 1 of OTP login: generate a code for the phone number
+   * Unknown numbers get the same response so the endpoint cannot be used
+   * to discover who is registered.
+   */
+  async requestOtp(phoneNumber) {
+    const user = await User.findOne({ phoneNumber }).select(OTP_SELECT);
+    if (!user) return;
+
+    const code = user.issueOtp();
+    await user.save();
+
+    // Hand off to the SMS gateway in production; log locally for development
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`[OTP] Login code for ${phoneNumber}: ${code}`);
+    }
+  }
+
+  /**
+   * Step 2: exchange phone number + password (or OTP) for a token
+   */
+  async login({ phoneNumber, password, otp }) {
+    if (!phoneNumber || (!password && !otp)) {
+      throw new Error('Phone number and a password or one-time code are required');
+    }
+
+    const user = await User.findOne({ phoneNumber }).select(`+passwordHash ${OTP_SELECT}`);
+    if (!user) throw new Error('Invalid credentials');
+
+    let valid;
+    if (password) {
+      valid = user.verifyPassword(password);
+    } else {
+      valid = user.verifyOtp(otp);
+      await user.save(); // Persist consumed code or attempt counter
+    }
+
+    if (!valid) throw new Error('Invalid credentials');
+
+    return { token: this.issueToken(user), user };
+  }
+}
+
+module.exports = new AuthService();
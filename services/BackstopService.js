@@ -0,0 +1,347 @@
+const BackstopReserve = require('../models/BackstopReserve');
+const BackstopLoan = require('../models/BackstopLoan');
+const Transaction = require('../models/Transaction');
+const Circle = require('../models/Circles');
+const User = require('../models/user_schema');
+const money = require('../utils/money');
+const { runInTransaction } = require('../utils/transaction');
+
+const AGEING_BUCKETS = ['0-30', '31-60', '61-90', '90+']; // Days since the loan was made
+const FLOW_INTERVALS = ['day', 'week', 'month'];
+
+// Journal entries that pay money into the reserve, and out of it outside loans
+const FEE_EVENTS = ['PlatformFee', 'LateFee', 'ExitFee'];
+const RECOVERY_EVENTS = ['DebtRepayment', 'PenaltyRepayment'];
+const RESERVE_PAYMENT_EVENTS = ['SettlementRefund'];
+
+// Aggregated Decimal128 (or nothing) -> naira number
+const naira = (value) => money.toNaira(money.toKobo(value || 0));
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+
+// What is still owed on a loan: principal and penalty not yet recovered
+const OUTSTANDING_PRINCIPAL = { $subtract: ['$amount', '$principalRecovered'] };
+const OUTSTANDING_PENALTY = { $subtract: ['$penalty', '$penaltyRecovered'] };
+
+/**
+ * Backstop Reserve Reporting
+ * Solvency and exposure figures for risk and finance, computed with
+ * aggregations over BackstopLoan, the journal and the circles rather than
+ * by loading documents:
+ *
+ * - summary: balance, lifetime totals, recovery rates, outstanding loans
+ *   by age
+ * - outstanding: unrecovered loans grouped by circle or by member
+ * - flows: fee inflow and recoveries against deployments per period
+ * - exposure: what the reserve would have to cover if every member still
+ *   Pending this round defaulted
+ */
+class BackstopService {
+
+  reserve() {
+    return BackstopReserve.findOne();
+  }
+
+  async summary(now = new Date()) {
+    const reserve = await this.reserve();
+    const [[loans = {}], ageing] = await Promise.all([
+      BackstopLoan.aggregate([{
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          outstandingCount: { $sum: { $cond: ['$recovered', 0, 1] } },
+          lent: { $sum: '$amount' },
+          penaltyCharged: { $sum: '$penalty' },
+          principalRecovered: { $sum: '$principalRecovered' },
+          penaltyRecovered: { $sum: '$penaltyRecovered' }
+        }
+      }]),
+      this.ageing(now)
+    ]);
+
+    const lent = money.toKobo(loans.lent || 0);
+    const principalRecovered = money.toKobo(loans.principalRecovered || 0);
+    const penaltyCharged = money.toKobo(loans.penaltyCharged || 0);
+    const penaltyRecovered = money.toKobo(loans.penaltyRecovered || 0);
+
+    return {
+      balance: naira(reserve && reserve.balance),
+      totalDeployed: naira(reserve && reserve.totalDeployed),
+      totalRecovered: naira(reserve && reserve.totalRecovered),
+      penaltyIncome: naira(reserve && reserve.penaltyIncome),
+      lateFeeIncome: naira(reserve && reserve.lateFeeIncome),
+      loans: {
+        count: loans.count || 0,
+        outstandingCount: loans.outstandingCount || 0,
+        lent: money.toNaira(lent),
+        principalOutstanding: money.toNaira(money.subtract(lent, principalRecovered)),
+        penaltyOutstanding: money.toNaira(money.subtract(penaltyCharged, penaltyRecovered))
+      },
+      recoveryRate: {
+        principal: ratio(principalRecovered, lent),
+        penalty: ratio(penaltyRecovered, penaltyCharged)
+      },
+      ageing
+    };
+  }
+
+  /**
+   * Outstanding loans by age in days at `now`
+   */
+  async ageing(now = new Date()) {
+    const rows = await BackstopLoan.aggregate([
+      { $match: { recovered: false } },
+      { $set: { ageDays: { $dateDiff: { startDate: '$createdAt', endDate: now, unit: 'day' } } } },
+      {
+        $group: {
+          _id: {
+            $switch: {
+              branches: [
+                { case: { $lte: ['$ageDays', 30] }, then: '0-30' },
+                { case: { $lte: ['$ageDays', 60] }, then: '31-60' },
+                { case: { $lte: ['$ageDays', 90] }, then: '61-90' }
+              ],
+              default: '90+'
+            }
+          },
+          loans: { $sum: 1 },
+          principal: { $sum: OUTSTANDING_PRINCIPAL },
+          penalty: { $sum: OUTSTANDING_PENALTY }
+        }
+      }
+    ]);
+
+    const byBucket = new Map(rows.map(row => [row._id, row]));
+    return AGEING_BUCKETS.map(bucket => {
+      const row = byBucket.get(bucket) || {};
+      return { days: bucket, loans: row.loans || 0, principal: naira(row.principal), penalty: naira(row.penalty) };
+    });
+  }
+
+  /**
+   * Unrecovered loans grouped by circle or by member, largest first
+   * @param {String} by - 'circle' | 'user'
+   */
+  async outstanding(by, { page = 1, limit = 20 } = {}) {
+    const field = { circle: 'circle', user: 'defaultedUser' }[by];
+    if (!field) throw new Error('Group outstanding loans by circle or user');
+
+    const lookup = by === 'circle'
+      ? { from: Circle.collection.name, localField: '_id', foreignField: '_id', as: 'ref', pipeline: [{ $project: { title: 1, status: 1 } }] }
+      : { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'ref', pipeline: [{ $project: { fullName: 1, userTier: 1 } }] };
+
+    const [result] = await BackstopLoan.aggregate([
+      { $match: { recovered: false } },
+      {
+        $group: {
+          _id: `$${field}`,
+          loans: { $sum: 1 },
+          principal: { $sum: OUTSTANDING_PRINCIPAL },
+          penalty: { $sum: OUTSTANDING_PENALTY },
+          oldest: { $min: '$createdAt' }
+        }
+      },
+      { $set: { total: { $add: ['$principal', '$penalty'] } } },
+      { $sort: { total: -1, _id: 1 } },
+      {
+        $facet: {
+          rows: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $lookup: lookup }],
+          count: [{ $count: 'total' }]
+        }
+      }
+    ]);
+
+    return {
+      page,
+      limit,
+      total: result.count.length ? result.count[0].total : 0,
+      [by === 'circle' ? 'circles' : 'users']: result.rows.map(row => ({
+        [by]: row._id,
+        ...(row.ref[0] ? (by === 'circle'
+          ? { title: row.ref[0].title, status: row.ref[0].status }
+          : { fullName: row.ref[0].fullName, tier: row.ref[0].userTier }) : {}),
+        loans: row.loans,
+        principal: naira(row.principal),
+        penalty: naira(row.penalty),
+        total: naira(row.total),
+        oldest: row.oldest
+      }))
+    };
+  }
+
+  /**
+   * Individual loans, newest first
+   * @param {Object} filter - { status: 'outstanding' | 'recovered', circle, user }
+   */
+  async loans({ status, circle, user } = {}, { page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status) {
+      if (!['outstanding', 'recovered'].includes(status)) throw new Error('status must be outstanding or recovered');
+      filter.recovered = status === 'recovered';
+    }
+    if (circle) filter.circle = circle;
+    if (user) filter.defaultedUser = user;
+
+    const [loans, total] = await Promise.all([
+      BackstopLoan.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+      BackstopLoan.countDocuments(filter)
+    ]);
+    return { page, limit, total, loans };
+  }
+
+  /**
+   * Money into and out of the reserve per period
+   * Inflow is fees (platform, late and exit) and recovered debt; deployment
+   * is default cover lent at payouts plus settlement refunds the reserve
+   * paid. Settlement obligations are not counted again: the refunds they
+   * back already are. Nor are payout IOU payments: the default loans made
+   * when the IOU was recorded already count as cover.
+   *
+   * @param {Object} options - { from, to, interval: 'day' | 'week' | 'month' }
+   */
+  async flows({ from, to, interval = 'month' } = {}) {
+    if (!FLOW_INTERVALS.includes(interval)) throw new Error(`interval must be one of: ${FLOW_INTERVALS.join(', ')}`);
+
+    const range = (field) => {
+      if (!from && !to) return {};
+      return { [field]: { ...(from && { $gte: from }), ...(to && { $lte: to }) } };
+    };
+    const period = (field) => ({ $dateTrunc: { date: `$${field}`, unit: interval } });
+
+    const [journal, lent] = await Promise.all([
+      Transaction.aggregate([
+        {
+          $match: {
+            'counterparty.kind': 'Backstop',
+            leg: 'Available',
+            eventType: { $in: [...FEE_EVENTS, ...RECOVERY_EVENTS, ...RESERVE_PAYMENT_EVENTS] },
+            ...range('createdAt')
+          }
+        },
+        { $group: { _id: { period: period('createdAt'), eventType: '$eventType' }, amount: { $sum: '$amount' } } }
+      ]),
+      BackstopLoan.aggregate([
+        { $match: { kind: 'Default', ...range('createdAt') } },
+        { $group: { _id: period('createdAt'), amount: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    const periods = new Map();
+    const row = (date) => {
+      const key = date.toISOString();
+      if (!periods.has(key)) {
+        periods.set(key, { period: date, platformFees: 0, lateFees: 0, exitFees: 0, recoveries: 0, defaultCover: 0, settlementRefunds: 0 });
+      }
+      return periods.get(key);
+    };
+    const column = {
+      PlatformFee: 'platformFees', LateFee: 'lateFees', ExitFee: 'exitFees',
+      DebtRepayment: 'recoveries', PenaltyRepayment: 'recoveries', SettlementRefund: 'settlementRefunds'
+    };
+
+    for (const { _id, amount } of journal) {
+      const entry = row(_id.period);
+      entry[column[_id.eventType]] = money.add(entry[column[_id.eventType]], money.toKobo(amount));
+    }
+    for (const { _id, amount } of lent) {
+      const entry = row(_id);
+      entry.defaultCover = money.add(entry.defaultCover, money.toKobo(amount));
+    }
+
+    return {
+      interval,
+      periods: [...periods.values()]
+        .sort((a, b) => a.period - b.period)
+        .map(entry => {
+          const feeInflow = money.add(entry.platformFees, entry.lateFees, entry.exitFees);
+          const deployed = money.add(entry.defaultCover, entry.settlementRefunds);
+          const kept = { ...entry };
+          for (const key of Object.keys(kept)) if (key !== 'period') kept[key] = money.toNaira(kept[key]);
+          return {
+            ...kept,
+            feeInflow: money.toNaira(feeInflow),
+            deployed: money.toNaira(deployed),
+            net: money.toNaira(money.subtract(money.add(feeInflow, entry.recoveries), deployed))
+          };
+        })
+    };
+  }
+
+  /**
+   * Worst case for the current round: every member still Pending in an
+   * Active or Paused circle defaults and the reserve covers them all
+   * @param {Object} options - { limit } circles to list, largest exposure first
+   */
+  async exposure({ limit = 10 } = {}) {
+    const [reserve, [result]] = await Promise.all([
+      this.reserve(),
+      Circle.aggregate([
+        { $match: { status: { $in: ['Active', 'Paused'] } } },
+        {
+          $project: {
+            title: 1,
+            status: 1,
+            contributionAmount: 1,
+            pending: { $size: { $filter: { input: '$members', cond: { $eq: ['$$this.paymentStatus', 'Pending'] } } } }
+          }
+        },
+        { $match: { pending: { $gt: 0 } } },
+        { $set: { exposure: { $multiply: ['$contributionAmount', '$pending'] } } },
+        { $sort: { exposure: -1, _id: 1 } },
+        {
+          $facet: {
+            circles: [{ $limit: limit }],
+            totals: [{ $group: { _id: null, exposure: { $sum: '$exposure' }, pendingMembers: { $sum: '$pending' }, circles: { $sum: 1 } } }]
+          }
+        }
+      ])
+    ]);
+
+    const totals = result.totals[0] || {};
+    const balance = money.toKobo((reserve && reserve.balance) || 0);
+    const exposure = money.toKobo(totals.exposure || 0);
+
+    return {
+      balance: money.toNaira(balance),
+      maxExposure: money.toNaira(exposure),
+      pendingMembers: totals.pendingMembers || 0,
+      circlesAtRisk: totals.circles || 0,
+      coverageRatio: ratio(balance, exposure),
+      shortfall: money.toNaira(Math.max(0, money.subtract(exposure, balance))),
+      largest: result.circles.map(circle => ({
+        circle: circle._id,
+        title: circle.title,
+        status: circle.status,
+        pendingMembers: circle.pending,
+        contribution: naira(circle.contributionAmount),
+        exposure: naira(circle.exposure)
+      }))
+    };
+  }
+
+  /**
+   * Move loans still embedded in BackstopReserve.activeLoans (before loans
+   * had their own collection) into BackstopLoan. Safe to run at every start.
+   *
+   * @returns {Number} loans moved
+   */
+  async migrateEmbeddedLoans() {
+    const legacy = await BackstopReserve.collection.find({ 'activeLoans.0': { $exists: true } }).toArray();
+    let moved = 0;
+
+    for (const reserve of legacy) {
+      await runInTransaction(async (session) => {
+        await BackstopLoan.insertMany(
+          reserve.activeLoans.map(loan => ({ kind: 'Default', ...loan })),
+          { session }
+        );
+        await BackstopReserve.collection.updateOne({ _id: reserve._id }, { $unset: { activeLoans: '' } }, { session });
+      });
+      moved += reserve.activeLoans.length;
+    }
+    return moved;
+  }
+}
+
+module.exports = new BackstopService();
+module.exports.BackstopService = BackstopService;
+module.exports.AGEING_BUCKETS = AGEING_BUCKETS;
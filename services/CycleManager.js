@@ -2,7 +2,23 @@ const mongoose = require('mongoose');
 const Circle = require('../models/Circles');
 const User = require('../models/user_schema');
 const BackstopReserve = require('../models/BackstopReserve');
-const { Decimal128 } = mongoose.Types;
+const BackstopLoan = require('../models/BackstopLoan');
+const CycleRecord = require('../models/CycleRecord');
+const DebtService = require('./DebtService');
+const TrustEngine = require('./TrustEngine');
+const TierPolicyService = require('./TierPolicyService');
+const money = require('../utils/money');
+const fees = require('../utils/fees');
+const { addPeriods } = require('../utils/schedule');
+const { DRAW_ALGORITHM, newSeed, orderMembers } = require('../utils/payoutOrder');
+
+// Add kobo to a Decimal128 field on a document or subdocument
+const addKobo = (doc, field, kobo) => {
+  doc[field] = money.fromKobo(money.add(money.toKobo(doc[field]), kobo));
+};
+
+// A request the circle's state refuses, with the HTTP status that says so
+const refusal = (status, message) => Object.assign(new Error(message), { status });
 
 /**
  * ROSCA Cycle Management Service
@@ -12,99 +28,170 @@ class CycleManager {
   
   /**
    * Main Payout Processor
-   * The "User J Protector" ensures recipient gets full pot even with defaulters
+   * The "User J Protector" ensures recipient gets full pot even with defaulters.
+   * When the reserve can't cover them, the circle's backstopPolicy applies
+   * (see holdPayout): the result is then { held: true, ... }, or a partial
+   * payout with an `iou`.
+   * 
+   * Every read and write goes through `session`; run it via
+   * utils/transaction.runInTransaction so a failure at any step rolls back
+   * the recipient credit, the defaulters' debt and the turn advance together.
+   * 
+   * A circle that can't pay out yet (missing, not Active, or waiting for
+   * late contributions) throws an error with an HTTP `status`; any other
+   * error is a failure.
    * 
    * @param {String} circleId - MongoDB ID of the circle
    * @param {Object} session - MongoDB session for transaction
+   * @param {Object} options - { now } clock override (used by the scheduler)
    */
-  async processCirclePayout(circleId, session) {
+  async processCirclePayout(circleId, session, { now = new Date() } = {}) {
     const circle = await Circle.findById(circleId)
       .session(session)
       .populate('members.user')
       .populate('payoutOrder');
 
-    if (!circle) throw new Error('Circle not found');
-    if (circle.status !== 'Active') throw new Error('Circle is not active');
+    if (!circle) throw refusal(404, 'Circle not found');
+    if (circle.status !== 'Active') throw refusal(409, 'Circle is not active');
+    if (circle.inGracePeriod(now) && circle.members.some(m => m.paymentStatus === 'Pending')) {
+      throw refusal(409, `Payout is waiting for late contributions until ${circle.graceDeadline.toISOString()}`);
+    }
 
-    const recipientId = circle.currentRecipient;
-    const recipient = await User.findById(recipientId).session(session);
+    // Use the populated member document so every ledger change to the
+    // recipient lands on a single instance
+    const recipientId = circle.currentRecipient._id || circle.currentRecipient;
+    const recipientMember = circle.members.find(m => m.user && m.user._id.equals(recipientId));
+    const recipient = recipientMember && recipientMember.user;
     
     if (!recipient) throw new Error('Recipient not found');
 
+    // Every journal entry written by this payout shares one reference
+    const payoutRef = new mongoose.Types.ObjectId();
+    const journal = { counterparty: { kind: 'Circle', ref: circle._id }, eventRef: payoutRef, circle: circle._id };
+
     // ============================
     // STEP 1: CALCULATE COLLECTION
     // ============================
     
-    const contributionAmount = parseFloat(circle.contributionAmount.toString());
-    const expectedTotal = parseFloat(circle.totalPot.toString());
+    // All amounts below are integer kobo (see utils/money)
+    const contributionAmount = money.toKobo(circle.contributionAmount);
+    const expectedTotal = money.toKobo(circle.totalPot);
     
     // Count who actually paid this cycle
     const successfulPayments = circle.members.filter(m => m.paymentStatus === 'Paid');
     const actualCollected = successfulPayments.length * contributionAmount;
-    const shortfall = expectedTotal - actualCollected;
+    const shortfall = money.subtract(expectedTotal, actualCollected);
     
     const defaultCount = circle.members.length - successfulPayments.length;
-    console.log(`[PAYOUT] Expected: ₦${expectedTotal}, Collected: ₦${actualCollected}, Shortfall: ₦${shortfall}`);
+    console.log(`[PAYOUT] Expected: ₦${money.toNaira(expectedTotal)}, Collected: ₦${money.toNaira(actualCollected)}, Shortfall: ₦${money.toNaira(shortfall)}`);
 
     // ============================
-    // STEP 2: PLATFORM FEE (1.5%)
+    // STEP 2: PLATFORM FEE (circle's fee schedule)
     // ============================
     
-    const platformFeeRate = 0.015;
-    const platformFee = expectedTotal * platformFeeRate;
-    const netPayout = expectedTotal - platformFee;
+    // Charged to the recipient: the fee is on what members actually paid
+    // in, never on the part of the pot the backstop covers. Charged to
+    // contributors: each share was collected with its contribution, so the
+    // payout itself carries no fee.
+    const { chargedTo } = circle.feeSchedule;
+    const fee = chargedTo === 'Recipient' ? circle.feeFor(actualCollected, now) : null;
+    const platformFee = fee ? fee.total : 0;
+    const feeShares = fee ? [] : circle.members
+      .map(m => ({ user: m.user._id, amount: money.toKobo(m.roundFeePaid) }))
+      .filter(share => share.amount > 0);
 
-    // Update circle's fee tracking
-    circle.backstopBalance = Decimal128.fromString(
-      (parseFloat(circle.backstopBalance.toString()) + platformFee).toString()
-    );
-    circle.totalFeesCollected = Decimal128.fromString(
-      (parseFloat(circle.totalFeesCollected.toString()) + platformFee).toString()
-    );
-
-    // Add to global backstop reserve
     const reserve = await BackstopReserve.findOne().session(session) || new BackstopReserve();
-    reserve.balance = Decimal128.fromString(
-      (parseFloat(reserve.balance.toString()) + platformFee).toString()
-    );
 
     // ============================
     // STEP 3: HANDLE DEFAULTS (The Protector)
     // ============================
     
+    // The round's own fee counts towards covering its shortfall. When the
+    // reserve still falls short, the circle's backstopPolicy decides: hold
+    // the payout (nothing below is written) or pay out what was collected
+    // and owe the recipient the rest.
+    const reserveBalance = money.add(money.toKobo(reserve.balance), platformFee);
+    const uncovered = shortfall > 0 && reserveBalance < shortfall;
+    if (uncovered && circle.backstopPolicy !== 'PartialPayout') {
+      return this.holdPayout(circle, session, { shortfall, reserveBalance, now });
+    }
+
+    const grossPayout = uncovered ? actualCollected : expectedTotal;
+    const netPayout = money.subtract(grossPayout, platformFee);
+
+    // Escrowed contributions leave each payer's vault and form the pot
+    for (const payer of successfulPayments) {
+      payer.user.postLedger('Vault', 'Debit', contributionAmount, {
+        ...journal, eventType: 'ContributionSettlement'
+      });
+    }
+
+    // Update circle's fee tracking
+    addKobo(circle, 'backstopBalance', platformFee);
+    addKobo(circle, 'totalFeesCollected', platformFee);
+
+    // Add to global backstop reserve
+    reserve.balance = money.fromKobo(reserveBalance);
+    
     let backstopLoan = 0;
+    let iou = null;
     
     if (shortfall > 0) {
-      // Insufficient funds collected - activate backstop
-      const reserveBalance = parseFloat(reserve.balance.toString());
-      
-      if (reserveBalance < shortfall) {
-        throw new Error(`Backstop insufficient. Need ₦${shortfall}, have ₦${reserveBalance}. CirclePaused.`);
+      if (uncovered) {
+        // PartialPayout: the reserve takes on the shortfall as a debt to the
+        // recipient, paid as it recovers (settleIous)
+        iou = {
+          recipient: recipient._id,
+          round: circle.payoutsMade,
+          amount: money.fromKobo(shortfall),
+          payoutRef,
+          createdAt: now
+        };
+        circle.payoutIous.push(iou);
+        circle.backstopOutcomes.push({
+          round: circle.payoutsMade,
+          policy: circle.backstopPolicy,
+          outcome: 'PartialPayout',
+          recipient: recipient._id,
+          shortfall: money.fromKobo(shortfall),
+          reserveBalance: money.fromKobo(reserveBalance),
+          paidOut: money.fromKobo(grossPayout),
+          payoutRef,
+          at: now
+        });
+        console.log(`[BACKSTOP] Reserve short by ₦${money.toNaira(money.subtract(shortfall, reserveBalance))}; paid ${recipient.fullName} the collected pot and recorded a ₦${money.toNaira(shortfall)} IOU`);
+      } else {
+        // Borrow from backstop to ensure recipient gets full amount
+        backstopLoan = shortfall;
+        reserve.balance = money.fromKobo(money.subtract(reserveBalance, shortfall));
+        reserve.totalDeployed = money.fromKobo(money.add(money.toKobo(reserve.totalDeployed), shortfall));
       }
       
-      // Borrow from backstop to ensure recipient gets full amount
-      backstopLoan = shortfall;
-      reserve.balance = Decimal128.fromString((reserveBalance - shortfall).toString());
-      reserve.totalDeployed = Decimal128.fromString(
-        (parseFloat(reserve.totalDeployed.toString()) + shortfall).toString()
-      );
-      
-      // Record the loan against specific defaulters for recovery
+      // Record the loan against specific defaulters for recovery; under an
+      // IOU they owe the reserve, which owes the recipient
       const defaulters = circle.members.filter(m => m.paymentStatus !== 'Paid');
       for (const defaulter of defaulters) {
-        reserve.activeLoans.push({
-          circle: circleId,
-          amount: Decimal128.fromString(contributionAmount.toString()),
-          defaultedUser: defaulter.user._id
-        });
+        await BackstopLoan.create([{
+          kind: 'Default',
+          circle: circle._id,
+          amount: money.fromKobo(contributionAmount),
+          penalty: money.fromKobo(circle.penaltyFor(contributionAmount)),
+          defaultedUser: defaulter.user._id,
+          eventRef: payoutRef,
+          createdAt: now
+        }], { session });
         
-        // Apply debt + 5% penalty to defaulter (using User schema method)
-        await defaulter.user.applyDefaultPenalty(contributionAmount);
-        defaulter.paymentStatus = 'Defaulted';
-        await defaulter.user.save({ session });
+        // Apply debt + the circle's penalty to defaulter (using User schema method).
+        // Members already marked Defaulted this round were charged then.
+        if (defaulter.paymentStatus !== 'Defaulted') {
+          await defaulter.user.applyDefaultPenalty(contributionAmount, {
+            circle: circle._id, eventRef: payoutRef, penalty: circle.penaltyFor(contributionAmount), session
+          });
+          defaulter.paymentStatus = 'Defaulted';
+        }
       }
       
-      console.log(`[BACKSTOP] Deployed ₦${backstopLoan} to cover ${defaultCount} defaults`);
+      if (backstopLoan > 0) console.log(`[BACKSTOP] Deployed ₦${money.toNaira(backstopLoan)} to cover ${defaultCount} defaults`);
     }
 
     // ============================
@@ -113,51 +200,145 @@ class CycleManager {
     
     /**
      * Vault Withholding Strategy:
-     * - Bronze (High Risk): 20% locked in vault until cycle completes
-     * - Silver/Gold (Lower Risk): 10% locked
+     * The recipient's tier sets the share locked in the vault until the
+     * circle completes (tier policy; by default 20% for Bronze, 10% for
+     * Silver/Gold).
      * 
      * This ensures recipients don't immediately withdraw entire pot,
      * protecting the circle's solvency for remaining members.
      */
-    const withholdingRates = { Bronze: 0.20, Silver: 0.10, Gold: 0.10 };
-    const withholdingRate = withholdingRates[recipient.userTier] || 0.20;
+    const tierPolicy = await TierPolicyService.current({ session });
+    const withholdingRate = TierPolicyService.rulesFor(recipient.userTier, tierPolicy).withholdingBps;
+
+    // Bidding circles: the recipient gives up their winning bid, shared
+    // equally among the other members
+    const bidDiscount = circle.payoutStrategy === 'Bidding'
+      ? Math.min(money.toKobo(recipientMember.bid), netPayout)
+      : 0;
+    const keptPayout = money.subtract(netPayout, bidDiscount);
     
-    const vaultAmount = netPayout * withholdingRate;
-    const availableAmount = netPayout - vaultAmount;
+    const vaultAmount = money.applyRate(keptPayout, withholdingRate, money.ROUNDING.withholding);
+    const availableAmount = money.subtract(keptPayout, vaultAmount);
 
     // ============================
     // STEP 5: UPDATE USER LEDGERS
     // ============================
     
-    const currentAvailable = parseFloat(recipient.wallet.availableBalance.toString());
-    const currentVault = parseFloat(recipient.wallet.vaultBalance.toString());
+    // Gross pot in, fee out (one entry per fee band), withheld share moved to the vault
+    recipient.postLedger('Available', 'Credit', grossPayout, { ...journal, eventType: 'Payout' });
+    for (const line of fee ? fee.lines : []) {
+      if (line.amount === 0) continue;
+      recipient.postLedger('Available', 'Debit', line.amount, {
+        ...journal, counterparty: { kind: 'Backstop', ref: reserve._id }, eventType: 'PlatformFee', memo: fees.describeLine(line)
+      });
+    }
+    const bidShareholders = circle.members.filter(m => m.user && !m.user._id.equals(recipient._id));
+    if (bidDiscount > 0 && bidShareholders.length) {
+      recipient.postLedger('Available', 'Debit', bidDiscount, { ...journal, eventType: 'BidDiscount' });
+      money.allocate(bidDiscount, bidShareholders.length).forEach((share, i) => {
+        if (share === 0) return;
+        bidShareholders[i].user.postLedger('Available', 'Credit', share, { ...journal, eventType: 'BidDiscount' });
+        addKobo(bidShareholders[i], 'payoutReceived', share);
+      });
+    }
+    if (vaultAmount > 0) {
+      recipient.postLedger('Available', 'Debit', vaultAmount, { ...journal, eventType: 'PayoutWithholding' });
+      recipient.postLedger('Vault', 'Credit', vaultAmount, { ...journal, eventType: 'PayoutWithholding' });
+    }
+
+    addKobo(recipientMember, 'withheldBalance', vaultAmount);
+    addKobo(recipientMember, 'payoutReceived', money.subtract(grossPayout, bidDiscount));
 
-    recipient.wallet.availableBalance = Decimal128.fromString(
-      (currentAvailable + availableAmount).toString()
-    );
-    recipient.wallet.vaultBalance = Decimal128.fromString(
-      (currentVault + vaultAmount).toString()
-    );
+    await TierPolicyService.record([{
+      user: recipient._id,
+      kind: 'Withholding',
+      policyVersion: tierPolicy.version,
+      tier: recipient.userTier,
+      outcome: 'Applied',
+      circle: circle._id,
+      details: { rateBps: withholdingRate, withheld: money.toNaira(vaultAmount), payoutRef },
+      decidedAt: now
+    }], session);
 
     // Update trust score positively for receiving payout (good standing)
-    recipient.trustScore = Math.min(850, recipient.trustScore + 5);
+    await TrustEngine.record(recipient, 'PayoutReceived', { circle: circle._id, ref: payoutRef, now, session });
     
     await recipient.save({ session });
+    for (const payer of successfulPayments) {
+      if (!payer.user._id.equals(recipient._id)) await payer.user.save({ session });
+    }
+    if (bidDiscount > 0) {
+      for (const member of bidShareholders) await member.user.save({ session });
+    }
 
     // ============================
-    // STEP 6: ADVANCE CYCLE
+    // STEP 6: RECORD THE CYCLE
+    // ============================
+
+    // Once the turn advances this is the only account of the round, so it
+    // is written with the payout and never changed
+    const round = circle.payoutsMade;
+    await CycleRecord.create([{
+      circle: circle._id,
+      round,
+      cycle: circle.cycleCount,
+      turn: circle.currentTurn,
+      recipient: recipient._id,
+      dueAt: circle.nextPayoutDate,
+      paidAt: now,
+      amounts: {
+        gross: money.fromKobo(grossPayout),
+        platformFee: money.fromKobo(platformFee),
+        feeChargedTo: chargedTo,
+        net: money.fromKobo(netPayout),
+        bidDiscount: money.fromKobo(bidDiscount),
+        withheldInVault: money.fromKobo(vaultAmount),
+        availableNow: money.fromKobo(availableAmount),
+        backstopLoan: money.fromKobo(backstopLoan),
+        iou: money.fromKobo(iou ? shortfall : 0)
+      },
+      defaultsCovered: defaultCount,
+      tierPolicyVersion: tierPolicy.version,
+      members: circle.members.map(m => {
+        const late = m.lateHistory.find(entry => entry.round === round);
+        return {
+          user: m.user._id,
+          paymentStatus: m.paymentStatus,
+          late: Boolean(late),
+          lateFee: late ? late.fee : money.fromKobo(0),
+          feePaid: m.roundFeePaid
+        };
+      }),
+      payoutRef,
+      createdAt: now
+    }], { session });
+
+    // ============================
+    // STEP 7: ADVANCE CYCLE
     // ============================
     
     // Move to next in rotation
     circle.currentTurn = (circle.currentTurn + 1) % circle.payoutOrder.length;
-    circle.lastPayoutDate = new Date();
+    circle.lastPayoutDate = now;
+    circle.contributionWindowClosedAt = undefined; // Next round opens
+    circle.graceEndsAt = undefined;
     
     // Reset payment statuses for next cycle
     circle.members.forEach(member => {
       if (member.paymentStatus === 'Paid') {
         member.totalContributionsMade += 1;
+      } else if (member.paymentStatus === 'Defaulted') {
+        member.roundsDefaulted += 1; // Covered by the backstop; owed through their debt
       }
       member.paymentStatus = 'Pending'; // Reset for next round
+      member.lastRemindedAt = undefined;
+      member.roundFeePaid = money.fromKobo(0);
+
+      // Members who settled their remaining contributions up front start each round paid
+      if (member.prepaidRounds > 0) {
+        member.paymentStatus = 'Paid';
+        member.prepaidRounds -= 1;
+      }
     });
 
     // If we completed a full rotation
@@ -165,52 +346,420 @@ class CycleManager {
       circle.cycleCount += 1;
       console.log(`[CYCLE] Completed full rotation #${circle.cycleCount}`);
       
-      // If this was the final rotation, mark complete and release all vaults
-      if (circle.cycleCount >= circle.payoutOrder.length) {
-        await this.completeCircle(circle, session);
-      }
+      // A ROSCA ends once every member has received the pot, matching the
+      // expectedEndDate set at activation; mark complete and release vaults
+      await this.completeCircle(circle, session);
+      circle.nextPayoutDate = undefined;
+    } else {
+      // Dates are anchored to startDate: payout k falls k periods after it
+      circle.nextPayoutDate = addPeriods(circle.startDate || now, circle.frequency, circle.payoutsMade + 1);
     }
 
+    // A fully covered round leaves the reserve free to pay down earlier IOUs
+    const iousSettled = uncovered ? 0 : await this.settleIous(circle, reserve, session, now);
+
     await circle.save({ session });
     await reserve.save({ session });
 
+    // Optional: settle the recipient's old debts from the fresh payout
+    const swept = await DebtService.sweep(recipient._id, session);
+
     return {
       recipient: recipient.fullName,
-      grossAmount: expectedTotal,
-      platformFee: platformFee,
-      netPayout: netPayout,
-      withheldInVault: vaultAmount,
-      availableNow: availableAmount,
+      grossAmount: money.toNaira(grossPayout),
+      platformFee: money.toNaira(platformFee),
+      feeBreakdown: fee
+        ? { chargedTo, ...fees.presentFee(fee) }
+        : {
+          chargedTo,
+          total: money.toNaira(money.add(0, ...feeShares.map(share => share.amount))),
+          shares: feeShares.map(share => ({ user: share.user, amount: money.toNaira(share.amount) }))
+        },
+      netPayout: money.toNaira(netPayout),
+      bidDiscount: money.toNaira(bidDiscount),
+      withheldInVault: money.toNaira(vaultAmount),
+      tierPolicyVersion: tierPolicy.version,
+      availableNow: money.toNaira(availableAmount),
       defaultsCovered: defaultCount,
-      backstopLoan: backstopLoan,
-      nextTurn: circle.currentTurn
+      backstopLoan: money.toNaira(backstopLoan),
+      iou: money.toNaira(iou ? shortfall : 0),
+      iousSettled: money.toNaira(iousSettled),
+      backstopOutcome: iou ? this.presentOutcome(circle.backstopOutcomes[circle.backstopOutcomes.length - 1]) : undefined,
+      notify: iou ? [...new Set([recipient._id, ...circle.organizers.map(m => m.user._id)].map(String))] : [],
+      debtSwept: money.toNaira(swept ? swept.repaid : 0),
+      round,
+      nextTurn: circle.currentTurn,
+      reference: payoutRef
+    };
+  }
+
+  /**
+   * Fix the Payout Order
+   * Applies the circle's payoutStrategy to its members just before it
+   * becomes Active. The order never changes after this point.
+   */
+  async fixPayoutOrder(circle, session) {
+    let trustScores = new Map();
+    if (circle.payoutStrategy === 'TrustScore') {
+      const users = await User.find({ _id: { $in: circle.members.map(m => m.user) } })
+        .select('trustScore')
+        .session(session);
+      trustScores = new Map(users.map(u => [u._id.toString(), u.trustScore]));
+    }
+
+    const candidates = circle.members.map(m => ({
+      userId: m.user._id || m.user,
+      joinedAt: m.joinedAt,
+      trustScore: trustScores.get((m.user._id || m.user).toString()),
+      bid: money.toKobo(m.bid)
+    }));
+
+    const seed = circle.payoutStrategy === 'RandomDraw' ? newSeed() : undefined;
+    circle.payoutOrder = orderMembers(circle.payoutStrategy, candidates, {
+      seed,
+      assignedOrder: circle.assignedOrder
+    });
+
+    if (seed) {
+      circle.payoutDraw = {
+        algorithm: DRAW_ALGORITHM,
+        seed,
+        candidates: candidates.map(c => c.userId),
+        order: [...circle.payoutOrder],
+        drawnAt: new Date()
+      };
+    }
+    return circle;
+  }
+
+  /**
+   * Admit a User to a Forming Circle
+   * Eligibility (middleware/circleAuth) must already have passed. Starts
+   * the circle if this member fills the last seat. The caller saves both
+   * documents.
+   */
+  async admitMember(circle, user, session) {
+    if (circle.status !== 'Forming') throw new Error(`Circle is ${circle.status} and no longer accepting members`);
+    if (circle.isFull) throw new Error(`Circle is full (${circle.maxMembers} members)`);
+    if (circle.roleOf(user._id)) throw new Error('User is already a member of this circle');
+
+    // Final order is fixed at start
+    circle.members.push({ user: user._id, paymentStatus: 'Pending' });
+    circle.payoutOrder.push(user._id);
+
+    // Pot grows with membership until the circle starts
+    circle.totalPot = money.fromKobo(circle.members.length * money.toKobo(circle.contributionAmount));
+    user.activeCircles.push(circle._id);
+
+    // A full circle starts itself
+    if (circle.isFull) await this.startCircle(circle, session);
+    return circle;
+  }
+
+  /**
+   * Start a Forming Circle
+   * Freezes membership: the pot is fixed at contribution × members, the
+   * payout order is drawn, and the calendar is set from `frequency`.
+   */
+  async startCircle(circle, session, now = new Date()) {
+    if (circle.status !== 'Forming') throw new Error(`Circle is already ${circle.status}`);
+    if (circle.members.length < circle.minMembers) {
+      throw new Error(`Circle needs at least ${circle.minMembers} members to start (has ${circle.members.length})`);
+    }
+
+    circle.totalPot = money.fromKobo(money.toKobo(circle.contributionAmount) * circle.members.length);
+    await this.fixPayoutOrder(circle, session);
+    this.activateCircle(circle, now);
+    return circle;
+  }
+
+  /**
+   * Circle Activation
+   * Flips a Forming circle to Active and fixes its calendar: the first
+   * payout is one period after the start, and the last one (expectedEndDate)
+   * is one period per member after it.
+   */
+  activateCircle(circle, now = new Date()) {
+    circle.status = 'Active';
+    circle.startDate = now;
+    circle.nextPayoutDate = addPeriods(now, circle.frequency, 1);
+    circle.expectedEndDate = addPeriods(now, circle.frequency, circle.payoutOrder.length);
+    circle.contributionWindowClosedAt = undefined;
+    return circle;
+  }
+
+  /**
+   * Pause an Active Circle
+   * Stops payouts, contributions and direct debits until resumed.
+   */
+  pauseCircle(circle, reason, now = new Date()) {
+    if (circle.status !== 'Active') throw new Error(`Only Active circles can be paused (circle is ${circle.status})`);
+    circle.status = 'Paused';
+    circle.pausedAt = now;
+    circle.pauseReason = reason;
+    return circle;
+  }
+
+  /**
+   * Resume a Paused Circle
+   * The calendar slides forward by the time spent paused, so no round is
+   * shortened and the next payout isn't immediately overdue. A round that
+   * was paused once it fell due (a held payout) reopens for contributions,
+   * and circles with a grace period take late ones for a full grace period.
+   */
+  resumeCircle(circle, now = new Date()) {
+    if (circle.status !== 'Paused') throw new Error(`Only Paused circles can be resumed (circle is ${circle.status})`);
+
+    const pausedMs = Math.max(0, now - (circle.pausedAt || now));
+    circle.startDate = new Date(circle.startDate.getTime() + pausedMs);
+    circle.nextPayoutDate = addPeriods(circle.startDate, circle.frequency, circle.payoutsMade + 1);
+    circle.expectedEndDate = addPeriods(circle.startDate, circle.frequency, circle.payoutOrder.length);
+    if (circle.graceEndsAt) circle.graceEndsAt = new Date(circle.graceEndsAt.getTime() + pausedMs);
+    if (circle.gracePeriodHours && circle.nextPayoutDate <= now) {
+      circle.graceEndsAt = new Date(now.getTime() + circle.gracePeriodHours * 60 * 60 * 1000);
+    }
+    circle.contributionWindowClosedAt = undefined;
+    circle.status = 'Active';
+    circle.pausedAt = undefined;
+    circle.pauseReason = undefined;
+    return circle;
+  }
+
+  /**
+   * Whether a contribution made at `now` is late
+   * Only circles with a grace period accept late contributions; without one
+   * the round is paid out (and defaults applied) as soon as it falls due.
+   */
+  isLate(circle, now = new Date()) {
+    return circle.gracePeriodHours > 0 && Boolean(circle.nextPayoutDate) && now > circle.nextPayoutDate;
+  }
+
+  /**
+   * What a member must pay for the current round at `now` (kobo)
+   * `fee` is their platform fee share when the circle charges contributors.
+   */
+  amountDue(circle, now = new Date()) {
+    const contribution = money.toKobo(circle.contributionAmount);
+    const lateFee = this.isLate(circle, now)
+      ? money.applyRate(contribution, circle.lateFeeBps, money.ROUNDING.penalty)
+      : 0;
+    const fee = circle.contributorFeeShare(now);
+    return { contribution, lateFee, fee, total: money.add(contribution, lateFee, fee) };
+  }
+
+  /**
+   * Open the grace period for a round that fell due with contributions outstanding
+   */
+  startGracePeriod(circle) {
+    circle.graceEndsAt = circle.graceDeadline;
+    return circle;
+  }
+
+  /**
+   * Hold a payout the backstop reserve cannot cover
+   * Applies the circle's backstopPolicy in the payout's transaction; nothing
+   * is paid and no one is defaulted yet:
+   * - Delay: the round reopens for another gracePeriodHours, so members
+   *   still Pending can pay late and the reserve can take in fees. A round
+   *   is delayed once; if the reserve still falls short, the circle pauses.
+   * - Pause: the circle is paused until an organizer resumes it.
+   * (PartialPayout never gets here: processCirclePayout pays out what was
+   * collected and records an IOU.)
+   *
+   * The outcome is recorded on the circle and returned with `notify`, the
+   * organizers to tell once the transaction commits.
+   */
+  async holdPayout(circle, session, { shortfall, reserveBalance, now = new Date() }) {
+    const round = circle.payoutsMade;
+    const alreadyDelayed = circle.backstopOutcomes.some(o => o.round === round && o.outcome === 'Delayed');
+
+    const outcome = {
+      round,
+      policy: circle.backstopPolicy,
+      recipient: circle.currentRecipient._id || circle.currentRecipient,
+      shortfall: money.fromKobo(shortfall),
+      reserveBalance: money.fromKobo(reserveBalance),
+      at: now
+    };
+
+    // The scheduler closed the round to pay it out; it stays open for the
+    // late contributions that would cure it
+    circle.contributionWindowClosedAt = undefined;
+    if (circle.backstopPolicy === 'Delay' && !alreadyDelayed) {
+      circle.graceEndsAt = new Date(now.getTime() + circle.gracePeriodHours * 60 * 60 * 1000);
+      outcome.outcome = 'Delayed';
+      outcome.delayedUntil = circle.graceEndsAt;
+    } else {
+      this.pauseCircle(circle, `Backstop insufficient: need ₦${money.toDecimalString(shortfall)}, have ₦${money.toDecimalString(reserveBalance)}`, now);
+      outcome.outcome = 'Paused';
+    }
+
+    circle.backstopOutcomes.push(outcome);
+    await circle.save({ session });
+    console.log(`[BACKSTOP] ${circle.title}: reserve cannot cover ₦${money.toNaira(shortfall)}; payout ${outcome.outcome.toLowerCase()}`);
+
+    return {
+      held: true,
+      circleId: circle._id,
+      title: circle.title,
+      backstopOutcome: this.presentOutcome(circle.backstopOutcomes[circle.backstopOutcomes.length - 1]),
+      notify: circle.organizers.map(m => String(m.user._id || m.user))
+    };
+  }
+
+  /**
+   * Pay down a circle's outstanding payout IOUs from the reserve, oldest first
+   * Each payment is credited to the recipient's available balance (no
+   * withholding) and counts as reserve deployment. IOUs the reserve can't
+   * cover in full are paid in part.
+   *
+   * @returns {Number} kobo paid
+   */
+  async settleIous(circle, reserve, session, now = new Date()) {
+    let paid = 0;
+
+    for (const iou of circle.payoutIous) {
+      const amount = Math.min(circle.iouDue(iou), money.toKobo(reserve.balance));
+      if (amount === 0) continue;
+
+      const member = circle.members.find(m => (m.user._id || m.user).equals(iou.recipient));
+      const user = member && member.user instanceof User // populated by processCirclePayout
+        ? member.user
+        : await User.findById(iou.recipient).session(session);
+
+      reserve.balance = money.fromKobo(money.subtract(money.toKobo(reserve.balance), amount));
+      reserve.totalDeployed = money.fromKobo(money.add(money.toKobo(reserve.totalDeployed), amount));
+      user.postLedger('Available', 'Credit', amount, {
+        counterparty: { kind: 'Backstop', ref: reserve._id },
+        eventType: 'PayoutIou',
+        eventRef: iou.payoutRef,
+        circle: circle._id
+      });
+      await user.save({ session });
+
+      addKobo(iou, 'settled', amount);
+      if (circle.iouDue(iou) === 0) iou.settledAt = now;
+      if (member) addKobo(member, 'payoutReceived', amount);
+      paid = money.add(paid, amount);
+    }
+
+    if (paid > 0) console.log(`[BACKSTOP] Paid ₦${money.toNaira(paid)} of payout IOUs in ${circle.title}`);
+    return paid;
+  }
+
+  /**
+   * Backstop outcome in Naira, for API responses
+   */
+  presentOutcome(outcome) {
+    const naira = (value) => (value === undefined || value === null ? undefined : money.toNaira(money.toKobo(value)));
+    return {
+      round: outcome.round,
+      policy: outcome.policy,
+      outcome: outcome.outcome,
+      recipient: outcome.recipient,
+      shortfall: naira(outcome.shortfall),
+      reserveBalance: naira(outcome.reserveBalance),
+      paidOut: naira(outcome.paidOut),
+      delayedUntil: outcome.delayedUntil,
+      payoutRef: outcome.payoutRef,
+      at: outcome.at
+    };
+  }
+
+  /**
+   * A circle's backstop policy, what it has done so far and the IOUs it left
+   */
+  backstopReport(circle) {
+    const ious = circle.payoutIous.map(iou => ({
+      id: iou._id,
+      recipient: iou.recipient,
+      round: iou.round,
+      amount: money.toNaira(money.toKobo(iou.amount)),
+      settled: money.toNaira(money.toKobo(iou.settled)),
+      outstanding: money.toNaira(circle.iouDue(iou)),
+      settledAt: iou.settledAt,
+      cancelledAt: iou.cancelledAt,
+      payoutRef: iou.payoutRef,
+      createdAt: iou.createdAt
+    }));
+
+    return {
+      policy: circle.backstopPolicy,
+      outcomes: circle.backstopOutcomes.map(o => this.presentOutcome(o)),
+      ious,
+      iousOutstanding: money.toNaira(money.add(0, ...circle.payoutIous.map(iou => circle.iouDue(iou))))
+    };
+  }
+
+  /**
+   * Cycle record in Naira, for API responses
+   * `honoured` checks the recipient against the circle's payout order for
+   * that turn.
+   */
+  presentCycle(record, circle) {
+    const naira = (value) => money.toNaira(money.toKobo(value));
+    const { feeChargedTo, ...amounts } = record.amounts.toObject();
+    const expected = circle.payoutOrder[record.turn];
+
+    return {
+      round: record.round,
+      cycle: record.cycle,
+      turn: record.turn,
+      recipient: record.recipient,
+      honoured: Boolean(expected) && record.recipient.equals(expected._id || expected),
+      dueAt: record.dueAt,
+      paidAt: record.paidAt,
+      amounts: {
+        ...Object.fromEntries(Object.entries(amounts).map(([key, value]) => [key, naira(value)])),
+        feeChargedTo
+      },
+      defaultsCovered: record.defaultsCovered,
+      tierPolicyVersion: record.tierPolicyVersion,
+      members: record.members.map(m => ({
+        user: m.user,
+        paymentStatus: m.paymentStatus,
+        late: m.late,
+        lateFee: naira(m.lateFee),
+        feePaid: naira(m.feePaid)
+      })),
+      reference: record.payoutRef
     };
   }
 
   /**
    * Circle Completion Handler
-   * Releases all vault funds to members when ROSCA completes
+   * Releases each member's payout withholding from this circle when the
+   * ROSCA completes. Vault funds committed to other circles stay locked.
    */
   async completeCircle(circle, session) {
     circle.status = 'Completed';
+    const releaseRef = new mongoose.Types.ObjectId();
     
-    // Release all vault holdings for all members
     for (const memberRef of circle.members) {
-      const user = await User.findById(memberRef.user).session(session);
-      const vaultAmount = parseFloat(user.wallet.vaultBalance.toString());
+      const user = memberRef.user._id
+        ? memberRef.user
+        : await User.findById(memberRef.user).session(session);
+      const vaultAmount = money.toKobo(memberRef.withheldBalance);
       
       if (vaultAmount > 0) {
-        const available = parseFloat(user.wallet.availableBalance.toString());
-        user.wallet.availableBalance = Decimal128.fromString((available + vaultAmount).toString());
-        user.wallet.vaultBalance = Decimal128.fromString('0');
-        
-        // Remove circle from active circles
-        user.activeCircles = user.activeCircles.filter(
-          cid => cid.toString() !== circle._id.toString()
-        );
-        
-        await user.save({ session });
+        const entry = {
+          counterparty: { kind: 'Circle', ref: circle._id },
+          eventType: 'VaultRelease',
+          eventRef: releaseRef,
+          circle: circle._id
+        };
+        user.postLedger('Vault', 'Debit', vaultAmount, entry);
+        user.postLedger('Available', 'Credit', vaultAmount, entry);
+        memberRef.withheldBalance = money.fromKobo(0);
       }
+        
+      // Remove circle from active circles
+      user.activeCircles = user.activeCircles.filter(
+        cid => cid.toString() !== circle._id.toString()
+      );
+
+      await TrustEngine.record(user, 'CircleCompleted', { circle: circle._id, ref: releaseRef, session });
+      await user.save({ session });
     }
     
     console.log(`[COMPLETION] Circle ${circle.title} completed. All vaults released.`);
@@ -220,25 +769,96 @@ class CycleManager {
    * Contribution Collection
    * Called when a user makes their cycle payment
    */
-  async processContribution(circleId, userId, session) {
+  async processContribution(circleId, userId, session, { now = new Date() } = {}) {
     const circle = await Circle.findById(circleId).session(session);
+    if (!circle) throw new Error('Circle not found');
+    if (circle.status !== 'Active') throw new Error('Circle is not active');
+
     const member = circle.members.find(m => m.user.toString() === userId.toString());
     
     if (!member) throw new Error('Not a member of this circle');
     if (member.paymentStatus === 'Paid') throw new Error('Already paid this cycle');
+    if (circle.contributionWindowClosedAt) throw new Error('Contribution window is closed for this round');
     
     const user = await User.findById(userId).session(session);
-    const contribution = parseFloat(circle.contributionAmount.toString());
+    const { contribution, lateFee, fee, total } = this.amountDue(circle, now);
+    if (money.toKobo(user.wallet.availableBalance) < total) throw new Error('Insufficient available balance');
+
+    // Circles that split the platform fee across contributors collect each
+    // share with the contribution; it goes straight to the reserve
+    if (fee > 0) {
+      const reserve = await BackstopReserve.findOne().session(session) || new BackstopReserve();
+      user.postLedger('Available', 'Debit', fee, {
+        counterparty: { kind: 'Backstop', ref: reserve._id }, eventType: 'PlatformFee', circle: circle._id,
+        memo: `Contributor share of the round's platform fee (1 of ${circle.members.length})`
+      });
+      addKobo(reserve, 'balance', fee);
+      await reserve.save({ session });
+
+      addKobo(circle, 'backstopBalance', fee);
+      addKobo(circle, 'totalFeesCollected', fee);
+      member.roundFeePaid = money.fromKobo(fee);
+    }
+
+    // Paying during the grace period costs a late fee, kept by the reserve,
+    // and goes on the member's late record
+    if (lateFee > 0) {
+      const reserve = await BackstopReserve.findOne().session(session) || new BackstopReserve();
+      user.postLedger('Available', 'Debit', lateFee, {
+        counterparty: { kind: 'Backstop', ref: reserve._id }, eventType: 'LateFee', circle: circle._id
+      });
+      addKobo(reserve, 'balance', lateFee);
+      addKobo(reserve, 'lateFeeIncome', lateFee);
+      await reserve.save({ session });
+
+      member.lateContributions += 1;
+      member.lateHistory.push({ round: circle.payoutsMade, dueAt: circle.nextPayoutDate, paidAt: now, fee: money.fromKobo(lateFee) });
+    }
     
+    await TrustEngine.record(user, lateFee > 0 ? 'LateContribution' : 'OnTimeContribution', { circle: circle._id, now, session });
+
     // Move from available to vault (escrow)
-    await user.escrowToVault(contribution);
+    await user.escrowToVault(contribution, { circle: circle._id, session });
     member.paymentStatus = 'Paid';
-    member.lastPaymentDate = new Date();
+    member.lastPaymentDate = now;
     
-    await user.save({ session });
     await circle.save({ session });
     
-    return { status: 'Paid', vaultBalance: user.wallet.vaultBalance };
+    return {
+      status: 'Paid',
+      amount: money.toNaira(contribution),
+      late: lateFee > 0,
+      lateFee: money.toNaira(lateFee),
+      platformFee: money.toNaira(fee),
+      vaultBalance: user.wallet.vaultBalance
+    };
+  }
+
+  /**
+   * Manual Default
+   * Organizer marks a member as defaulted for the current round. Debt and
+   * the circle's penalty are charged now; the backstop loan is recorded at payout.
+   * Circles with a grace period only allow this once it has run out.
+   */
+  async processDefault(circleId, userId, session, { now = new Date() } = {}) {
+    const circle = await Circle.findById(circleId).session(session);
+    if (!circle) throw new Error('Circle not found');
+    if (circle.gracePeriodHours > 0 && (!circle.graceDeadline || now < circle.graceDeadline)) {
+      throw new Error('Members of this circle can only be defaulted once the round\'s grace period has ended');
+    }
+
+    const member = circle.members.find(m => m.user.toString() === userId.toString());
+    if (!member) throw new Error('Not a member of this circle');
+    if (member.paymentStatus !== 'Pending') throw new Error(`Member is already ${member.paymentStatus} this cycle`);
+
+    const user = await User.findById(userId).session(session);
+    const amount = money.toKobo(circle.contributionAmount);
+
+    await user.applyDefaultPenalty(amount, { circle: circle._id, penalty: circle.penaltyFor(amount), session });
+    member.paymentStatus = 'Defaulted';
+
+    await circle.save({ session });
+    return user;
   }
 }
 
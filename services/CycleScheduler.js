@@ -0,0 +1,187 @@
+const Circle = require('../models/Circles');
+const CycleManager = require('./CycleManager');
+const DirectDebitService = require('./DirectDebitService');
+const WithdrawalService = require('./WithdrawalService');
+const Notifier = require('./Notifier');
+const { runInTransaction } = require('../utils/transaction');
+
+const systemClock = { now: () => new Date() };
+
+/**
+ * Automatic Cycle Scheduler
+ * Drives payouts from each circle's frequency instead of a manual
+ * POST /payout. On every tick it:
+ * 1. Collects Pending contributions by direct debit as payout day nears
+ * 2. Finds Active circles whose nextPayoutDate has passed
+ * 3. In circles with a grace period, waits while contributions are still
+ *    outstanding, reminding late members every reminder interval
+ * 4. Runs any remaining debit retries, then closes the round's contribution window
+ * 5. Runs CycleManager.processCirclePayout, which advances nextPayoutDate;
+ *    a round the backstop reserve cannot cover is paused, delayed or paid
+ *    out in part under the circle's backstopPolicy
+ *
+ * Each tick also resubmits withdrawals the payment provider never received.
+ *
+ * Each circle is processed in its own transaction, so one failing circle
+ * never blocks the others. The clock is injectable so daily, weekly and
+ * monthly cadences can be tested without waiting for real time to pass.
+ */
+class CycleScheduler {
+
+  constructor({
+    clock = systemClock,
+    cycleManager = CycleManager,
+    directDebit = DirectDebitService,
+    withdrawals = WithdrawalService,
+    notifier = Notifier,
+    reminderIntervalMs = (parseFloat(process.env.GRACE_REMINDER_INTERVAL_HOURS) || 24) * 60 * 60 * 1000
+  } = {}) {
+    this.clock = clock;
+    this.cycleManager = cycleManager;
+    this.directDebit = directDebit;
+    this.withdrawals = withdrawals;
+    this.notifier = notifier;
+    this.reminderIntervalMs = reminderIntervalMs;
+    this.timer = null;
+  }
+
+  /**
+   * Whether a circle's payout is due at `now`
+   */
+  isDue(circle, now = this.clock.now()) {
+    return circle.status === 'Active' &&
+      Boolean(circle.nextPayoutDate) &&
+      circle.nextPayoutDate <= now;
+  }
+
+  /**
+   * Active circles whose payout date has passed (uses the status/nextPayoutDate index)
+   */
+  findDueCircles(now = this.clock.now()) {
+    return Circle.find({ status: 'Active', nextPayoutDate: { $lte: now } })
+      .sort({ nextPayoutDate: 1 })
+      .select('_id title nextPayoutDate gracePeriodHours graceEndsAt');
+  }
+
+  /**
+   * Close the window and pay out one circle inside the caller's transaction
+   * Re-checks the due date under the session so two scheduler instances
+   * cannot pay the same round twice.
+   *
+   * While the grace period runs with contributions outstanding, nothing is
+   * paid: returns { waiting: true, graceEndsAt, remind } instead, where
+   * `remind` lists the members due a reminder (sent after commit).
+   */
+  async processDueCircle(circleId, session, now = this.clock.now()) {
+    const circle = await Circle.findById(circleId).session(session);
+    if (!circle || !this.isDue(circle, now)) return null;
+
+    const pending = circle.members.filter(m => m.paymentStatus === 'Pending');
+    if (pending.length && circle.inGracePeriod(now)) {
+      if (!circle.graceEndsAt) this.cycleManager.startGracePeriod(circle);
+
+      const remind = pending.filter(m => !m.lastRemindedAt || now - m.lastRemindedAt >= this.reminderIntervalMs);
+      remind.forEach(m => { m.lastRemindedAt = now; });
+      await circle.save({ session });
+
+      const { contribution, lateFee, fee } = this.cycleManager.amountDue(circle, now);
+      return {
+        waiting: true,
+        graceEndsAt: circle.graceEndsAt,
+        remind: remind.map(m => m.user),
+        reminder: { circleId: circle._id, title: circle.title, contribution, lateFee, fee, graceEndsAt: circle.graceEndsAt }
+      };
+    }
+
+    circle.contributionWindowClosedAt = now;
+    await circle.save({ session });
+
+    return this.cycleManager.processCirclePayout(circleId, session, { now });
+  }
+
+  /**
+   * One scheduler pass over every due circle
+   * Returns a summary per circle: { circleId, result } or { circleId, error }
+   */
+  async runDuePayouts() {
+    const now = this.clock.now();
+    const due = await this.findDueCircles(now);
+    const outcomes = [];
+
+    for (const circle of due) {
+      try {
+        // Last chance to collect before anyone still Pending is defaulted;
+        // during a grace period retries keep to their backoff
+        await this.directDebit.collectForCircle(circle._id, now, { final: !circle.inGracePeriod(now) });
+
+        const result = await runInTransaction(session => this.processDueCircle(circle._id, session, now));
+        if (result && result.waiting) {
+          for (const user of result.remind) await this.notifier.lateContribution(user, result.reminder);
+          outcomes.push({ circleId: circle._id, waitingUntil: result.graceEndsAt });
+        } else if (result && result.held) {
+          await this.notifyBackstopOutcome(circle, result);
+          outcomes.push({ circleId: circle._id, held: result.backstopOutcome });
+        } else if (result) {
+          console.log(`[SCHEDULER] Paid out ${circle.title} to ${result.recipient}`);
+          await this.notifyBackstopOutcome(circle, result);
+          outcomes.push({ circleId: circle._id, result });
+        }
+      } catch (err) {
+        console.error(`[SCHEDULER] Payout failed for ${circle.title}: ${err.message}`);
+        outcomes.push({ circleId: circle._id, error: err.message });
+      }
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Tell organizers (and an IOU's recipient) how a short round was handled
+   */
+  async notifyBackstopOutcome(circle, result) {
+    if (!result.backstopOutcome) return;
+    for (const user of result.notify) {
+      await this.notifier.backstopOutcome(user, { circleId: circle._id, title: circle.title, ...result.backstopOutcome });
+    }
+  }
+
+  /**
+   * Collections first, so members charged this tick count towards the payout
+   */
+  async tick() {
+    const now = this.clock.now();
+    await this.directDebit.runCollections(now);
+    await this.withdrawals.resubmitPending(now);
+    return this.runDuePayouts();
+  }
+
+  /**
+   * Poll for due circles every `intervalMs`
+   * The timer is unref'd so it never keeps the process alive on its own.
+   */
+  start({ intervalMs = 60 * 1000 } = {}) {
+    if (this.timer) return;
+
+    let running = false;
+    this.timer = setInterval(async () => {
+      if (running) return; // Skip a tick rather than overlap a slow pass
+      running = true;
+      try {
+        await this.tick();
+      } catch (err) {
+        console.error('[SCHEDULER] Pass failed:', err);
+      } finally {
+        running = false;
+      }
+    }, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new CycleScheduler();
+module.exports.CycleScheduler = CycleScheduler;
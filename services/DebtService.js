@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const User = require('../models/user_schema');
+const BackstopReserve = require('../models/BackstopReserve');
+const BackstopLoan = require('../models/BackstopLoan');
+const money = require('../utils/money');
+
+/**
+ * Debt Recovery Service
+ * A default leaves the member owing the backstop reserve the missed
+ * contribution (a BackstopLoan) plus the circle's
+ * penalty (5% by default).
+ * Repayments settle those loans oldest first, principal before penalty,
+ * and flow back into the reserve:
+ * - principal restores what was deployed (totalRecovered)
+ * - penalties are reserve income (penaltyIncome)
+ *
+ * Debt with no matching loan (a manual default before the round's payout
+ * recorded it) is still repaid and credited to the reserve as principal.
+ *
+ * With DEBT_AUTO_SWEEP=true, payouts and deposits are swept against
+ * outstanding debt as soon as they land in availableBalance.
+ */
+class DebtService {
+
+  get autoSweep() {
+    return process.env.DEBT_AUTO_SWEEP === 'true';
+  }
+
+  /**
+   * Repay `amount` kobo of a user's debt from their available balance
+   * The caller provides the transaction session.
+   *
+   * @returns {{ repaid, principal, penalty, remainingDebt, loansRecovered }} kobo
+   */
+  async repay(user, amount, session) {
+    const debt = money.toKobo(user.wallet.debtBalance);
+    if (debt === 0) throw new Error('No outstanding debt');
+    if (amount > debt) throw new Error(`Payment exceeds debt of ₦${money.toNaira(debt)}`);
+    if (amount > money.toKobo(user.wallet.availableBalance)) throw new Error('Insufficient funds');
+
+    const reserve = await BackstopReserve.findOne().session(session) || new BackstopReserve();
+    const loans = await BackstopLoan.find({ defaultedUser: user._id, recovered: false })
+      .sort({ createdAt: 1, _id: 1 })
+      .session(session || null);
+
+    let remaining = amount;
+    let principal = 0;
+    let penalty = 0;
+    let loansRecovered = 0;
+
+    for (const loan of loans) {
+      if (remaining === 0) break;
+
+      const principalDue = money.subtract(money.toKobo(loan.amount), money.toKobo(loan.principalRecovered));
+      const principalPaid = Math.min(remaining, principalDue);
+      remaining = money.subtract(remaining, principalPaid);
+
+      const penaltyDue = money.subtract(money.toKobo(loan.penalty), money.toKobo(loan.penaltyRecovered));
+      const penaltyPaid = Math.min(remaining, penaltyDue);
+      remaining = money.subtract(remaining, penaltyPaid);
+
+      loan.principalRecovered = money.fromKobo(money.add(money.toKobo(loan.principalRecovered), principalPaid));
+      loan.penaltyRecovered = money.fromKobo(money.add(money.toKobo(loan.penaltyRecovered), penaltyPaid));
+      principal = money.add(principal, principalPaid);
+      penalty = money.add(penalty, penaltyPaid);
+
+      if (principalPaid === principalDue && penaltyPaid === penaltyDue) {
+        loan.recovered = true;
+        loan.recoveredAt = new Date();
+        loansRecovered += 1;
+      }
+      await loan.save({ session });
+    }
+
+    // Whatever no loan claims is unrecorded principal
+    principal = money.add(principal, remaining);
+
+    reserve.balance = money.fromKobo(money.add(money.toKobo(reserve.balance), amount));
+    reserve.totalRecovered = money.fromKobo(money.add(money.toKobo(reserve.totalRecovered), principal));
+    reserve.penaltyIncome = money.fromKobo(money.add(money.toKobo(reserve.penaltyIncome), penalty));
+    await reserve.save({ session });
+
+    const remainingDebt = await user.repayDebt(amount, {
+      session,
+      penalty,
+      reserve: reserve._id,
+      eventRef: new mongoose.Types.ObjectId()
+    });
+
+    return { repaid: amount, principal, penalty, remainingDebt, loansRecovered };
+  }
+
+  /**
+   * Settle as much debt as the available balance covers, if auto-sweep is on
+   * Returns the repayment summary, or null when nothing was swept.
+   */
+  async sweep(userId, session) {
+    if (!this.autoSweep) return null;
+
+    const user = await User.findById(userId).session(session);
+    const amount = Math.min(money.toKobo(user.wallet.availableBalance), money.toKobo(user.wallet.debtBalance));
+    if (amount === 0) return null;
+
+    const result = await this.repay(user, amount, session);
+    console.log(`[DEBT] Swept ₦${money.toNaira(amount)} from ${user.fullName}`);
+    return result;
+  }
+}
+
+module.exports = new DebtService();
@@ -0,0 +1,200 @@
+const Circle = require('../models/Circles');
+const User = require('../models/user_schema');
+const DebitAttempt = require('../models/DebitAttempt');
+const CycleManager = require('./CycleManager');
+const payments = require('./payments');
+const money = require('../utils/money');
+const { runInTransaction } = require('../utils/transaction');
+
+const systemClock = { now: () => new Date() };
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Recurring Direct Debit Collection
+ * Before a round closes, members still Pending are collected automatically:
+ * 1. If their wallet already holds the contribution, it is escrowed from there
+ * 2. Otherwise their stored card (User.paymentToken) is charged through the
+ *    payment provider, the wallet is credited and the contribution escrowed
+ *
+ * Failed charges are retried with exponential backoff across scheduler
+ * ticks (base, 2×base, 4×base...). When the payout falls due, any retries
+ * still left are run immediately; only once they are exhausted does the
+ * member fall through to the default path in processCirclePayout.
+ */
+class DirectDebitService {
+
+  constructor({
+    provider,
+    clock = systemClock,
+    maxAttempts = parseInt(process.env.DIRECT_DEBIT_MAX_ATTEMPTS, 10) || 4,
+    retryBaseMs = (parseFloat(process.env.DIRECT_DEBIT_RETRY_BASE_MINUTES) || 60) * 60 * 1000,
+    leadTimeMs = (parseFloat(process.env.DIRECT_DEBIT_LEAD_HOURS) || 24) * HOUR_MS
+  } = {}) {
+    this._provider = provider;
+    this.clock = clock;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.leadTimeMs = leadTimeMs;
+  }
+
+  get provider() {
+    return this._provider || payments.getProvider();
+  }
+
+  /**
+   * Delay before attempt n+1 after attempt n failed
+   */
+  backoffMs(attempt) {
+    return this.retryBaseMs * 2 ** (attempt - 1);
+  }
+
+  /**
+   * Active circles whose collection window has opened
+   * (nextPayoutDate within the lead time and the round not yet closed)
+   */
+  findCirclesToCollect(now = this.clock.now()) {
+    return Circle.find({
+      status: 'Active',
+      contributionWindowClosedAt: null,
+      nextPayoutDate: { $lte: new Date(now.getTime() + this.leadTimeMs) }
+    }).select('_id');
+  }
+
+  /**
+   * Scheduler entry point: advance collection for every open circle
+   */
+  async runCollections(now = this.clock.now()) {
+    const circles = await this.findCirclesToCollect(now);
+    for (const circle of circles) {
+      try {
+        await this.collectForCircle(circle._id, now);
+      } catch (err) {
+        console.error(`[DIRECT DEBIT] Collection failed for circle ${circle._id}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Collect every Pending member of a circle
+   * With { final: true } (payout is due) remaining retries run immediately
+   * instead of waiting for their backoff.
+   *
+   * @returns {Array} [{ userId, status }] where status is Collected, FromWallet,
+   *   Retrying, Scheduled, Exhausted or NoMandate
+   */
+  async collectForCircle(circleId, now = this.clock.now(), { final = false } = {}) {
+    const circle = await Circle.findById(circleId);
+    if (!circle || circle.status !== 'Active' || circle.contributionWindowClosedAt) return [];
+
+    const pending = circle.members.filter(m => m.paymentStatus === 'Pending');
+    const outcomes = [];
+
+    for (const member of pending) {
+      const status = await this.collectMember(circle, member.user, now, { final });
+      outcomes.push({ userId: member.user, status });
+    }
+    return outcomes;
+  }
+
+  async collectMember(circle, userId, now, { final }) {
+    const user = await User.findById(userId).select('+paymentToken');
+    const { total: amount } = CycleManager.amountDue(circle, now); // Includes any late fee
+
+    // Wallet first: no card charge needed if the money is already there
+    if (money.toKobo(user.wallet.availableBalance) >= amount) {
+      await runInTransaction(session => CycleManager.processContribution(circle._id, userId, session, { now }));
+      return 'FromWallet';
+    }
+
+    if (!user.paymentToken || (user.tokenExpiry && user.tokenExpiry <= now)) {
+      return 'NoMandate';
+    }
+
+    const round = circle.payoutsMade;
+    const attempts = await DebitAttempt.find({ circle: circle._id, user: userId, round }).sort({ attempt: 1 });
+
+    for (;;) {
+      const last = attempts[attempts.length - 1];
+
+      if (last && last.status === 'Succeeded') return 'Collected';
+      if (last && (!last.retryable || last.attempt >= this.maxAttempts)) return 'Exhausted';
+      if (last && !final && last.nextRetryAt > now) return 'Scheduled';
+
+      const attempt = await this.attempt(circle, user, round, last ? last.attempt + 1 : 1, amount, now);
+      attempts.push(attempt);
+
+      if (attempt.status === 'Succeeded') return 'Collected';
+      if (!final) return attempt.retryable && attempt.attempt < this.maxAttempts ? 'Retrying' : 'Exhausted';
+    }
+  }
+
+  /**
+   * Send one charge to the provider and record it
+   */
+  async attempt(circle, user, round, number, amount, now) {
+    const record = await DebitAttempt.create({
+      user: user._id,
+      circle: circle._id,
+      round,
+      attempt: number,
+      amount: money.fromKobo(amount),
+      provider: this.provider.name,
+      reference: `dd_${circle._id}_${round}_${user._id}_${number}`
+    });
+
+    let result;
+    try {
+      result = await this.provider.chargeAuthorization({
+        authorization: user.paymentToken,
+        amount,
+        reference: record.reference,
+        metadata: { circleId: circle._id.toString(), userId: user._id.toString(), round }
+      });
+    } catch (err) {
+      // Network errors and timeouts: the charge may be retried
+      result = { status: 'failed', message: err.message, retryable: true };
+    }
+
+    await User.updateOne({ _id: user._id }, { lastDebitAttempt: now });
+
+    record.providerReference = result.providerReference;
+    if (result.status !== 'success') {
+      record.status = 'Failed';
+      record.failureReason = result.message;
+      record.retryable = Boolean(result.retryable);
+      if (record.retryable && number < this.maxAttempts) {
+        record.nextRetryAt = new Date(now.getTime() + this.backoffMs(number));
+      }
+      await record.save();
+      console.warn(`[DIRECT DEBIT] Attempt ${number} failed for ${user.fullName}: ${result.message}`);
+      return record;
+    }
+
+    record.status = 'Succeeded';
+    await record.save();
+
+    // The card was charged: credit the wallet on its own so the money is
+    // never lost, even if escrowing the contribution fails afterwards
+    await runInTransaction(async (session) => {
+      const payer = await User.findById(user._id).session(session);
+      payer.postLedger('Available', 'Credit', amount, {
+        counterparty: { kind: 'External' },
+        eventType: 'DirectDebit',
+        eventRef: record._id,
+        circle: circle._id,
+        memo: `${this.provider.name} ${result.providerReference}`
+      });
+      await payer.save({ session });
+    });
+
+    try {
+      await runInTransaction(session => CycleManager.processContribution(circle._id, user._id, session, { now }));
+    } catch (err) {
+      console.error(`[DIRECT DEBIT] Charged ${user.fullName} but could not escrow: ${err.message}`);
+    }
+    return record;
+  }
+}
+
+module.exports = new DirectDebitService();
+module.exports.DirectDebitService = DirectDebitService;
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const User = require('../models/user_schema');
+const FundingIntent = require('../models/FundingIntent');
+const payments = require('./payments');
+const DebtService = require('./DebtService');
+const money = require('../utils/money');
+const { runInTransaction } = require('../utils/transaction');
+
+/**
+ * Wallet Funding Service
+ * Deposits happen in two steps:
+ * 1. createIntent() records a Pending FundingIntent and asks the provider
+ *    for a checkout URL
+ * 2. The provider calls our webhook once the member has paid;
+ *    settleWebhook() verifies it and credits wallet.availableBalance
+ *
+ * Providers retry webhooks until they get a 2xx, so settlement must be
+ * idempotent: the credit happens in the same transaction as the intent's
+ * Pending -> Succeeded transition, and a second delivery finds nothing
+ * left to settle.
+ */
+class FundingService {
+
+  /**
+   * Step 1: open a deposit for `amount` kobo
+   */
+  async createIntent(user, amount) {
+    const provider = payments.getProvider();
+    const intent = new FundingIntent({
+      user: user._id,
+      amount: money.fromKobo(amount),
+      provider: provider.name,
+      reference: `fund_${crypto.randomBytes(12).toString('hex')}`
+    });
+
+    const { authorizationUrl } = await provider.initializeFunding({
+      amount,
+      reference: intent.reference,
+      metadata: { userId: user._id.toString() }
+    });
+    intent.authorizationUrl = authorizationUrl;
+
+    return intent.save();
+  }
+
+  /**
+   * Step 2: apply a webhook whose signature has already been verified
+   *
+   * @returns {{ outcome: 'Credited'|'Failed'|'Duplicate'|'Ignored', intent?: FundingIntent }}
+   */
+  async settleWebhook(provider, payload) {
+    const event = provider.parseWebhook(payload);
+    if (!['charge.success', 'charge.failed'].includes(event.event) || !event.reference) {
+      return { outcome: 'Ignored' };
+    }
+
+    return runInTransaction(async (session) => {
+      const intent = await FundingIntent.findOne({ reference: event.reference, provider: provider.name }).session(session);
+      if (!intent) return { outcome: 'Ignored' };
+      if (intent.status !== 'Pending') return { outcome: 'Duplicate', intent };
+
+      intent.providerReference = event.providerReference;
+
+      if (event.event === 'charge.failed') {
+        intent.status = 'Failed';
+        intent.failureReason = 'Payment failed at provider';
+        await intent.save({ session });
+        return { outcome: 'Failed', intent };
+      }
+
+      // Only credit what we asked for; anything else needs a human
+      const amount = money.toKobo(intent.amount);
+      if (Number(event.amount) !== amount) {
+        intent.status = 'Failed';
+        intent.failureReason = `Amount mismatch: expected ${amount} kobo, provider reported ${event.amount}`;
+        await intent.save({ session });
+        return { outcome: 'Failed', intent };
+      }
+
+      intent.status = 'Succeeded';
+      intent.paidAt = new Date();
+      await intent.save({ session });
+
+      const user = await User.findById(intent.user).session(session);
+      user.postLedger('Available', 'Credit', amount, {
+        counterparty: { kind: 'External' },
+        eventType: 'Deposit',
+        eventRef: intent._id,
+        memo: `${provider.name} ${event.providerReference}`
+      });
+
+      // A reusable card becomes the member's direct-debit mandate
+      if (event.authorization && event.authorization.reusable) {
+        user.paymentToken = event.authorization.code;
+        user.tokenExpiry = event.authorization.expiresAt;
+      }
+      await user.save({ session });
+
+      await DebtService.sweep(user._id, session);
+      return { outcome: 'Credited', intent };
+    });
+  }
+}
+
+module.exports = new FundingService();
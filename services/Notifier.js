@@ -0,0 +1,76 @@
+const money = require('../utils/money');
+
+/**
+ * Member Notifications
+ * Every message goes through a single transport function, so SMS, push or
+ * email can be plugged in with setTransport(); the default writes to the
+ * console.
+ *
+ * Sending never throws: a reminder that fails to go out must not fail the
+ * scheduler pass or money movement that triggered it.
+ */
+const consoleTransport = async ({ user, type, message }) => {
+  console.log(`[NOTIFY] ${type} -> ${user}: ${message}`);
+};
+
+class Notifier {
+
+  constructor({ transport = consoleTransport } = {}) {
+    this.transport = transport;
+  }
+
+  setTransport(transport) {
+    this.transport = transport || consoleTransport;
+  }
+
+  /**
+   * @returns {Boolean} whether the transport accepted the message
+   */
+  async send(user, type, message, data = {}) {
+    try {
+      await this.transport({ user, type, message, data, sentAt: new Date() });
+      return true;
+    } catch (err) {
+      console.error(`[NOTIFY] ${type} to ${user} failed: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Contribution overdue; the member can still pay until the grace period ends
+   * @param {Object} details - { circleId, title, contribution, lateFee, fee, graceEndsAt } amounts in kobo;
+   *   `fee` is the member's platform fee share, if the circle charges contributors
+   */
+  lateContribution(user, { circleId, title, contribution, lateFee, fee = 0, graceEndsAt }) {
+    const total = money.add(contribution, lateFee, fee);
+    const feeNote = fee > 0 ? ` and a ₦${money.toDecimalString(fee)} platform fee` : '';
+    return this.send(
+      user,
+      'LateContribution',
+      `Your contribution to ${title} is overdue. Pay ₦${money.toDecimalString(total)} ` +
+        `(including a ₦${money.toDecimalString(lateFee)} late fee${feeNote}) before ${graceEndsAt.toISOString()} to avoid a default.`,
+      { circleId, amountDue: money.toNaira(total), lateFee: money.toNaira(lateFee), graceEndsAt }
+    );
+  }
+
+  /**
+   * The backstop reserve could not cover a round's missing contributions
+   * @param {Object} details - { circleId, title } plus a presented backstop outcome
+   *   ({ outcome, shortfall, paidOut, delayedUntil }, amounts in naira)
+   */
+  backstopOutcome(user, { circleId, title, outcome, shortfall, paidOut, delayedUntil }) {
+    const missing = `₦${money.toDecimalString(money.toKobo(shortfall))}`;
+    const messages = {
+      Paused: `${title} is paused: the backstop reserve cannot cover this round's ${missing} of missing contributions. ` +
+        'Resume it once the shortfall is dealt with.',
+      Delayed: `The payout for ${title} is delayed until ${delayedUntil && delayedUntil.toISOString()}: the backstop reserve ` +
+        `cannot cover ${missing} of missing contributions. Members who have not paid can still contribute until then.`,
+      PartialPayout: `${title} paid out the ₦${money.toDecimalString(money.toKobo(paidOut))} collected this round. The backstop reserve owes ` +
+        `the recipient the remaining ${missing} and pays it as it recovers.`
+    };
+    return this.send(user, 'BackstopShortfall', messages[outcome], { circleId, outcome, shortfall, paidOut, delayedUntil });
+  }
+}
+
+module.exports = new Notifier();
+module.exports.Notifier = Notifier;
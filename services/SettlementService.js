@@ -0,0 +1,597 @@
+const mongoose = require('mongoose');
+const Circle = require('../models/Circles');
+const User = require('../models/user_schema');
+const BackstopReserve = require('../models/BackstopReserve');
+const BackstopLoan = require('../models/BackstopLoan');
+const CycleManager = require('./CycleManager');
+const DebtService = require('./DebtService');
+const TrustEngine = require('./TrustEngine');
+const money = require('../utils/money');
+const { addPeriods } = require('../utils/schedule');
+
+const DEFAULT_EXIT_FEE_BPS = 500; // 5% of the refund when a member leaves early
+const EXIT_MODES = ['refund', 'lumpSum', 'replacement'];
+
+/**
+ * Circle Settlement Service
+ * Unwinds money when a member leaves or is removed, or a circle is dissolved.
+ *
+ * A member's position in a circle is what they put in against what they
+ * took out:
+ * - paidIn:   contribution × (rounds paid + rounds the backstop covered for
+ *             them, which they owe back through their debt)
+ * - received: payouts kept after any bid given up, plus bid shares
+ *
+ * Removal or exit (only before the member's turn): their escrow for the
+ * current round is returned, and the backstop reserve buys out the rest of
+ * their position (paidIn - received). A member leaving by choice pays the
+ * exit fee (MEMBER_EXIT_FEE_BPS, default 5%) on that refund.
+ *
+ * Lump sum (after the member's turn): they escrow every contribution still
+ * due (plus their fee shares, where contributors pay the platform fee)
+ * and stop taking part; each remaining round starts Paid for them.
+ *
+ * Replacement (before the member's turn): a new user buys the leaver's
+ * position and takes over their slot and future contributions.
+ *
+ * Dissolution: every escrow is returned, then the circle is squared up.
+ * Members who received more than they paid in settle the difference from
+ * their withheld vault balance first; the remainder becomes debt owed to
+ * the reserve. Members still owed are paid from what those vaults
+ * yielded, and the reserve covers the rest.
+ *
+ * Fee shares contributors paid are not refunded. Refunds to members who
+ * carry debt are applied to that debt. Each
+ * operation appends a report to circle.settlements.
+ */
+class SettlementService {
+
+  get exitFeeBps() {
+    const bps = parseInt(process.env.MEMBER_EXIT_FEE_BPS, 10);
+    return Number.isInteger(bps) && bps >= 0 ? bps : DEFAULT_EXIT_FEE_BPS;
+  }
+
+  /**
+   * Organizer removes a member before their turn (no fee)
+   * @param {Object} options - { by, reason, now }
+   */
+  async removeMember(circleId, userId, { by, reason, now = new Date() } = {}, session) {
+    return this.release(circleId, userId, { kind: 'Removal', feeBps: 0, by, reason, now }, session);
+  }
+
+  /**
+   * A member leaves of their own accord
+   * - refund:      not yet paid out; contributions back minus the exit fee
+   * - lumpSum:     already paid out; every remaining contribution escrowed now
+   * - replacement: not yet paid out; wait for someone to take over the slot
+   *
+   * @param {Object} options - { mode, nominee, reason, now }
+   */
+  async exit(circleId, userId, { mode, nominee, reason, now = new Date() } = {}, session) {
+    switch (mode) {
+      case 'refund':
+        return this.release(circleId, userId, { kind: 'Exit', feeBps: this.exitFeeBps, by: userId, reason, now }, session);
+      case 'lumpSum':
+        return this.settleLumpSum(circleId, userId, { reason, now }, session);
+      case 'replacement':
+        return this.requestReplacement(circleId, userId, { nominee, now }, session);
+      default:
+        throw new Error(`Unknown exit mode: ${mode} (use ${EXIT_MODES.join(', ')})`);
+    }
+  }
+
+  /**
+   * Take a member out of the rotation before their turn
+   * Their escrow comes back, and the backstop reserve buys out the rest of
+   * their position, keeping `feeBps` of the refund.
+   */
+  async release(circleId, userId, { kind, feeBps, by, reason, now }, session) {
+    const circle = await Circle.findById(circleId).session(session);
+    if (!circle) throw new Error('Circle not found');
+
+    const member = this.leavingMember(circle, userId);
+    const user = await User.findById(userId).session(session);
+    const reserve = await BackstopReserve.findOne().session(session) || new BackstopReserve();
+    const eventRef = new mongoose.Types.ObjectId();
+
+    let line = this.emptyLine(member.user);
+    if (circle.status !== 'Forming') {
+      const slot = this.unpaidSlot(circle, userId);
+      if (circle.members.length - 1 < 2) {
+        throw new Error('A running circle needs at least 2 members; dissolve the circle instead');
+      }
+
+      line = this.position(circle, member);
+      line.escrowRefunded = this.refundEscrow(circle, member, user, eventRef);
+
+      // The reserve takes over the slot, and with it the member's claim
+      line.refundFromReserve = Math.max(0, money.subtract(line.paidIn, line.received));
+      this.payFromReserve(reserve, user, line.refundFromReserve, { circle, eventRef });
+
+      line.exitFee = money.applyRate(money.add(line.escrowRefunded, line.refundFromReserve), feeBps, money.ROUNDING.fee);
+      if (line.exitFee > 0) {
+        user.postLedger('Available', 'Debit', line.exitFee, {
+          counterparty: { kind: 'Backstop', ref: reserve._id }, eventType: 'ExitFee', eventRef, circle: circle._id
+        });
+        reserve.balance = money.fromKobo(money.add(money.toKobo(reserve.balance), line.exitFee));
+      }
+
+      // The order as fixed at the start stays auditable: record the change
+      circle.payoutOrder.splice(slot, 1);
+      circle.payoutOrderAmendments.push({ kind: 'Removed', slot, user: member.user, by, reason, at: now });
+    } else {
+      circle.payoutOrder = circle.payoutOrder.filter(id => id.toString() !== userId.toString());
+    }
+
+    circle.members.pull(member._id);
+    circle.totalPot = money.fromKobo(circle.members.length * money.toKobo(circle.contributionAmount));
+    user.activeCircles = user.activeCircles.filter(cid => cid.toString() !== circle._id.toString());
+    if (kind === 'Exit' && circle.status !== 'Forming') {
+      await TrustEngine.record(user, 'EarlyExit', { circle: circle._id, ref: eventRef, now, session });
+    }
+    await user.save({ session });
+
+    if (circle.status !== 'Forming') {
+      await this.releaseUnneededEscrow(circle, eventRef, session);
+      if (circle.currentTurn >= circle.payoutOrder.length) {
+        // The member who left was the last one waiting: everyone has been paid
+        await CycleManager.completeCircle(circle, session);
+        circle.currentTurn = 0;
+        circle.nextPayoutDate = undefined;
+      } else {
+        circle.expectedEndDate = addPeriods(circle.startDate, circle.frequency, circle.payoutOrder.length);
+      }
+    }
+
+    const report = this.record(circle, kind, [line], { by, reason, now });
+    await circle.save({ session });
+    await reserve.save({ session });
+
+    const refund = money.subtract(money.add(line.escrowRefunded, line.refundFromReserve), line.exitFee);
+    await this.applyRefundsToDebt([{ user, refund }], session);
+    return report;
+  }
+
+  /**
+   * A paid-out member leaves by escrowing every contribution still due
+   * Their withheld payout is used first (it is already in their vault), the
+   * rest comes from their wallet. Each remaining round then starts Paid.
+   */
+  async settleLumpSum(circleId, userId, { reason, now }, session) {
+    const circle = await Circle.findById(circleId).session(session);
+    if (!circle) throw new Error('Circle not found');
+
+    const member = this.leavingMember(circle, userId);
+    if (circle.status === 'Forming') throw new Error('Nobody has been paid in a Forming circle; leave with a refund instead');
+    const slot = circle.payoutOrder.findIndex(id => id.toString() === userId.toString());
+    if (slot >= circle.currentTurn) throw new Error('Not paid out yet: leave with a refund or find a replacement instead');
+
+    const user = await User.findById(userId).session(session);
+    const contribution = money.toKobo(circle.contributionAmount);
+    const rounds = circle.payoutOrder.length - circle.currentTurn - (member.paymentStatus === 'Pending' ? 0 : 1);
+    const amount = contribution * rounds;
+
+    const line = this.position(circle, member);
+    line.lumpSum = amount;
+    line.withheldApplied = Math.min(money.toKobo(member.withheldBalance), amount);
+    // Circles that split the platform fee across contributors take the fee
+    // shares for those rounds now too
+    const feeShare = circle.contributorFeeShare(now);
+    line.platformFee = feeShare * rounds;
+    const fromWallet = money.subtract(amount, line.withheldApplied);
+    if (money.add(fromWallet, line.platformFee) > money.toKobo(user.wallet.availableBalance)) {
+      throw new Error(`Insufficient funds: the remaining ${rounds} contributions need ` +
+        `₦${money.toDecimalString(money.add(fromWallet, line.platformFee))} from your wallet`);
+    }
+
+    if (fromWallet > 0) {
+      const entry = { counterparty: { kind: 'Circle', ref: circle._id }, eventType: 'ExitSettlement', circle: circle._id };
+      user.postLedger('Available', 'Debit', fromWallet, entry);
+      user.postLedger('Vault', 'Credit', fromWallet, entry);
+    }
+    if (line.platformFee > 0) {
+      const reserve = await BackstopReserve.findOne().session(session) || new BackstopReserve();
+      user.postLedger('Available', 'Debit', line.platformFee, {
+        counterparty: { kind: 'Backstop', ref: reserve._id }, eventType: 'PlatformFee', circle: circle._id,
+        memo: `Contributor fee shares for ${rounds} remaining rounds`
+      });
+      reserve.balance = money.fromKobo(money.add(money.toKobo(reserve.balance), line.platformFee));
+      await reserve.save({ session });
+      circle.backstopBalance = money.fromKobo(money.add(money.toKobo(circle.backstopBalance), line.platformFee));
+      circle.totalFeesCollected = money.fromKobo(money.add(money.toKobo(circle.totalFeesCollected), line.platformFee));
+    }
+    // Withheld funds stay in the vault, now escrowed for future rounds
+    member.withheldBalance = money.fromKobo(money.subtract(money.toKobo(member.withheldBalance), line.withheldApplied));
+
+    if (member.paymentStatus === 'Pending' && rounds > 0) {
+      member.paymentStatus = 'Paid';
+      member.lastPaymentDate = now;
+      member.roundFeePaid = money.fromKobo(feeShare);
+      member.prepaidRounds = rounds - 1;
+    } else {
+      member.prepaidRounds = rounds;
+    }
+    member.exitedAt = now;
+
+    user.activeCircles = user.activeCircles.filter(cid => cid.toString() !== circle._id.toString());
+    await user.save({ session });
+
+    const report = this.record(circle, 'LumpSum', [line], { by: userId, reason, now });
+    await circle.save({ session });
+    return report;
+  }
+
+  /**
+   * Mark a member as looking for a replacement
+   * `nominee`, when given, is the only user who may take over.
+   */
+  async requestReplacement(circleId, userId, { nominee, now }, session) {
+    const circle = await Circle.findById(circleId).session(session);
+    if (!circle) throw new Error('Circle not found');
+
+    const member = this.leavingMember(circle, userId);
+    if (circle.status === 'Forming') throw new Error('A Forming circle can simply be left with a refund');
+    this.unpaidSlot(circle, userId);
+    if (nominee && circle.roleOf(nominee)) throw new Error('The nominee is already a member of this circle');
+
+    member.exitRequest = { requestedAt: now, nominee };
+    await circle.save({ session });
+    return { circle: circle._id, user: userId, exitRequest: member.exitRequest };
+  }
+
+  /**
+   * A new user takes over a leaving member's slot
+   * The replacement pays the leaver's net position (paid in minus received)
+   * and this round's escrow, then inherits the slot: its place in
+   * payoutOrder, contribution history, bid and all future contributions.
+   * Eligibility to join is checked by the caller.
+   */
+  async replaceMember(circleId, leaverId, replacementId, { now = new Date() } = {}, session) {
+    const circle = await Circle.findById(circleId).session(session);
+    if (!circle) throw new Error('Circle not found');
+    if (!['Active', 'Paused'].includes(circle.status)) throw new Error(`Slots cannot be taken over in a ${circle.status} circle`);
+
+    const member = circle.members.find(m => m.user.toString() === leaverId.toString());
+    if (!member || !member.exitRequest || !member.exitRequest.requestedAt) {
+      throw new Error('That member is not looking for a replacement');
+    }
+    if (member.exitRequest.nominee && !member.exitRequest.nominee.equals(replacementId)) {
+      throw new Error('This slot is reserved for another replacement');
+    }
+    if (circle.visibility === 'Private' && !member.exitRequest.nominee) {
+      throw new Error('In a private circle the leaving member must nominate their replacement');
+    }
+    if (circle.roleOf(replacementId)) throw new Error('User is already a member of this circle');
+    const slot = this.unpaidSlot(circle, leaverId);
+
+    const leaver = await User.findById(leaverId).session(session);
+    const replacement = await User.findById(replacementId).session(session);
+    const eventRef = new mongoose.Types.ObjectId();
+    const journal = { counterparty: { kind: 'Circle', ref: circle._id }, eventRef, circle: circle._id };
+
+    const line = this.position(circle, member);
+    line.buyIn = Math.max(0, money.subtract(line.paidIn, line.received));
+    const wasPaid = member.paymentStatus === 'Paid';
+    const escrow = wasPaid ? money.toKobo(circle.contributionAmount) : 0;
+    if (money.add(line.buyIn, escrow) > money.toKobo(replacement.wallet.availableBalance)) {
+      throw new Error(`Insufficient funds: taking over this slot costs ₦${money.toDecimalString(money.add(line.buyIn, escrow))}`);
+    }
+
+    // The leaver gets their escrow back and is bought out...
+    line.escrowRefunded = this.refundEscrow(circle, member, leaver, eventRef);
+    if (line.buyIn > 0) {
+      leaver.postLedger('Available', 'Credit', line.buyIn, { ...journal, eventType: 'ReplacementBuyIn' });
+      replacement.postLedger('Available', 'Debit', line.buyIn, { ...journal, eventType: 'ReplacementBuyIn' });
+    }
+    // ...and the replacement escrows this round in their place
+    if (wasPaid) {
+      replacement.postLedger('Available', 'Debit', escrow, { ...journal, eventType: 'Contribution' });
+      replacement.postLedger('Vault', 'Credit', escrow, { ...journal, eventType: 'Contribution' });
+      member.paymentStatus = 'Paid';
+      member.lastPaymentDate = now;
+    }
+
+    member.user = replacement._id;
+    member.joinedAt = now;
+    member.totalContributionsMade += member.roundsDefaulted; // Bought out by the replacement
+    member.roundsDefaulted = 0;
+    member.exitRequest = undefined;
+    circle.payoutOrder.set(slot, replacement._id);
+    circle.payoutOrderAmendments.push({ kind: 'Replaced', slot, user: leaverId, replacement: replacement._id, by: replacementId, at: now });
+
+    leaver.activeCircles = leaver.activeCircles.filter(cid => cid.toString() !== circle._id.toString());
+    replacement.activeCircles.push(circle._id);
+    await leaver.save({ session });
+    await replacement.save({ session });
+
+    const report = this.record(circle, 'Replacement', [line], { by: replacementId, now, replacedBy: replacementId });
+    await circle.save({ session });
+
+    await this.applyRefundsToDebt([{ user: leaver, refund: money.add(line.buyIn, line.escrowRefunded) }], session);
+    return report;
+  }
+
+  /**
+   * Dissolve a circle and settle every member's position
+   * @param {Object} options - { by, reason, now }
+   */
+  async dissolveCircle(circleId, { by, reason, now = new Date() } = {}, session) {
+    const circle = await Circle.findById(circleId).session(session).populate('members.user');
+    if (!circle) throw new Error('Circle not found');
+    if (!['Forming', 'Active', 'Paused'].includes(circle.status)) {
+      throw new Error(`A ${circle.status} circle cannot be dissolved`);
+    }
+
+    const reserve = await BackstopReserve.findOne().session(session) || new BackstopReserve();
+    const eventRef = new mongoose.Types.ObjectId();
+    const journal = { counterparty: { kind: 'Circle', ref: circle._id }, eventRef, circle: circle._id };
+
+    const lines = circle.members.map(member => ({ member, line: this.position(circle, member) }));
+    let pool = 0; // Withheld funds surrendered by members who were overpaid
+
+    // Pass 1: return escrows and collect from members who took out more than they put in
+    for (const { member, line } of lines) {
+      const user = member.user;
+      line.escrowRefunded = this.refundEscrow(circle, member, user, eventRef);
+
+      const owed = money.subtract(line.received, line.paidIn);
+      const withheld = money.toKobo(member.withheldBalance);
+      line.withheldApplied = Math.min(withheld, Math.max(0, owed));
+      line.withheldReleased = money.subtract(withheld, line.withheldApplied);
+      line.obligationCharged = Math.max(0, money.subtract(owed, line.withheldApplied));
+
+      if (line.withheldApplied > 0) {
+        user.postLedger('Vault', 'Debit', line.withheldApplied, { ...journal, eventType: 'SettlementObligation' });
+        pool = money.add(pool, line.withheldApplied);
+      }
+      if (line.withheldReleased > 0) {
+        user.postLedger('Vault', 'Debit', line.withheldReleased, { ...journal, eventType: 'VaultRelease' });
+        user.postLedger('Available', 'Credit', line.withheldReleased, { ...journal, eventType: 'VaultRelease' });
+      }
+      if (line.obligationCharged > 0) {
+        // The reserve makes good what the member can't return, so they owe it
+        user.postLedger('Debt', 'Credit', line.obligationCharged, {
+          ...journal, counterparty: { kind: 'Backstop', ref: reserve._id }, eventType: 'SettlementObligation'
+        });
+        await BackstopLoan.create([{
+          kind: 'SettlementObligation',
+          circle: circle._id,
+          amount: money.fromKobo(line.obligationCharged),
+          penalty: money.fromKobo(0),
+          defaultedUser: user._id,
+          eventRef,
+          createdAt: now
+        }], { session });
+      }
+      member.withheldBalance = money.fromKobo(0);
+    }
+
+    // Pass 2: pay members still owed, from the pool first and then the reserve
+    for (const { member, line } of lines) {
+      const claim = Math.max(0, money.subtract(line.paidIn, line.received));
+      line.refundFromCircle = Math.min(pool, claim);
+      pool = money.subtract(pool, line.refundFromCircle);
+      if (line.refundFromCircle > 0) {
+        member.user.postLedger('Available', 'Credit', line.refundFromCircle, { ...journal, eventType: 'SettlementRefund' });
+      }
+
+      line.refundFromReserve = money.subtract(claim, line.refundFromCircle);
+      this.payFromReserve(reserve, member.user, line.refundFromReserve, { circle, eventRef });
+    }
+
+    // Anything left over from overpaid members' vaults belongs to the reserve
+    reserve.balance = money.fromKobo(money.add(money.toKobo(reserve.balance), pool));
+
+    for (const { member } of lines) {
+      const user = member.user;
+      user.activeCircles = user.activeCircles.filter(cid => cid.toString() !== circle._id.toString());
+      await user.save({ session });
+    }
+
+    // A short payout's IOU is squared up above: it shows as less `received`
+    for (const iou of circle.payoutIous) {
+      if (circle.iouDue(iou) > 0) iou.cancelledAt = now;
+    }
+
+    circle.status = 'Dissolved';
+    circle.nextPayoutDate = undefined;
+    circle.contributionWindowClosedAt = undefined;
+    circle.pausedAt = undefined;
+
+    const report = this.record(circle, 'Dissolution', lines.map(l => l.line), { by, reason, now });
+    await circle.save({ session });
+    await reserve.save({ session });
+
+    await this.applyRefundsToDebt(lines.map(({ member, line }) => ({
+      user: member.user,
+      refund: money.add(line.escrowRefunded, line.withheldReleased, line.refundFromCircle, line.refundFromReserve)
+    })), session);
+
+    console.log(`[SETTLEMENT] Circle ${circle.title} dissolved; ${lines.length} members settled`);
+    return report;
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  /**
+   * The member leaving, after checks common to every way of leaving
+   */
+  leavingMember(circle, userId) {
+    const member = circle.members.find(m => m.user.toString() === userId.toString());
+    if (!member) throw new Error('Not a member of this circle');
+    if (member.role === 'Organizer') throw new Error('The organizer cannot leave the circle; dissolve it instead');
+    if (member.exitedAt) throw new Error('Member has already left this circle');
+    if (!['Forming', 'Active', 'Paused'].includes(circle.status)) {
+      throw new Error(`Members cannot leave a ${circle.status} circle`);
+    }
+    return member;
+  }
+
+  /**
+   * Index of the member's payout slot, which must not have been paid yet
+   */
+  unpaidSlot(circle, userId) {
+    const slot = circle.payoutOrder.findIndex(id => id.toString() === userId.toString());
+    if (slot < circle.currentTurn) {
+      throw new Error('Member has already received their payout; they must keep contributing or settle the remaining contributions as a lump sum');
+    }
+    return slot;
+  }
+
+  emptyLine(user) {
+    return {
+      user: user._id || user,
+      paidIn: 0,
+      received: 0,
+      escrowRefunded: 0,
+      exitFee: 0,
+      lumpSum: 0,
+      platformFee: 0,
+      buyIn: 0,
+      withheldApplied: 0,
+      withheldReleased: 0,
+      obligationCharged: 0,
+      refundFromCircle: 0,
+      refundFromReserve: 0
+    };
+  }
+
+  /**
+   * What a member has put into and taken out of the circle (kobo)
+   */
+  position(circle, member) {
+    const rounds = member.totalContributionsMade + (member.roundsDefaulted || 0);
+    return {
+      ...this.emptyLine(member.user),
+      paidIn: money.toKobo(circle.contributionAmount) * rounds,
+      received: money.toKobo(member.payoutReceived)
+    };
+  }
+
+  /**
+   * Return the member's escrow: this round's contribution and any prepaid rounds
+   */
+  refundEscrow(circle, member, user, eventRef) {
+    const rounds = (member.paymentStatus === 'Paid' ? 1 : 0) + (member.prepaidRounds || 0);
+    if (member.paymentStatus === 'Paid') member.paymentStatus = 'Pending';
+    member.prepaidRounds = 0;
+    return this.returnEscrow(circle, user, rounds, eventRef);
+  }
+
+  returnEscrow(circle, user, rounds, eventRef) {
+    if (rounds === 0) return 0;
+
+    const amount = money.toKobo(circle.contributionAmount) * rounds;
+    const entry = { counterparty: { kind: 'Circle', ref: circle._id }, eventType: 'ContributionRefund', eventRef, circle: circle._id };
+    user.postLedger('Vault', 'Debit', amount, entry);
+    user.postLedger('Available', 'Credit', amount, entry);
+    return amount;
+  }
+
+  /**
+   * After the rotation shrinks, refund escrow it no longer needs
+   * Prepaid rounds beyond the rounds left go back, and when no round is
+   * left at all, so does everyone's escrow for the current one.
+   */
+  async releaseUnneededEscrow(circle, eventRef, session) {
+    const roundsLeft = circle.payoutOrder.length - circle.currentTurn; // Including the current round
+
+    for (const member of circle.members) {
+      const current = roundsLeft <= 0 && member.paymentStatus === 'Paid' ? 1 : 0;
+      const excess = Math.max(0, (member.prepaidRounds || 0) - Math.max(0, roundsLeft - 1));
+      if (current + excess === 0) continue;
+
+      const user = await User.findById(member.user).session(session);
+      this.returnEscrow(circle, user, current + excess, eventRef);
+      if (current) member.paymentStatus = 'Pending';
+      member.prepaidRounds -= excess;
+      await user.save({ session });
+    }
+  }
+
+  /**
+   * Credit a member from the backstop reserve
+   */
+  payFromReserve(reserve, user, amount, { circle, eventRef }) {
+    if (amount === 0) return;
+
+    const balance = money.toKobo(reserve.balance);
+    if (balance < amount) {
+      throw new Error(`Backstop insufficient. Need ₦${money.toNaira(amount)}, have ₦${money.toNaira(balance)}`);
+    }
+    reserve.balance = money.fromKobo(money.subtract(balance, amount));
+    reserve.totalDeployed = money.fromKobo(money.add(money.toKobo(reserve.totalDeployed), amount));
+
+    user.postLedger('Available', 'Credit', amount, {
+      counterparty: { kind: 'Backstop', ref: reserve._id },
+      eventType: 'SettlementRefund',
+      eventRef,
+      circle: circle._id
+    });
+  }
+
+  /**
+   * Append a settlement report (stored in naira) and return it
+   */
+  record(circle, kind, lines, { by, reason, now, replacedBy }) {
+    const toStored = (line) => Object.fromEntries(
+      Object.entries(line).map(([key, value]) => [key, typeof value === 'number' ? money.fromKobo(value) : value])
+    );
+    const total = (key) => money.add(0, ...lines.map(l => l[key]));
+
+    circle.settlements.push({
+      kind,
+      settledAt: now,
+      settledBy: by,
+      replacedBy,
+      reason,
+      lines: lines.map(toStored),
+      totals: toStored({
+        escrowRefunded: total('escrowRefunded'),
+        refundFromCircle: total('refundFromCircle'),
+        refundFromReserve: total('refundFromReserve'),
+        obligationCharged: total('obligationCharged')
+      })
+    });
+    return this.formatReport(circle.settlements[circle.settlements.length - 1]);
+  }
+
+  /**
+   * Settlement report with amounts as naira numbers
+   */
+  formatReport(settlement) {
+    const naira = (value) => money.toNaira(money.toKobo(value));
+    const amounts = ['paidIn', 'received', 'escrowRefunded', 'exitFee', 'lumpSum', 'platformFee', 'buyIn', 'withheldApplied',
+      'withheldReleased', 'obligationCharged', 'refundFromCircle', 'refundFromReserve'];
+    const totals = ['escrowRefunded', 'refundFromCircle', 'refundFromReserve', 'obligationCharged'];
+
+    return {
+      id: settlement._id,
+      kind: settlement.kind,
+      settledAt: settlement.settledAt,
+      settledBy: settlement.settledBy,
+      replacedBy: settlement.replacedBy,
+      reason: settlement.reason,
+      lines: settlement.lines.map(line => ({
+        user: line.user,
+        ...Object.fromEntries(amounts.map(key => [key, naira(line[key])]))
+      })),
+      totals: Object.fromEntries(totals.map(key => [key, naira(settlement.totals[key])]))
+    };
+  }
+
+  /**
+   * Members with debt have their settlement refund put towards it
+   */
+  async applyRefundsToDebt(refunds, session) {
+    for (const { user, refund } of refunds) {
+      const amount = Math.min(refund, money.toKobo(user.wallet.debtBalance), money.toKobo(user.wallet.availableBalance));
+      if (amount > 0) await DebtService.repay(user, amount, session);
+    }
+  }
+}
+
+module.exports = new SettlementService();
+module.exports.EXIT_MODES = EXIT_MODES;
@@ -0,0 +1,404 @@
+const mongoose = require('mongoose');
+const Circle = require('../models/Circles');
+const User = require('../models/user_schema');
+const BackstopReserve = require('../models/BackstopReserve');
+const CycleManager = require('./CycleManager');
+const { CycleScheduler } = require('./CycleScheduler');
+const { Notifier } = require('./Notifier');
+const DebtService = require('./DebtService');
+const BackstopService = require('./BackstopService');
+const TierPolicyService = require('./TierPolicyService');
+const money = require('../utils/money');
+const sim = require('../utils/simulation');
+const { DEFAULT_FEE_SCHEDULE, DEFAULT_PENALTY_SCHEDULE } = require('../utils/fees');
+const { runInTransaction } = require('../utils/transaction');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIER_ORDER = ['Bronze', 'Silver', 'Gold'];
+
+const DEFAULT_CONFIG = Object.freeze({
+  trials: 10,
+  circles: 100,                                          // Per trial
+  members: [3, 8],                                       // Circle size range
+  contribution: [5000, 50000],                           // Naira per round, range
+  frequencies: { daily: 0.1, weekly: 0.5, monthly: 0.4 },
+  tiers: { Bronze: 0.5, Silver: 0.35, Gold: 0.15 },       // Member mix
+  defaultProbability: { Bronze: 0.08, Silver: 0.03, Gold: 0.01 }, // Per member per round
+  recovery: { probability: 0.6, days: [7, 90] },         // Chance a defaulter repays, and when
+  staggerDays: 30,                                       // Circles start over this many days
+  maxDays: 400,
+  startDate: '2026-01-01T08:00:00Z',
+  initialReserve: 0,                                     // Naira
+  feeSchedule: DEFAULT_FEE_SCHEDULE,
+  penaltySchedule: DEFAULT_PENALTY_SCHEDULE,
+  tierPolicy: null,                                      // Partial tiers, as for PUT /tier-policy
+  backstopPolicy: 'Pause',
+  gracePeriodHours: 0,
+  sampleEveryDays: 7,
+  seed: 'ajo',
+  quiet: true
+});
+
+// Simulated members have no cards and nobody to notify
+const NO_DIRECT_DEBITS = { collectForCircle: async () => {}, runCollections: async () => {} };
+const SILENT = new Notifier({ transport: async () => {} });
+
+const range = (value, name) => {
+  if (!Array.isArray(value) || value.length !== 2 || !(value[0] <= value[1]) || value[0] < 0) {
+    throw new Error(`${name} must be a [min, max] range`);
+  }
+  return value;
+};
+
+const probability = (value, name) => {
+  if (!(value >= 0 && value <= 1)) throw new Error(`${name} must be between 0 and 1`);
+  return value;
+};
+
+/**
+ * Backstop Stress Test
+ * Runs synthetic circles through the real payout logic (CycleScheduler,
+ * CycleManager, DebtService and the models) to see what fee, penalty,
+ * withholding and backstop settings do to reserve solvency.
+ *
+ * Every run gets a throwaway in-memory replica set (mongodb-memory-server,
+ * a devDependency) and each trial starts from an empty database, so a
+ * simulation never touches real data. A trial:
+ * 1. Creates `circles` full circles of synthetic members, mixed by tier and
+ *    frequency, starting over the first `staggerDays` days
+ * 2. Steps a simulated clock a day at a time. Each member pays on the due
+ *    date unless they default this round (defaultProbability for their tier,
+ *    decided once per round), then the scheduler pays out every due circle.
+ * 3. Lets a share of defaulters (recovery.probability) repay their debt a
+ *    few days later (recovery.days)
+ * 4. Samples the reserve balance daily and, at the end, reads the reserve
+ *    summary from BackstopService
+ *
+ * The reserve "runs dry" in a trial the first time it cannot cover a
+ * payout's shortfall, whatever the circle's backstopPolicy then does.
+ */
+class SimulationService {
+
+  /**
+   * Defaults merged with `overrides`, checked
+   */
+  config(overrides = {}) {
+    const config = {
+      ...DEFAULT_CONFIG,
+      ...overrides,
+      defaultProbability: { ...DEFAULT_CONFIG.defaultProbability, ...overrides.defaultProbability },
+      recovery: { ...DEFAULT_CONFIG.recovery, ...overrides.recovery }
+    };
+
+    for (const field of ['trials', 'circles', 'maxDays', 'sampleEveryDays']) {
+      if (!Number.isInteger(config[field]) || config[field] < 1) throw new Error(`${field} must be a positive whole number`);
+    }
+    range(config.members, 'members');
+    if (config.members[0] < 2) throw new Error('Circles need at least 2 members');
+    range(config.contribution, 'contribution');
+    range(config.recovery.days, 'recovery.days');
+    if (!Number.isInteger(config.staggerDays) || config.staggerDays < 0) throw new Error('staggerDays must be a whole number');
+    if (isNaN(new Date(config.startDate))) throw new Error('Invalid startDate');
+    money.parseAmount(config.initialReserve, { allowZero: true });
+
+    const unknownTier = Object.keys({ ...config.tiers, ...config.defaultProbability }).find(t => !TIER_ORDER.includes(t));
+    if (unknownTier) throw new Error(`Unknown tier: ${unknownTier}`);
+    for (const [tier, p] of Object.entries(config.defaultProbability)) probability(p, `defaultProbability.${tier}`);
+    probability(config.recovery.probability, 'recovery.probability');
+
+    return config;
+  }
+
+  /**
+   * Run every trial and return the report
+   * Must be the only MongoDB user in the process: it connects mongoose to
+   * its own in-memory database and disconnects when done.
+   *
+   * @param {Object} overrides - any DEFAULT_CONFIG field
+   */
+  async run(overrides = {}) {
+    const config = this.config(overrides);
+    if (mongoose.connection.readyState !== 0) {
+      throw new Error('Simulations need their own database: run them in a process with no open MongoDB connection');
+    }
+
+    const { MongoMemoryReplSet } = require('mongodb-memory-server');
+    const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    const restoreConsole = config.quiet ? this.silenceConsole() : () => {};
+
+    try {
+      await mongoose.connect(replSet.getUri());
+
+      const trials = [];
+      for (let trial = 1; trial <= config.trials; trial++) {
+        await this.resetDatabase();
+        trials.push(await this.runTrial(config, trial));
+      }
+      return this.report(config, trials);
+    } finally {
+      restoreConsole();
+      TierPolicyService.invalidate();
+      await mongoose.disconnect();
+      await replSet.stop();
+    }
+  }
+
+  /**
+   * Empty database with every model's collection and indexes in place
+   * (collections can't be created implicitly inside some transactions)
+   */
+  async resetDatabase() {
+    await mongoose.connection.db.dropDatabase();
+    for (const model of Object.values(mongoose.models)) await model.syncIndexes();
+    TierPolicyService.invalidate();
+  }
+
+  /**
+   * One simulated history from an empty reserve (or `initialReserve`)
+   */
+  async runTrial(config, trial) {
+    const random = sim.seededRandom(`${config.seed}:${trial}`);
+    const start = new Date(config.startDate);
+    let now = start;
+    const scheduler = new CycleScheduler({
+      clock: { now: () => new Date(now) },
+      directDebit: NO_DIRECT_DEBITS,
+      notifier: SILENT
+    });
+
+    if (config.tierPolicy) await TierPolicyService.update(config.tierPolicy, { notes: `Simulation trial ${trial}` });
+    const policy = await TierPolicyService.current();
+    await BackstopReserve.create({ balance: money.fromKobo(money.parseAmount(config.initialReserve, { allowZero: true })) });
+
+    const plans = await this.createCircles(config, policy, random, trial);
+    const tierOf = new Map(plans.flatMap(plan => plan.members.map(m => [m.user.toString(), m.tier])));
+
+    const decided = new Set();     // circle:round:user already paid or defaulted
+    const repayments = new Map();  // day -> user IDs
+    const balances = [];
+    const stats = {
+      contributionsDue: 0, defaults: 0, payouts: 0, heldPayouts: 0, partialPayouts: 0,
+      repayments: 0, firstDryDay: null, errors: []
+    };
+    const fail = (err) => {
+      if (stats.errors.length < 5) stats.errors.push(err.message);
+    };
+
+    let day = 0;
+    for (; day <= config.maxDays; day++) {
+      now = new Date(start.getTime() + day * DAY_MS);
+
+      for (const plan of plans.filter(p => p.startDay === day)) {
+        await runInTransaction(async (session) => {
+          const circle = await Circle.findById(plan.circle).session(session);
+          await CycleManager.startCircle(circle, session, now);
+          await circle.save({ session });
+        }).catch(fail);
+      }
+
+      // Members pay on the due date, or default for the round
+      const due = await Circle.find({ status: 'Active', nextPayoutDate: { $lte: now } })
+        .select('_id cycleCount currentTurn payoutOrder members.user members.paymentStatus');
+      for (const circle of due) {
+        for (const member of circle.members.filter(m => m.paymentStatus === 'Pending')) {
+          const key = `${circle._id}:${circle.payoutsMade}:${member.user}`;
+          if (decided.has(key)) continue;
+          decided.add(key);
+          stats.contributionsDue += 1;
+
+          if (random() < config.defaultProbability[tierOf.get(member.user.toString())]) {
+            stats.defaults += 1;
+            if (random() < config.recovery.probability) {
+              const repayDay = day + sim.between(config.recovery.days, random);
+              repayments.set(repayDay, [...(repayments.get(repayDay) || []), member.user]);
+            }
+            continue;
+          }
+          await runInTransaction(session =>
+            CycleManager.processContribution(circle._id, member.user, session, { now })
+          ).catch(fail);
+        }
+      }
+
+      for (const outcome of await scheduler.runDuePayouts()) {
+        if (outcome.error) fail(new Error(outcome.error));
+        const short = outcome.held || (outcome.result && outcome.result.backstopOutcome);
+        if (outcome.result) stats.payouts += 1;
+        if (outcome.held) stats.heldPayouts += 1;
+        if (outcome.result && outcome.result.iou > 0) stats.partialPayouts += 1;
+        if (short && stats.firstDryDay === null) stats.firstDryDay = day;
+      }
+
+      for (const userId of repayments.get(day) || []) {
+        await runInTransaction(async (session) => {
+          const user = await User.findById(userId).session(session);
+          const amount = Math.min(money.toKobo(user.wallet.debtBalance), money.toKobo(user.wallet.availableBalance));
+          if (amount === 0) return;
+          await DebtService.repay(user, amount, session);
+          stats.repayments += 1;
+        }).catch(fail);
+      }
+      repayments.delete(day);
+
+      const reserve = await BackstopReserve.findOne();
+      balances.push(money.toKobo(reserve.balance));
+
+      const running = await Circle.countDocuments({ status: { $in: ['Forming', 'Active'] } });
+      if (!running && !repayments.size) break;
+    }
+
+    const [summary, byStatus] = await Promise.all([
+      BackstopService.summary(now),
+      Circle.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    return {
+      trial,
+      seed: `${config.seed}:${trial}`,
+      days: Math.min(day, config.maxDays),
+      circles: plans.length,
+      members: tierOf.size,
+      circlesByStatus: Object.fromEntries(byStatus.map(s => [s._id, s.count])),
+      ...stats,
+      defaultRate: stats.contributionsDue ? stats.defaults / stats.contributionsDue : 0,
+      finalBalance: balances[balances.length - 1],
+      minBalance: Math.min(...balances),
+      totalDeployed: money.toKobo(summary.totalDeployed),
+      totalRecovered: money.toKobo(summary.totalRecovered),
+      recoveryRate: summary.recoveryRate,
+      balances
+    };
+  }
+
+  /**
+   * Full Forming circles of new synthetic members, each with enough
+   * opening balance to pay every round and any late fees or debt
+   * Members get a trust score in the middle of their tier's band, so the
+   * tier policy places them where the mix says.
+   *
+   * @returns {Array<{ circle, startDay, members: Array<{ user, tier }> }>}
+   */
+  async createCircles(config, policy, random, trial) {
+    const scoreFor = (tier) => {
+      const next = TIER_ORDER[TIER_ORDER.indexOf(tier) + 1];
+      const ceiling = next ? policy.tiers[next].minScore : 851;
+      return Math.floor((policy.tiers[tier].minScore + ceiling - 1) / 2);
+    };
+
+    const plans = [];
+    let serial = 0;
+    for (let i = 0; i < config.circles; i++) {
+      const size = sim.between(config.members, random);
+      const contribution = money.toKobo(sim.between(config.contribution, random));
+      const circle = new Circle({
+        title: `Simulated circle ${trial}-${i + 1}`,
+        contributionAmount: money.fromKobo(contribution),
+        totalPot: money.fromKobo(contribution * size),
+        frequency: sim.weightedPick(config.frequencies, random),
+        maxMembers: size,
+        minMembers: 2,
+        feeSchedule: config.feeSchedule,
+        penaltySchedule: config.penaltySchedule,
+        gracePeriodHours: config.gracePeriodHours,
+        backstopPolicy: config.backstopPolicy,
+        status: 'Forming'
+      });
+
+      const members = [];
+      for (let j = 0; j < size; j++) {
+        serial += 1;
+        const tier = sim.weightedPick(config.tiers, random);
+        const id = String(serial).padStart(9, '0');
+        const user = new User({
+          fullName: `Simulated Member ${serial}`,
+          bvn: `1${id}${trial % 10}`,
+          nin: `2${id}${trial % 10}`,
+          phoneNumber: `+2347${id}`,
+          trustScore: scoreFor(tier)
+        });
+        user.postLedger('Available', 'Credit', contribution * (size + 2) * 2, {
+          counterparty: { kind: 'External' },
+          eventType: 'OpeningBalance'
+        });
+        user.activeCircles.push(circle._id);
+        await user.save();
+
+        circle.members.push({ user: user._id, role: j === 0 ? 'Organizer' : 'Member' });
+        circle.payoutOrder.push(user._id);
+        members.push({ user: user._id, tier });
+      }
+
+      await circle.save();
+      plans.push({ circle: circle._id, startDay: sim.between([0, config.staggerDays], random), members });
+    }
+    return plans;
+  }
+
+  /**
+   * Trials rolled up: chance of running dry, balances, recovery rates and
+   * the reserve trajectory. Amounts in Naira.
+   */
+  report(config, trials) {
+    const dry = trials.filter(t => t.firstDryDay !== null);
+    const naira = (kobo) => money.toNaira(Math.round(kobo));
+    const of = (field) => trials.map(t => t[field]);
+
+    return {
+      generatedAt: new Date(),
+      config,
+      trials: trials.length,
+      circles: of('circles').reduce((sum, n) => sum + n, 0),
+      backstop: {
+        dryProbability: dry.length / trials.length,
+        firstDryDay: sim.describe(dry.map(t => t.firstDryDay)),
+        finalBalance: sim.describe(of('finalBalance'), naira),
+        minBalance: sim.describe(of('minBalance'), naira),
+        totalDeployed: sim.describe(of('totalDeployed'), naira),
+        heldPayouts: sim.describe(of('heldPayouts')),
+        partialPayouts: sim.describe(of('partialPayouts'))
+      },
+      defaults: {
+        rate: sim.describe(of('defaultRate')),
+        perTrial: sim.describe(of('defaults'))
+      },
+      recovery: {
+        principal: sim.describe(trials.map(t => t.recoveryRate.principal)),
+        penalty: sim.describe(trials.map(t => t.recoveryRate.penalty))
+      },
+      trajectory: sim.trajectory(trials, { everyDays: config.sampleEveryDays, toNaira: naira }),
+      runs: trials.map(({ balances, recoveryRate, circlesByStatus, errors, ...run }) => ({
+        ...run,
+        finalBalance: naira(run.finalBalance),
+        minBalance: naira(run.minBalance),
+        totalDeployed: naira(run.totalDeployed),
+        totalRecovered: naira(run.totalRecovered),
+        principalRecoveryRate: recoveryRate.principal,
+        penaltyRecoveryRate: recoveryRate.penalty,
+        completedCircles: circlesByStatus.Completed || 0,
+        pausedCircles: circlesByStatus.Paused || 0,
+        errors: errors.join(' | ')
+      }))
+    };
+  }
+
+  /**
+   * One table of a report as CSV: 'trajectory' (reserve balance over time) or 'runs' (one row per trial)
+   */
+  toCsv(report, table = 'trajectory') {
+    if (!['trajectory', 'runs'].includes(table)) throw new Error('table must be trajectory or runs');
+    return sim.toCsv(report[table]);
+  }
+
+  /**
+   * Mute payout and scheduler logging for the run; returns the undo
+   */
+  silenceConsole() {
+    const saved = { log: console.log, warn: console.warn, error: console.error };
+    console.log = console.warn = console.error = () => {};
+    return () => Object.assign(console, saved);
+  }
+}
+
+module.exports = new SimulationService();
+module.exports.SimulationService = SimulationService;
+module.exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
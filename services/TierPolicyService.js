@@ -0,0 +1,199 @@
+const TierPolicy = require('../models/TierPolicy');
+const TierDecision = require('../models/TierDecision');
+const money = require('../utils/money');
+
+const TIERS = ['Bronze', 'Silver', 'Gold'];
+const TIER_FIELDS = ['minScore', 'maxActiveCircles', 'withholdingBps', 'maxContribution', 'maxExposure'];
+const CAP_FIELDS = ['maxContribution', 'maxExposure'];
+
+/**
+ * Built-in policy (version 0), in force until an admin saves the first
+ * version. Matches the platform's original hardcoded tiers: no money caps.
+ */
+const DEFAULT_TIER_POLICY = Object.freeze({
+  version: 0,
+  tiers: Object.freeze({
+    Bronze: Object.freeze({ minScore: 300, maxActiveCircles: 2, withholdingBps: 2000, maxContribution: null, maxExposure: null }),
+    Silver: Object.freeze({ minScore: 550, maxActiveCircles: 5, withholdingBps: 1000, maxContribution: null, maxExposure: null }),
+    Gold: Object.freeze({ minScore: 750, maxActiveCircles: 10, withholdingBps: 1000, maxContribution: null, maxExposure: null })
+  })
+});
+
+// Stored policy -> plain policy with caps in kobo
+const normalize = (doc) => ({
+  version: doc.version,
+  tiers: Object.fromEntries(TIERS.map(tier => {
+    const rules = doc.tiers[tier];
+    return [tier, {
+      minScore: rules.minScore,
+      maxActiveCircles: rules.maxActiveCircles,
+      withholdingBps: rules.withholdingBps,
+      maxContribution: rules.maxContribution == null ? null : money.toKobo(rules.maxContribution),
+      maxExposure: rules.maxExposure == null ? null : money.toKobo(rules.maxExposure)
+    }];
+  })),
+  createdBy: doc.createdBy,
+  notes: doc.notes,
+  createdAt: doc.createdAt
+});
+
+/**
+ * Tier Policy Service
+ * Serves the tier policy in force and records the decisions made with it.
+ *
+ * The active policy is cached for `cacheTtlMs` (default one minute), so
+ * other instances pick up an admin's change within that time; this
+ * instance sees it immediately. current() refreshes the cache; snapshot()
+ * is for synchronous callers and returns whatever was loaded last (or the
+ * defaults).
+ */
+class TierPolicyService {
+
+  constructor({ cacheTtlMs = 60 * 1000 } = {}) {
+    this.cacheTtlMs = cacheTtlMs;
+    this.cached = null;
+    this.loadedAt = 0;
+  }
+
+  snapshot() {
+    return this.cached || DEFAULT_TIER_POLICY;
+  }
+
+  /**
+   * Forget the cached policy, e.g. after the database behind it was replaced
+   */
+  invalidate() {
+    this.cached = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Policy in force: the highest saved version, or the defaults
+   */
+  async current({ session } = {}) {
+    if (this.cached && Date.now() - this.loadedAt < this.cacheTtlMs) return this.cached;
+
+    const latest = await TierPolicy.findOne().sort({ version: -1 }).session(session || null).lean();
+    this.cached = latest ? normalize(latest) : DEFAULT_TIER_POLICY;
+    this.loadedAt = Date.now();
+    return this.cached;
+  }
+
+  /**
+   * Every saved version, newest first
+   */
+  async history() {
+    const versions = await TierPolicy.find().sort({ version: -1 }).lean();
+    return versions.map(normalize);
+  }
+
+  /**
+   * Save a new version
+   * `tiers` may be partial: any tier or field left out keeps its current
+   * value. Caps are Naira amounts, or null to remove the cap.
+   *
+   * @param {Object} tiers - { Bronze: { minScore, maxActiveCircles, withholdingBps, maxContribution, maxExposure }, ... }
+   * @param {Object} options - { by, notes }
+   */
+  async update(tiers = {}, { by, notes } = {}) {
+    const unknownTier = Object.keys(tiers).find(tier => !TIERS.includes(tier));
+    if (unknownTier) throw new Error(`Unknown tier: ${unknownTier}`);
+
+    this.loadedAt = 0; // Build on the latest version, not a cached one
+    const base = await this.current();
+
+    const merged = {};
+    for (const tier of TIERS) {
+      const changes = tiers[tier] || {};
+      const unknownField = Object.keys(changes).find(field => !TIER_FIELDS.includes(field));
+      if (unknownField) throw new Error(`Unknown ${tier} setting: ${unknownField}`);
+
+      const rules = { ...base.tiers[tier], ...changes };
+      for (const field of CAP_FIELDS) {
+        const kobo = field in changes
+          ? (changes[field] === null ? null : money.parseAmount(changes[field]))
+          : rules[field];
+        rules[field] = kobo === null ? null : money.fromKobo(kobo);
+      }
+      merged[tier] = rules;
+    }
+
+    try {
+      const saved = await TierPolicy.create({ version: base.version + 1, tiers: merged, createdBy: by, notes });
+      this.cached = normalize(saved);
+      this.loadedAt = Date.now();
+      return this.cached;
+    } catch (err) {
+      if (err.code === 11000) throw new Error('Tier policy was changed by someone else; reload and try again');
+      throw err;
+    }
+  }
+
+  /**
+   * Highest tier whose threshold the score reaches
+   */
+  tierFor(score, policy = this.snapshot()) {
+    return [...TIERS].reverse().find(tier => score >= policy.tiers[tier].minScore) || TIERS[0];
+  }
+
+  /**
+   * Rules for a tier (Bronze's if the tier is unknown)
+   */
+  rulesFor(tier, policy = this.snapshot()) {
+    return policy.tiers[tier] || policy.tiers[TIERS[0]];
+  }
+
+  /**
+   * Bring stored tiers in line with `policy` after its thresholds change
+   * Each member whose tier moves gets a TierAssignment decision.
+   *
+   * @returns {Number} members whose tier changed
+   */
+  async retier(policy) {
+    const User = require('../models/user_schema'); // user_schema requires this service
+
+    let changed = 0;
+    for (const [i, tier] of TIERS.entries()) {
+      const next = TIERS[i + 1];
+      const score = next ? { $gte: policy.tiers[tier].minScore, $lt: policy.tiers[next].minScore } : { $gte: policy.tiers[tier].minScore };
+
+      for await (const user of User.find({ trustScore: score, userTier: { $ne: tier } })) {
+        user.applyTier(policy, 'PolicyUpdate');
+        await user.save();
+        changed += 1;
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Record tier decisions
+   * @param {Array<Object>} decisions - TierDecision fields; policyVersion and tier are required
+   */
+  async record(decisions, session) {
+    if (!decisions.length) return;
+    await TierDecision.insertMany(decisions, { session: session || null });
+  }
+
+  /**
+   * Policy with caps in Naira, for API responses
+   */
+  present(policy) {
+    return {
+      ...policy,
+      tiers: Object.fromEntries(TIERS.map(tier => {
+        const rules = policy.tiers[tier];
+        return [tier, {
+          ...rules,
+          maxContribution: rules.maxContribution === null ? null : money.toNaira(rules.maxContribution),
+          maxExposure: rules.maxExposure === null ? null : money.toNaira(rules.maxExposure)
+        }];
+      }))
+    };
+  }
+}
+
+module.exports = new TierPolicyService();
+module.exports.TierPolicyService = TierPolicyService;
+module.exports.DEFAULT_TIER_POLICY = DEFAULT_TIER_POLICY;
+module.exports.TIERS = TIERS;
@@ -0,0 +1,156 @@
+const TrustEvent = require('../models/TrustEvent');
+
+const TRUST_SCORE_RANGE = { min: 300, max: 850 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_WEIGHTS = {
+  OnTimeContribution: 2,
+  LateContribution: -5,
+  Default: -50,
+  DebtRepayment: 10,
+  PayoutReceived: 5,
+  CircleCompleted: 20,
+  EarlyExit: -10
+};
+
+// TRUST_WEIGHTS='{"Default": -60}' overrides individual weights
+const parseWeights = (json) => {
+  if (!json) return {};
+  try {
+    const overrides = JSON.parse(json);
+    return Object.fromEntries(Object.entries(overrides).filter(([type, points]) =>
+      type in DEFAULT_WEIGHTS && Number.isFinite(points)
+    ));
+  } catch (err) {
+    console.error(`[TRUST] Ignoring invalid TRUST_WEIGHTS: ${err.message}`);
+    return {};
+  }
+};
+
+/**
+ * Event-Sourced Trust Score Engine
+ * A member's trust score is their Baseline plus the points of every
+ * TrustEvent since, with each event's effect decaying by half every
+ * `halfLifeDays` (TRUST_DECAY_HALF_LIFE_DAYS, default 180; 0 disables
+ * decay), so recent behaviour counts for more than old behaviour. The
+ * result is clamped to 300-850.
+ *
+ * record() queues an event on the user document and updates trustScore;
+ * the event is written when the user is saved (see user_schema), in the
+ * same session, just like journal entries. The tier follows the score in
+ * the user's pre('save') hook.
+ */
+class TrustEngine {
+
+  constructor({
+    weights = parseWeights(process.env.TRUST_WEIGHTS),
+    halfLifeDays = process.env.TRUST_DECAY_HALF_LIFE_DAYS === undefined
+      ? 180
+      : parseFloat(process.env.TRUST_DECAY_HALF_LIFE_DAYS)
+  } = {}) {
+    this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+    this.halfLifeDays = halfLifeDays > 0 ? halfLifeDays : 0;
+  }
+
+  /**
+   * What an event is worth at `now` after decay (Baselines never decay)
+   */
+  impact(event, now = new Date()) {
+    if (event.type === 'Baseline' || !this.halfLifeDays) return event.points;
+
+    const ageDays = Math.max(0, now - event.occurredAt) / DAY_MS;
+    return event.points * 0.5 ** (ageDays / this.halfLifeDays);
+  }
+
+  /**
+   * Score from a member's full event history at `now`
+   */
+  score(events, now = new Date()) {
+    const total = events.reduce((sum, event) => sum + this.impact(event, now), 0);
+    return Math.min(TRUST_SCORE_RANGE.max, Math.max(TRUST_SCORE_RANGE.min, Math.round(total)));
+  }
+
+  /**
+   * Stored and not-yet-saved events for a user, oldest first
+   */
+  async events(user, session) {
+    const stored = await TrustEvent.find({ user: user._id }).sort({ occurredAt: 1 }).session(session || null);
+    return [...stored, ...(user.$locals.pendingTrustEvents || [])];
+  }
+
+  /**
+   * Record an event against a user document and recompute their score
+   * The caller saves the user.
+   *
+   * @param {String} type - One of TrustEvent.TRUST_EVENT_TYPES (not Baseline)
+   * @param {Object} options - { circle, ref, memo, now, session }
+   */
+  async record(user, type, { circle, ref, memo, now = new Date(), session } = {}) {
+    if (!(type in this.weights)) throw new Error(`Unknown trust event: ${type}`);
+
+    const events = await this.events(user, session);
+    const pending = user.$locals.pendingTrustEvents = user.$locals.pendingTrustEvents || [];
+
+    // First event: whatever score the member already had becomes the baseline
+    if (!events.length) {
+      const baseline = { user: user._id, type: 'Baseline', points: user.trustScore, occurredAt: now, scoreAfter: user.trustScore };
+      pending.push(baseline);
+      events.push(baseline);
+    }
+
+    const event = { user: user._id, type, points: this.weights[type], circle, ref, memo, occurredAt: now };
+    events.push(event);
+    user.trustScore = this.score(events, now);
+    event.scoreAfter = user.trustScore;
+    pending.push(event);
+    return event;
+  }
+
+  /**
+   * Why a member has the score they have
+   * Groups their history by event type with the points each type earned
+   * and what it is still worth after decay.
+   *
+   * @returns {{ score, baseline, decay, factors, history, weights, halfLifeDays }}
+   */
+  async explain(user, { now = new Date(), limit = 50, session } = {}) {
+    const events = await this.events(user, session);
+    const baseline = events.filter(e => e.type === 'Baseline').reduce((sum, e) => sum + e.points, 0);
+
+    const factors = new Map();
+    for (const event of events.filter(e => e.type !== 'Baseline')) {
+      const factor = factors.get(event.type) || { type: event.type, count: 0, points: 0, currentImpact: 0 };
+      factor.count += 1;
+      factor.points += event.points;
+      factor.currentImpact += this.impact(event, now);
+      factors.set(event.type, factor);
+    }
+    const rounded = [...factors.values()]
+      .map(f => ({ ...f, currentImpact: Math.round(f.currentImpact) }))
+      .sort((a, b) => Math.abs(b.currentImpact) - Math.abs(a.currentImpact));
+
+    return {
+      score: events.length ? this.score(events, now) : user.trustScore,
+      baseline: events.length ? baseline : user.trustScore,
+      decay: rounded.reduce((sum, f) => sum + f.points - f.currentImpact, 0),
+      factors: rounded,
+      history: events.slice(-limit).reverse().map(e => ({
+        type: e.type,
+        points: e.points,
+        currentImpact: Math.round(this.impact(e, now)),
+        scoreAfter: e.scoreAfter,
+        tierAfter: e.tierAfter,
+        circle: e.circle,
+        memo: e.memo,
+        occurredAt: e.occurredAt
+      })),
+      weights: { ...this.weights },
+      halfLifeDays: this.halfLifeDays
+    };
+  }
+}
+
+module.exports = new TrustEngine();
+module.exports.TrustEngine = TrustEngine;
+module.exports.TRUST_SCORE_RANGE = TRUST_SCORE_RANGE;
+module.exports.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const User = require('../models/user_schema');
+const Withdrawal = require('../models/Withdrawal');
+const payments = require('./payments');
+const money = require('../utils/money');
+const { isValidNuban, isValidBankCode } = require('../utils/nuban');
+const { runInTransaction } = require('../utils/transaction');
+
+const systemClock = { now: () => new Date() };
+
+/**
+ * Withdrawal Service
+ * Moves money from a member's availableBalance to their bank account.
+ *
+ * The amount is reserved (Available -> Reserved) before the transfer is
+ * sent, so it cannot be spent twice while the bank is processing. The
+ * provider's transfer.* webhook then either pays it out (Reserved leaves
+ * the platform) or releases it (Reserved -> Available).
+ *
+ * A submission the provider never received leaves the withdrawal Pending.
+ * The scheduler resubmits those every `retryAfterMs`; after `maxSubmitAttempts`
+ * the withdrawal fails and the reserved funds return to available.
+ */
+class WithdrawalService {
+
+  constructor({
+    provider,
+    clock = systemClock,
+    maxSubmitAttempts = parseInt(process.env.WITHDRAWAL_MAX_SUBMIT_ATTEMPTS, 10) || 5,
+    retryAfterMs = (parseFloat(process.env.WITHDRAWAL_RETRY_MINUTES) || 15) * 60 * 1000
+  } = {}) {
+    this._provider = provider;
+    this.clock = clock;
+    this.maxSubmitAttempts = maxSubmitAttempts;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get provider() {
+    return this._provider || payments.getProvider();
+  }
+
+  /**
+   * Add a bank account after checking the NUBAN checksum
+   */
+  async addBankAccount(user, { bankCode, accountNumber, accountName }) {
+    if (!isValidBankCode(bankCode)) throw new Error('Bank code must be 3 or 6 digits');
+    if (!isValidNuban(accountNumber, bankCode)) throw new Error('Account number is not a valid NUBAN for this bank');
+    if (!accountName || !String(accountName).trim()) throw new Error('Account name is required');
+
+    const duplicate = user.bankAccounts.some(a => a.bankCode === bankCode && a.accountNumber === accountNumber);
+    if (duplicate) throw new Error('Bank account already registered');
+
+    user.bankAccounts.push({ bankCode, accountNumber, accountName });
+    await user.save();
+    return user.bankAccounts[user.bankAccounts.length - 1];
+  }
+
+  /**
+   * Why this user may not withdraw right now, or null
+   */
+  blockReason(user) {
+    if (user.status !== 'Active') return `Withdrawals are blocked while the account is ${user.status}`;
+    if (money.toKobo(user.wallet.debtBalance) > 0) return 'Withdrawals are blocked until outstanding debt is repaid';
+    return null;
+  }
+
+  /**
+   * Reserve the funds and send the transfer
+   * @param {Number} amount - Kobo
+   */
+  async requestWithdrawal(userId, { amount, bankAccountId }) {
+    const provider = this.provider;
+
+    const withdrawal = await runInTransaction(async (session) => {
+      const user = await User.findById(userId).session(session);
+      if (!user) throw new Error('User not found');
+
+      const blocked = this.blockReason(user);
+      if (blocked) throw new Error(blocked);
+
+      const account = user.bankAccounts.id(bankAccountId);
+      if (!account) throw new Error('Bank account not found');
+
+      if (money.toKobo(user.wallet.availableBalance) < amount) {
+        throw new Error('Insufficient available balance');
+      }
+
+      const withdrawal = new Withdrawal({
+        user: user._id,
+        amount: money.fromKobo(amount),
+        bankAccount: {
+          bankCode: account.bankCode,
+          accountNumber: account.accountNumber,
+          accountName: account.accountName
+        },
+        provider: provider.name,
+        reference: `wd_${crypto.randomBytes(12).toString('hex')}`
+      });
+
+      const entry = { counterparty: { kind: 'External' }, eventType: 'WithdrawalReserve', eventRef: withdrawal._id };
+      user.postLedger('Available', 'Debit', amount, entry);
+      user.postLedger('Reserved', 'Credit', amount, entry);
+
+      await withdrawal.save({ session });
+      await user.save({ session });
+      return withdrawal;
+    });
+
+    return this.submit(withdrawal);
+  }
+
+  /**
+   * Hand a Pending withdrawal to the provider
+   * If the provider can't be reached the withdrawal stays Pending with its
+   * funds reserved, for resubmitPending to retry; resubmitting is safe
+   * because providers dedupe on our reference. The last allowed attempt
+   * fails it instead, releasing the funds.
+   */
+  async submit(withdrawal, now = this.clock.now()) {
+    const claimed = await Withdrawal.findOneAndUpdate(
+      { _id: withdrawal._id, status: 'Pending' },
+      { $inc: { submitAttempts: 1 }, lastSubmittedAt: now },
+      { new: true }
+    );
+    if (!claimed) return Withdrawal.findById(withdrawal._id); // Settled in the meantime
+
+    let result;
+    try {
+      result = await this.provider.initiateTransfer({
+        amount: money.toKobo(claimed.amount),
+        reference: claimed.reference,
+        bankAccount: claimed.bankAccount
+      });
+    } catch (err) {
+      console.error(`[WITHDRAWAL] ${claimed.reference} not submitted (attempt ${claimed.submitAttempts}): ${err.message}`);
+      if (claimed.submitAttempts >= this.maxSubmitAttempts) {
+        return this.transition(claimed.reference, 'Failed', {
+          message: `Transfer could not be submitted after ${claimed.submitAttempts} attempts: ${err.message}`
+        });
+      }
+      return Withdrawal.findByIdAndUpdate(claimed._id, { lastSubmitError: err.message }, { new: true });
+    }
+
+    if (result.status === 'failed') {
+      return this.transition(claimed.reference, 'Failed', { providerReference: result.providerReference, message: result.message });
+    }
+
+    const processing = await Withdrawal.findOneAndUpdate(
+      { _id: withdrawal._id, status: 'Pending' },
+      { status: 'Processing', providerReference: result.providerReference, lastSubmitError: null },
+      { new: true }
+    );
+    if (result.status === 'success') return this.transition(withdrawal.reference, 'Paid', {});
+    return processing || Withdrawal.findById(withdrawal._id);
+  }
+
+  /**
+   * Scheduler entry point: resubmit Pending withdrawals whose last
+   * submission is at least `retryAfterMs` old
+   * @returns {Array<Withdrawal>} each withdrawal as it stands afterwards
+   */
+  async resubmitPending(now = this.clock.now()) {
+    const stale = await Withdrawal.find({
+      status: 'Pending',
+      $or: [
+        { lastSubmittedAt: { $lte: new Date(now.getTime() - this.retryAfterMs) } },
+        { lastSubmittedAt: null, createdAt: { $lte: new Date(now.getTime() - this.retryAfterMs) } }
+      ]
+    }).sort({ createdAt: 1 });
+
+    const results = [];
+    for (const withdrawal of stale) {
+      try {
+        results.push(await this.submit(withdrawal, now));
+      } catch (err) {
+        console.error(`[WITHDRAWAL] Resubmitting ${withdrawal.reference} failed: ${err.message}`);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Apply a verified transfer.* webhook
+   * @returns {{ outcome: 'Updated'|'Duplicate'|'Ignored', withdrawal?: Withdrawal }}
+   */
+  async settleWebhook(provider, payload) {
+    const event = provider.parseWebhook(payload);
+    const target = { 'transfer.success': 'Paid', 'transfer.failed': 'Failed', 'transfer.reversed': 'Reversed' }[event.event];
+    if (!target || !event.reference) return { outcome: 'Ignored' };
+
+    const exists = await Withdrawal.exists({ reference: event.reference, provider: provider.name });
+    if (!exists) return { outcome: 'Ignored' };
+
+    const withdrawal = await this.transition(event.reference, target, event);
+    return { outcome: withdrawal.$locals.transitioned ? 'Updated' : 'Duplicate', withdrawal };
+  }
+
+  /**
+   * Move a withdrawal to its next status and post the matching journal
+   * entries in one transaction. Transitions that don't apply to the
+   * current status (a redelivered webhook) change nothing.
+   */
+  async transition(reference, target, { providerReference, message } = {}) {
+    return runInTransaction(async (session) => {
+      const withdrawal = await Withdrawal.findOne({ reference }).session(session);
+      const from = withdrawal.status;
+
+      const allowed = {
+        Paid: ['Pending', 'Processing'],
+        Failed: ['Pending', 'Processing'],
+        // A reversal before payout behaves like a failure
+        Reversed: ['Pending', 'Processing', 'Paid']
+      }[target];
+      if (!allowed.includes(from)) return withdrawal;
+
+      const user = await User.findById(withdrawal.user).session(session);
+      const amount = money.toKobo(withdrawal.amount);
+      const ref = { counterparty: { kind: 'External' }, eventRef: withdrawal._id };
+
+      if (target === 'Paid') {
+        user.postLedger('Reserved', 'Debit', amount, { ...ref, eventType: 'Withdrawal' });
+        withdrawal.paidAt = new Date();
+      } else if (from === 'Paid') {
+        // Money already left the platform and came back from the bank
+        user.postLedger('Available', 'Credit', amount, { ...ref, eventType: 'WithdrawalReversal', memo: message });
+        withdrawal.reversedAt = new Date();
+      } else {
+        user.postLedger('Reserved', 'Debit', amount, { ...ref, eventType: 'WithdrawalReversal', memo: message });
+        user.postLedger('Available', 'Credit', amount, { ...ref, eventType: 'WithdrawalReversal', memo: message });
+        withdrawal[target === 'Failed' ? 'failedAt' : 'reversedAt'] = new Date();
+      }
+
+      withdrawal.status = target;
+      if (providerReference && !withdrawal.providerReference) withdrawal.providerReference = providerReference;
+      if (target !== 'Paid') withdrawal.failureReason = message;
+
+      await withdrawal.save({ session });
+      await user.save({ session });
+      withdrawal.$locals.transitioned = true;
+      return withdrawal;
+    });
+  }
+}
+
+module.exports = new WithdrawalService();
+module.exports.WithdrawalService = WithdrawalService;
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+
+/**
+ * Local Fake Provider
+ * Stands in for Paystack/Flutterwave in development and tests. Outcomes
+ * are driven by the authorization token so scenarios are reproducible:
+ * - 'fake_decline_*'       -> hard decline (not retryable)
+ * - 'fake_insufficient_*'  -> insufficient funds (retryable)
+ * - anything else          -> success
+ * Tests can also script exact outcomes per token with queueOutcomes().
+ *
+ * Deposits and withdrawals are completed through signWebhook() and
+ * signTransferWebhook(), which build the same Paystack-shaped `charge.*`
+ * and `transfer.*` events a real provider would send, signed with
+ * HMAC-SHA512 under PAYMENT_WEBHOOK_SECRET. Transfers to account numbers
+ * ending in 0000 are rejected up front.
+ *
+ * Fails closed: without PAYMENT_WEBHOOK_SECRET, or with NODE_ENV=production,
+ * no webhook verifies and nothing can be signed.
+ */
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+class FakeProvider extends PaymentProvider {
+
+  constructor() {
+    super();
+    this.scripted = new Map();
+    this.charges = [];
+  }
+
+  get name() {
+    return 'fake';
+  }
+
+  /**
+   * Script the next outcomes for a token, e.g. ['failed', 'failed', 'success']
+   */
+  queueOutcomes(authorization, outcomes) {
+    this.scripted.set(authorization, [...outcomes]);
+  }
+
+  async chargeAuthorization({ authorization, amount, reference }) {
+    const providerReference = `fake_${crypto.randomBytes(6).toString('hex')}`;
+    this.charges.push({ authorization, amount, reference, providerReference });
+
+    const queue = this.scripted.get(authorization);
+    const scripted = queue && queue.length ? queue.shift() : null;
+
+    if (scripted === 'failed' || (!scripted && authorization.startsWith('fake_insufficient'))) {
+      return { status: 'failed', providerReference, message: 'Insufficient funds', retryable: true };
+    }
+    if (scripted === 'declined' || (!scripted && authorization.startsWith('fake_decline'))) {
+      return { status: 'failed', providerReference, message: 'Card declined', retryable: false };
+    }
+    return { status: 'success', providerReference, message: 'Approved', retryable: false };
+  }
+
+  get webhookSecret() {
+    return process.env.PAYMENT_WEBHOOK_SECRET || null;
+  }
+
+  // True when webhooks can be signed and verified at all
+  get webhooksEnabled() {
+    return Boolean(this.webhookSecret) && process.env.NODE_ENV !== 'production';
+  }
+
+  async initializeFunding({ reference }) {
+    return { authorizationUrl: `/api/payments/fake/checkout/${reference}` };
+  }
+
+  async initiateTransfer({ bankAccount }) {
+    const providerReference = `fake_trf_${crypto.randomBytes(6).toString('hex')}`;
+    if (bankAccount.accountNumber.endsWith('0000')) {
+      return { status: 'failed', providerReference, message: 'Account could not be credited' };
+    }
+    return { status: 'pending', providerReference, message: 'Transfer queued' };
+  }
+
+  signature(rawBody) {
+    if (!this.webhooksEnabled) {
+      throw new Error('Fake provider webhooks need PAYMENT_WEBHOOK_SECRET and are disabled in production');
+    }
+    return crypto.createHmac('sha512', this.webhookSecret).update(rawBody).digest('hex');
+  }
+
+  verifyWebhook(rawBody, headers) {
+    if (!this.webhooksEnabled) return false;
+    const received = Buffer.from(String(headers[SIGNATURE_HEADER] || ''), 'hex');
+    const expected = Buffer.from(this.signature(rawBody), 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  parseWebhook(payload) {
+    const data = payload.data || {};
+    const auth = data.authorization;
+    return {
+      event: payload.event,
+      reference: data.reference,
+      providerReference: data.id,
+      amount: data.amount,
+      message: data.reason || data.gateway_response,
+      authorization: auth && {
+        code: auth.authorization_code,
+        reusable: Boolean(auth.reusable),
+        expiresAt: new Date(Date.UTC(Number(auth.exp_year), Number(auth.exp_month))) // End of expiry month
+      }
+    };
+  }
+
+  /**
+   * Build the signed webhook the provider would send once the member pays
+   * outcome: 'success' or 'failed'
+   */
+  signWebhook({ reference, amount, outcome = 'success', authorization = `fake_auth_${reference}` }) {
+    const payload = {
+      event: outcome === 'success' ? 'charge.success' : 'charge.failed',
+      data: {
+        id: `fake_${crypto.randomBytes(6).toString('hex')}`,
+        reference,
+        amount,
+        status: outcome,
+        authorization: {
+          authorization_code: authorization,
+          reusable: true,
+          exp_month: '12',
+          exp_year: String(new Date().getUTCFullYear() + 2)
+        }
+      }
+    };
+    return this.sign(payload);
+  }
+
+  /**
+   * Build the signed webhook settling a withdrawal
+   * outcome: 'success', 'failed' or 'reversed'
+   */
+  signTransferWebhook({ reference, amount, outcome = 'success' }) {
+    return this.sign({
+      event: `transfer.${outcome}`,
+      data: {
+        id: `fake_trf_${crypto.randomBytes(6).toString('hex')}`,
+        reference,
+        amount,
+        status: outcome,
+        reason: outcome === 'success' ? null : `Transfer ${outcome} by receiving bank`
+      }
+    });
+  }
+
+  sign(payload) {
+    const rawBody = JSON.stringify(payload);
+    return { rawBody, headers: { 'content-type': 'application/json', [SIGNATURE_HEADER]: this.signature(rawBody) } };
+  }
+}
+
+module.exports = FakeProvider;
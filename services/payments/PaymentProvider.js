@@ -0,0 +1,79 @@
+/**
+ * Payment Provider Adapter (Interface)
+ * Every processor integration (Paystack, Flutterwave, the local fake)
+ * extends this class. Amounts crossing this boundary are integer kobo,
+ * which is also what Paystack and Flutterwave expect on the wire.
+ */
+class PaymentProvider {
+
+  get name() {
+    throw new Error('PaymentProvider.name not implemented');
+  }
+
+  /**
+   * Charge a stored card authorization (recurring direct debit)
+   *
+   * @param {Object} params
+   * @param {String} params.authorization - User.paymentToken
+   * @param {Number} params.amount - Kobo
+   * @param {String} params.reference - Our unique reference; providers dedupe on it
+   * @param {Object} params.metadata - Passed through to the provider dashboard
+   * @returns {Promise<{ status: 'success'|'failed', providerReference: String, message: String, retryable: Boolean }>}
+   *   Declines come back as status 'failed'. Network/timeouts throw and are
+   *   treated as retryable by the caller.
+   */
+  async chargeAuthorization(params) {
+    throw new Error(`${this.name}.chargeAuthorization not implemented`);
+  }
+
+  /**
+   * Start a one-off deposit (hosted checkout)
+   *
+   * @param {Object} params
+   * @param {Number} params.amount - Kobo
+   * @param {String} params.reference - Our FundingIntent reference
+   * @param {Object} params.metadata
+   * @returns {Promise<{ authorizationUrl: String }>} Where the member completes payment
+   */
+  async initializeFunding(params) {
+    throw new Error(`${this.name}.initializeFunding not implemented`);
+  }
+
+  /**
+   * Send money from the platform to a bank account (withdrawal)
+   *
+   * @param {Object} params
+   * @param {Number} params.amount - Kobo
+   * @param {String} params.reference - Our Withdrawal reference; resubmitting it must not pay twice
+   * @param {{ bankCode: String, accountNumber: String, accountName: String }} params.bankAccount
+   * @returns {Promise<{ status: 'pending'|'success'|'failed', providerReference: String, message: String }>}
+   *   'pending' transfers are settled later by a transfer.* webhook.
+   */
+  async initiateTransfer(params) {
+    throw new Error(`${this.name}.initiateTransfer not implemented`);
+  }
+
+  /**
+   * Check a webhook's HMAC signature against the exact bytes received
+   *
+   * @param {Buffer} rawBody - Request body before JSON parsing
+   * @param {Object} headers - Lower-cased request headers
+   * @returns {Boolean}
+   */
+  verifyWebhook(rawBody, headers) {
+    throw new Error(`${this.name}.verifyWebhook not implemented`);
+  }
+
+  /**
+   * Normalise a verified webhook payload
+   *
+   * @returns {{ event: 'charge.success'|'charge.failed'|'transfer.success'|'transfer.failed'|'transfer.reversed'|String,
+   *   reference: String, providerReference: String, amount: Number, message: ?String,
+   *   authorization: ?{ code: String, reusable: Boolean, expiresAt: Date } }}
+   */
+  parseWebhook(payload) {
+    throw new Error(`${this.name}.parseWebhook not implemented`);
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,33 @@
+const FakeProvider = require('./FakeProvider');
+
+/**
+ * Payment Provider Registry
+ * PAYMENT_PROVIDER selects the adapter (default: the local fake).
+ * Register real integrations here as they are built. The fake is refused
+ * when NODE_ENV=production, so a missing setting can't put it in front of
+ * real money.
+ */
+const providers = {
+  fake: () => new FakeProvider()
+};
+
+let active = null;
+
+const getProvider = () => {
+  if (!active) {
+    const name = process.env.PAYMENT_PROVIDER || 'fake';
+    if (!providers[name]) throw new Error(`Unknown payment provider: ${name}`);
+    if (name === 'fake' && process.env.NODE_ENV === 'production') {
+      throw new Error('The fake payment provider cannot be used in production; set PAYMENT_PROVIDER');
+    }
+    active = providers[name]();
+  }
+  return active;
+};
+
+// Swap the provider (tests, simulations)
+const setProvider = (provider) => {
+  active = provider;
+};
+
+module.exports = { getProvider, setProvider };
@@ -0,0 +1,166 @@
+const assert = require('assert');
+const Circle = require('./models/Circles');
+const User = require('./models/user_schema');
+const CycleRecord = require('./models/CycleRecord');
+const BackstopLoan = require('./models/BackstopLoan');
+const BackstopReserve = require('./models/BackstopReserve');
+const CycleManager = require('./services/CycleManager');
+const { CycleScheduler } = require('./services/CycleScheduler');
+const SimulationService = require('./services/SimulationService');
+const { Notifier } = require('./services/Notifier');
+const sim = require('./utils/simulation');
+const { runInTransaction } = require('./utils/transaction');
+const { startDatabase, createMember, formCircle, playRound, setReserve, naira } = require('./test_helpers');
+
+// Backstop reserve: shortfall policies, curing a held round and the
+// stress-test simulation
+const DAY = 24 * 60 * 60 * 1000;
+const iso = (d) => d.toISOString().slice(0, 10);
+
+async function runTests() {
+  const stopDatabase = await startDatabase();
+
+  try {
+    console.log('✅ TEST 1: Backstop Shortfalls Follow the Circle Policy');
+    await setReserve(0);
+    const [organizer, ada, bayo] = await Promise.all(['Organizer', 'Ada', 'Bayo'].map(name => createMember(name, 100000)));
+    const short = await formCircle(organizer, [ada, bayo], { title: 'Short Round', gracePeriodHours: 24, backstopPolicy: 'Delay' });
+    const payout = (circle, now) => runInTransaction(session => CycleManager.processCirclePayout(circle._id, session, { now }));
+    for (const payer of [organizer, ada]) {
+      await runInTransaction(session => CycleManager.processContribution(short._id, payer._id, session));
+    }
+    const dueAt = short.nextPayoutDate;
+    await assert.rejects(payout(short, new Date(dueAt.getTime() + DAY / 2)), err => err.status === 409 && /waiting for late contributions/.test(err.message));
+
+    const delayed = await payout(short, new Date(dueAt.getTime() + DAY));
+    assert.strictEqual(delayed.held, true);
+    assert.strictEqual(delayed.backstopOutcome.outcome, 'Delayed');
+    assert.deepStrictEqual(delayed.notify, [organizer._id.toString()]);
+    let held = await Circle.findById(short._id);
+    assert.strictEqual(held.status, 'Active');
+    assert.strictEqual(held.payoutsMade, 0);
+    assert.strictEqual(held.graceEndsAt.getTime(), dueAt.getTime() + 2 * DAY);
+    assert.strictEqual(naira((await User.findById(organizer._id)).wallet.vaultBalance), 10000); // nothing paid out
+    assert.strictEqual(await CycleRecord.countDocuments({ circle: short._id }), 0);
+
+    const paused = await payout(short, held.graceEndsAt);
+    assert.strictEqual(paused.backstopOutcome.outcome, 'Paused'); // a round is delayed once
+    held = await Circle.findById(short._id);
+    assert.strictEqual(held.status, 'Paused');
+    assert.deepStrictEqual(CycleManager.backstopReport(held).outcomes.map(o => [o.outcome, o.shortfall]), [['Delayed', 10000], ['Paused', 10000]]);
+    await assert.rejects(payout(short, held.graceEndsAt), err => err.status === 409 && /not active/.test(err.message));
+    held.gracePeriodHours = 0;
+    await assert.rejects(held.validate(), /Delay backstop policy needs a grace period/);
+
+    const [lead, chi, dami] = await Promise.all(['Lead', 'Chi', 'Dami'].map(name => createMember(name, 100000)));
+    const partial = await formCircle(lead, [chi, dami], { title: 'Partial Round', backstopPolicy: 'PartialPayout' });
+    const paidShort = await playRound(partial, [lead, chi]);
+    assert.strictEqual(paidShort.iou, 10000);
+    const owing = await Circle.findById(partial._id);
+    assert.deepStrictEqual(owing.backstopOutcomes.map(o => o.outcome), ['PartialPayout']);
+    assert.strictEqual(naira((await User.findById(dami._id)).wallet.debtBalance) > 0, true);
+    assert.strictEqual(await BackstopLoan.countDocuments({ circle: partial._id, defaultedUser: dami._id, kind: 'Default' }), 1);
+    const [record] = await CycleRecord.find({ circle: partial._id });
+    assert.deepStrictEqual([record.amounts.gross, record.amounts.iou].map(naira), [20000, 10000]);
+
+    await setReserve(2500);
+    const leadBefore = naira((await User.findById(lead._id)).wallet.availableBalance);
+    await runInTransaction(async (session) => {
+      const circle = await Circle.findById(partial._id).session(session);
+      const reserve = await BackstopReserve.findOne().session(session);
+      assert.strictEqual(await CycleManager.settleIous(circle, reserve, session), 250000);
+      await circle.save({ session });
+      await reserve.save({ session });
+    });
+    const settling = await Circle.findById(partial._id);
+    assert.strictEqual(CycleManager.backstopReport(settling).iousOutstanding, 7500);
+    assert.strictEqual(naira((await User.findById(lead._id)).wallet.availableBalance), leadBefore + 2500);
+    assert.strictEqual(naira((await BackstopReserve.findOne()).balance), 0);
+
+    const sent = [];
+    const notifier = new Notifier({ transport: async (message) => { sent.push(message); } });
+    await notifier.backstopOutcome('user-1', { circleId: short._id, title: short.title, ...delayed.backstopOutcome });
+    assert.strictEqual(sent[sent.length - 1].type, 'BackstopShortfall');
+    console.log(`   Delayed until ${iso(delayed.backstopOutcome.delayedUntil)}, then paused: "${held.pauseReason}"; ₦2500 of a ₦10000 IOU paid`);
+
+    console.log('\n✅ TEST 2: A Held Round Is Cured After Resume');
+    await setReserve(0);
+    const [cureHost, kola, mide] = await Promise.all(['Cure Host', 'Kola', 'Mide'].map(name => createMember(name, 100000)));
+    const cured = await formCircle(cureHost, [kola, mide], { title: 'Cured Round', gracePeriodHours: 24, backstopPolicy: 'Delay' });
+    for (const payer of [cureHost, kola]) {
+      await runInTransaction(session => CycleManager.processContribution(cured._id, payer._id, session));
+    }
+    const scheduler = new CycleScheduler();
+    const tick = (now) => runInTransaction(session => scheduler.processDueCircle(cured._id, session, now));
+    const hours = (h) => new Date(cured.nextPayoutDate.getTime() + h * 60 * 60 * 1000);
+
+    assert.strictEqual((await tick(hours(1))).waiting, true); // grace period starts
+    assert.strictEqual((await tick(hours(24))).backstopOutcome.outcome, 'Delayed');
+    assert.strictEqual((await tick(hours(48))).backstopOutcome.outcome, 'Paused');
+    let curing = await Circle.findById(cured._id);
+    assert.strictEqual(curing.status, 'Paused');
+    assert.strictEqual(curing.contributionWindowClosedAt, undefined);
+
+    const resumedAt = hours(72);
+    CycleManager.resumeCircle(curing, resumedAt);
+    await curing.save();
+    assert.strictEqual(curing.graceEndsAt.getTime(), hours(96).getTime());
+    assert.strictEqual((await tick(hours(73))).waiting, true); // not paid out straight away
+
+    const late = await runInTransaction(session => CycleManager.processContribution(cured._id, mide._id, session, { now: hours(74) }));
+    assert.deepStrictEqual([late.late, late.lateFee], [true, 200]);
+    const curedPayout = await tick(hours(75));
+    assert.strictEqual(curedPayout.held, undefined);
+    assert.strictEqual(curedPayout.backstopLoan, 0);
+    curing = await Circle.findById(cured._id);
+    assert.deepStrictEqual([curing.status, curing.payoutsMade, curing.currentTurn], ['Active', 1, 1]);
+    assert.strictEqual(await CycleRecord.countDocuments({ circle: cured._id }), 1);
+    console.log(`   Delayed, paused, resumed: Mide paid ₦${late.amount} + ₦${late.lateFee} late and the round paid out in full`);
+
+    console.log('\n✅ TEST 3: Simulation Reports Are Replayable and Summarised');
+    const draws = (seed) => { const random = sim.seededRandom(seed); return [random(), random(), random()]; };
+    assert.deepStrictEqual(draws('ajo:1'), draws('ajo:1'));
+    assert.notDeepStrictEqual(draws('ajo:1'), draws('ajo:2'));
+    const mixRandom = sim.seededRandom(42);
+    const picks = Array.from({ length: 2000 }, () => sim.weightedPick({ Bronze: 3, Silver: 1, Gold: 0 }, mixRandom));
+    assert.strictEqual(picks.includes('Gold'), false);
+    assert.ok(Math.abs(picks.filter(t => t === 'Bronze').length / picks.length - 0.75) < 0.05);
+    assert.deepStrictEqual(sim.describe([4, 1, 3, 2, null]), { count: 4, mean: 2.5, min: 1, p5: 1.15, p50: 2.5, p95: 3.85, max: 4 });
+    const runs = [
+      { balances: [0, 500, 1000, 1500], firstDryDay: null },
+      { balances: [0, 100], firstDryDay: 1 }
+    ];
+    assert.deepStrictEqual(
+      sim.trajectory(runs, { everyDays: 2, toNaira: (kobo) => kobo / 100 }).map(r => [r.day, r.p50, r.dryProbability]),
+      [[0, 0, 0], [2, 5.5, 0.5]]
+    );
+    assert.strictEqual(sim.toCsv([{ day: 0, note: 'a, "b"' }]), 'day,note\n0,"a, ""b"""\n');
+    assert.throws(() => SimulationService.config({ defaultProbability: { Gold: 1.5 } }), /between 0 and 1/);
+    assert.throws(() => SimulationService.config({ members: [1, 4] }), /at least 2 members/);
+    assert.strictEqual(SimulationService.config({ defaultProbability: { Gold: 0.05 } }).defaultProbability.Bronze, 0.08);
+    const report = SimulationService.report(SimulationService.config({ trials: 2, sampleEveryDays: 1 }), [
+      { circles: 3, finalBalance: 150000, minBalance: 0, totalDeployed: 0, totalRecovered: 0, heldPayouts: 0, partialPayouts: 0,
+        defaults: 0, defaultRate: 0, firstDryDay: null, recoveryRate: { principal: null, penalty: null },
+        circlesByStatus: { Completed: 3 }, errors: [], balances: [0, 150000] },
+      { circles: 3, finalBalance: 50000, minBalance: 0, totalDeployed: 100000, totalRecovered: 50000, heldPayouts: 1, partialPayouts: 0,
+        defaults: 2, defaultRate: 0.2, firstDryDay: 1, recoveryRate: { principal: 0.5, penalty: 0 },
+        circlesByStatus: { Completed: 2, Paused: 1 }, errors: ['boom'], balances: [0, 50000] }
+    ]);
+    assert.strictEqual(report.backstop.dryProbability, 0.5);
+    assert.strictEqual(report.backstop.finalBalance.p50, 1000);
+    assert.strictEqual(report.recovery.principal.mean, 0.5);
+    assert.strictEqual(report.runs[1].pausedCircles, 1);
+    assert.strictEqual(SimulationService.toCsv(report).split('\n')[0], 'day,mean,min,p5,p50,p95,max,dryProbability');
+    console.log(`   Reserve ran dry in ${report.backstop.dryProbability * 100}% of trials; median final balance ₦${report.backstop.finalBalance.p50}`);
+
+    console.log('\n🎉 ALL TESTS PASSED');
+  } catch (error) {
+    console.error('\n❌ TEST FAILED:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await stopDatabase();
+  }
+}
+
+runTests();
@@ -0,0 +1,296 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const Circle = require('./models/Circles');
+const User = require('./models/user_schema');
+const CycleRecord = require('./models/CycleRecord');
+const BackstopReserve = require('./models/BackstopReserve');
+const CycleManager = require('./services/CycleManager');
+const SettlementService = require('./services/SettlementService');
+const TierDecision = require('./models/TierDecision');
+const TierPolicyService = require('./services/TierPolicyService');
+const { evaluateAdmission, remainingCommitment } = require('./services/AdmissionRules');
+const money = require('./utils/money');
+const { orderMembers, seededShuffle, applyAmendments } = require('./utils/payoutOrder');
+const { startDatabase, startApi, createMember, formCircle, playRound, setReserve } = require('./test_helpers');
+
+// Circle setup and membership: payout order, start conditions, invites,
+// admission and tier rules, the payout history and settlements. The last
+// tests run through the API against an in-memory database.
+const iso = (d) => d.toISOString().slice(0, 10);
+
+async function runTests() {
+  let stopDatabase;
+  let api;
+
+  try {
+    console.log('✅ TEST 1: Payout Order Strategies');
+    const [ada, bayo, chi, dami] = ['a', 'b', 'c', 'd'].map(() => new mongoose.Types.ObjectId().toString());
+    const candidates = [
+      { userId: ada, trustScore: 500, bid: 0 },
+      { userId: bayo, trustScore: 700, bid: 150000 },
+      { userId: chi, trustScore: 700, bid: 0 },
+      { userId: dami, trustScore: 400, bid: 300000 }
+    ];
+    assert.deepStrictEqual(orderMembers('JoinOrder', candidates), [ada, bayo, chi, dami]);
+    assert.deepStrictEqual(orderMembers('TrustScore', candidates), [bayo, chi, ada, dami]); // Ties keep join order
+    assert.deepStrictEqual(orderMembers('Bidding', candidates), [dami, bayo, ada, chi]);
+    assert.deepStrictEqual(orderMembers('OrganizerAssigned', candidates, { assignedOrder: [chi, ada] }), [chi, ada, bayo, dami]);
+    console.log('   Join, trust-score, bidding and organizer orders resolved deterministically');
+
+    console.log('\n✅ TEST 2: Random Draw Is Replayable From Its Seed');
+    const ids = candidates.map(c => c.userId);
+    const drawn = orderMembers('RandomDraw', candidates, { seed: 'c0ffee' });
+    assert.deepStrictEqual(drawn, seededShuffle(ids, 'c0ffee'));
+    assert.deepStrictEqual([...drawn].sort(), [...ids].sort());
+    const drawCircle = new Circle({
+      title: 'Draw Circle', contributionAmount: '5000', totalPot: '10000', frequency: 'daily', payoutStrategy: 'RandomDraw',
+      members: [{ user: ada, role: 'Organizer' }, { user: bayo }]
+    });
+    await CycleManager.fixPayoutOrder(drawCircle);
+    const replay = seededShuffle(drawCircle.payoutDraw.candidates.map(String), drawCircle.payoutDraw.seed);
+    assert.deepStrictEqual(drawCircle.payoutOrder.map(String), replay);
+    assert.deepStrictEqual(drawCircle.payoutDraw.order.map(String), replay);
+    // A removal or replacement later changes payoutOrder, never the order as drawn
+    const removal = { kind: 'Removed', slot: 1, user: drawn[1] };
+    assert.deepStrictEqual(applyAmendments(drawn, [removal]), [drawn[0], drawn[2], drawn[3]]);
+    assert.strictEqual(applyAmendments(drawn, [{ ...removal, user: drawn[0] }]), null); // Wrong member for the slot
+    const newcomer = new mongoose.Types.ObjectId().toString();
+    const takeover = { kind: 'Replaced', slot: 0, user: drawn[0], replacement: newcomer };
+    assert.deepStrictEqual(applyAmendments(drawn, [removal, takeover]), [newcomer, drawn[2], drawn[3]]);
+    console.log(`   Seed ${drawCircle.payoutDraw.seed} replays to the drawn order; amendments replay on top of it`);
+
+    console.log('\n✅ TEST 3: Start Conditions Freeze the Circle');
+    const forming = new Circle({
+      title: 'Office Ajo', contributionAmount: '20000', totalPot: '20000', frequency: 'monthly',
+      minMembers: 3, maxMembers: 4, members: [{ user: ada, role: 'Organizer' }, { user: bayo }]
+    });
+    await assert.rejects(CycleManager.startCircle(forming), /at least 3 members/);
+    forming.members.push({ user: chi });
+    const startedAt = new Date('2026-01-31T08:00:00Z');
+    await CycleManager.startCircle(forming, undefined, startedAt);
+    assert.strictEqual(forming.status, 'Active');
+    assert.strictEqual(forming.totalPot.toString(), '60000.00');
+    assert.strictEqual(iso(forming.expectedEndDate), '2026-04-30');
+    await assert.rejects(CycleManager.startCircle(forming), /already Active/);
+    forming.members.push({ user: dami }, { user: new mongoose.Types.ObjectId() });
+    await assert.rejects(forming.validate(), /full/);
+    console.log(`   Started with 3 of 4 seats, pot ₦${forming.totalPot}, ends ${iso(forming.expectedEndDate)}; overfilling rejected`);
+
+    console.log('\n✅ TEST 4: Invite Codes Honour Expiry, Limits and Revocation');
+    const invited = new Circle({
+      title: 'Family Ajo', contributionAmount: '5000', totalPot: '5000', frequency: 'weekly', visibility: 'Private',
+      invites: [
+        { code: 'open', maxUses: 2, uses: 1 },
+        { code: 'spent', maxUses: 1, uses: 1 },
+        { code: 'stale', expiresAt: new Date('2026-01-01T00:00:00Z') },
+        { code: 'revoked', revokedAt: new Date('2026-01-01T00:00:00Z') }
+      ]
+    });
+    const at = new Date('2026-02-01T00:00:00Z');
+    assert.ok(invited.usableInvite('open', at));
+    assert.strictEqual(invited.usableInvite('spent', at), null);
+    assert.strictEqual(invited.usableInvite('stale', at), null);
+    assert.strictEqual(invited.usableInvite('revoked', at), null);
+    assert.strictEqual(invited.usableInvite('unknown', at), null);
+    console.log('   Only the unexpired, unrevoked invite with uses left is accepted');
+
+    console.log('\n✅ TEST 5: Admission Rules Report Every Failure');
+    const strict = new Circle({
+      title: 'Gold Traders', contributionAmount: '200000', totalPot: '200000', frequency: 'monthly',
+      admissionRules: { minTrustScore: 600, allowedTiers: ['Silver', 'Gold'], maxContributionByTier: { Bronze: '50000' }, minKycLevel: 2 }
+    });
+    const applicant = new User({ fullName: 'Applicant', trustScore: 340, userTier: 'Bronze', wallet: { debtBalance: '1500' } });
+    const verdict = evaluateAdmission(applicant, strict);
+    assert.strictEqual(verdict.eligible, false);
+    assert.deepStrictEqual(verdict.failures.map(f => f.code), [
+      'ACTIVE_DEBT', 'LOW_TRUST', 'CIRCLE_MIN_TRUST', 'TIER_NOT_ALLOWED', 'CONTRIBUTION_ABOVE_TIER_MAX', 'KYC_LEVEL_TOO_LOW'
+    ]);
+    const trusted = new User({ fullName: 'Trusted', trustScore: 720, userTier: 'Gold', kycLevel: 3 });
+    assert.deepStrictEqual(evaluateAdmission(trusted, strict), { eligible: true, failures: [] });
+    console.log(`   ${verdict.failures.length} failures reported together: ${verdict.failures.map(f => f.code).join(', ')}`);
+
+    console.log('\n✅ TEST 6: Tier Policy Sets Thresholds, Limits and Caps');
+    const defaults = TierPolicyService.snapshot();
+    assert.strictEqual(defaults.version, 0);
+    assert.deepStrictEqual([549, 550, 750].map(score => TierPolicyService.tierFor(score, defaults)), ['Bronze', 'Silver', 'Gold']);
+    const capped = {
+      version: 3,
+      tiers: {
+        ...defaults.tiers,
+        Gold: { ...defaults.tiers.Gold, minScore: 700, maxContribution: 15000000, maxExposure: 40000000 }
+      }
+    };
+    assert.strictEqual(TierPolicyService.tierFor(720, capped), 'Gold');
+    const fourWeekly = new Circle({ title: 'Caps', contributionAmount: '100000', totalPot: '400000', frequency: 'weekly', maxMembers: 4 });
+    assert.strictEqual(remainingCommitment(fourWeekly), 40000000); // ₦400,000: a full Forming rotation
+    assert.strictEqual(evaluateAdmission(trusted, fourWeekly, { policy: capped, exposure: 0 }).eligible, true);
+    const overExposed = evaluateAdmission(trusted, fourWeekly, { policy: capped, exposure: 100 });
+    assert.deepStrictEqual(overExposed.failures.map(f => f.code), ['TIER_EXPOSURE_CAP']);
+    fourWeekly.contributionAmount = '200000';
+    assert.deepStrictEqual(
+      evaluateAdmission(trusted, fourWeekly, { policy: capped, exposure: 0 }).failures.map(f => f.code),
+      ['TIER_CONTRIBUTION_CAP', 'TIER_EXPOSURE_CAP']
+    );
+    const crowded = new User({ fullName: 'Crowded', trustScore: 720, userTier: 'Gold', activeCircles: [new mongoose.Types.ObjectId()] });
+    const oneCircle = { ...capped, tiers: { ...capped.tiers, Gold: { ...capped.tiers.Gold, maxActiveCircles: 1 } } };
+    assert.strictEqual(crowded.canJoinCircle(oneCircle).allowed, false);
+    assert.strictEqual(crowded.canJoinCircle().allowed, true); // defaults allow 10
+    console.log(`   ${overExposed.failures[0].message}`);
+
+    console.log('\n✅ TEST 7: Cycle Records Show Who Was Paid Against the Payout Order');
+    const rotation = new Circle({
+      title: 'History', contributionAmount: '10000', totalPot: '30000', frequency: 'weekly',
+      payoutOrder: [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()]
+    });
+    const cycleRecord = (recipient) => new CycleRecord({
+      circle: rotation._id, round: 1, cycle: 0, turn: 1, recipient, paidAt: new Date('2026-06-08T09:00:00Z'),
+      amounts: { gross: '30000', platformFee: '300', feeChargedTo: 'Recipient', net: '29700', bidDiscount: '0',
+        withheldInVault: '5940', availableNow: '23760', backstopLoan: '10000', iou: '0' },
+      defaultsCovered: 1,
+      members: rotation.payoutOrder.map((user, i) => ({ user, paymentStatus: i === 2 ? 'Defaulted' : 'Paid' })),
+      payoutRef: new mongoose.Types.ObjectId()
+    });
+    const honoured = cycleRecord(rotation.payoutOrder[1]);
+    assert.strictEqual(honoured.validateSync(), undefined);
+    const shown = CycleManager.presentCycle(honoured, rotation);
+    assert.strictEqual(shown.honoured, true);
+    assert.deepStrictEqual(shown.amounts, {
+      gross: 30000, platformFee: 300, net: 29700, bidDiscount: 0, withheldInVault: 5940, availableNow: 23760,
+      backstopLoan: 10000, iou: 0, feeChargedTo: 'Recipient'
+    });
+    assert.deepStrictEqual(shown.members.map(m => m.paymentStatus), ['Paid', 'Paid', 'Defaulted']);
+    assert.strictEqual(CycleManager.presentCycle(cycleRecord(rotation.payoutOrder[0]), rotation).honoured, false);
+    console.log(`   Round ${shown.round}: turn ${shown.turn} paid ₦${shown.amounts.net} net, ${shown.defaultsCovered} default covered`);
+
+    console.log('\n✅ TEST 8: Settlement Positions and Reserve Shortfalls');
+    const settling = new Circle({ title: 'Settle Test', contributionAmount: '10000', totalPot: '30000', frequency: 'weekly' });
+    settling.members.push(
+      { user: new mongoose.Types.ObjectId(), totalContributionsMade: 2, roundsDefaulted: 1, payoutReceived: '30000' },
+      { user: new mongoose.Types.ObjectId(), totalContributionsMade: 3, paymentStatus: 'Paid', prepaidRounds: 1 }
+    );
+    const [overpaid, owed] = settling.members;
+    const overpaidLine = SettlementService.position(settling, overpaid);
+    assert.deepStrictEqual([overpaidLine.paidIn, overpaidLine.received], [3000000, 3000000]); // defaulted rounds count as paid in
+    assert.strictEqual(SettlementService.position(settling, owed).paidIn, 3000000);
+
+    const naira = (value) => money.toNaira(money.toKobo(value));
+    const saver = new User({ fullName: 'Saver', wallet: { availableBalance: '0', vaultBalance: '20000' } });
+    assert.strictEqual(SettlementService.refundEscrow(settling, owed, saver, new mongoose.Types.ObjectId()), 2000000);
+    assert.deepStrictEqual([saver.wallet.availableBalance, saver.wallet.vaultBalance].map(naira), [20000, 0]);
+    assert.deepStrictEqual([owed.paymentStatus, owed.prepaidRounds], ['Pending', 0]);
+    assert.strictEqual(SettlementService.refundEscrow(settling, owed, saver, new mongoose.Types.ObjectId()), 0); // nothing left
+
+    const reserve = new BackstopReserve({ balance: '5000', totalDeployed: '0' });
+    assert.throws(
+      () => SettlementService.payFromReserve(reserve, saver, 1000000, { circle: settling }),
+      /Backstop insufficient. Need ₦10000, have ₦5000/
+    );
+    assert.deepStrictEqual([reserve.balance, saver.wallet.availableBalance].map(naira), [5000, 20000]);
+    SettlementService.payFromReserve(reserve, saver, 400000, { circle: settling });
+    assert.deepStrictEqual([reserve.balance, reserve.totalDeployed, saver.wallet.availableBalance].map(naira), [1000, 4000, 24000]);
+    console.log('   ₦20000 escrow back, ₦4000 from the reserve; a ₦10000 claim on a ₦5000 reserve is refused');
+
+    stopDatabase = await startDatabase();
+    api = await startApi();
+
+    console.log('\n✅ TEST 9: Simultaneous Joins Cannot Both Pass the Tier Limit');
+    const joiner = await createMember('Joiner', 100000); // Bronze: 2 active circles
+    const [first, second, third] = await Promise.all(['First', 'Second', 'Third'].map(async (name) =>
+      formCircle(await createMember(`${name} Host`), [], { title: `${name} Circle`, maxMembers: 4 })
+    ));
+    assert.strictEqual((await api.request(joiner, 'POST', '/circles/join', { circleId: first._id })).status, 200);
+    const racing = await Promise.all([second, third].map(circle => api.request(joiner, 'POST', '/circles/join', { circleId: circle._id })));
+    assert.deepStrictEqual(racing.map(r => r.status).sort(), [200, 403]);
+    assert.strictEqual(racing.find(r => r.status === 403).body.code, 'TIER_LIMIT');
+    assert.strictEqual((await User.findById(joiner._id)).activeCircles.length, 2);
+    const raced = await TierDecision.find({ user: joiner._id, kind: 'Admission', circle: { $in: [second._id, third._id] } });
+    assert.deepStrictEqual(raced.map(d => d.outcome).sort(), ['Allowed', 'Denied']);
+
+    const vetted = await formCircle(await createMember('Vetting Host'), [], { title: 'Vetted Circle', maxMembers: 4, approvalRequired: true });
+    const asker = await createMember('Asker', 100000);
+    assert.strictEqual((await api.request(asker, 'POST', '/circles/join', { circleId: vetted._id })).status, 202);
+    const again = await api.request(asker, 'POST', '/circles/join', { circleId: vetted._id });
+    assert.strictEqual(again.status, 400);
+    assert.strictEqual(await TierDecision.countDocuments({ user: asker._id, circle: vetted._id }), 1); // the refused retry left none
+    console.log(`   One join admitted, the other refused: "${racing.find(r => r.status === 403).body.message}"`);
+
+    console.log('\n✅ TEST 10: Invite Uses Are Counted on Admission');
+    const inviter = await createMember('Inviter');
+    const privateCircle = await formCircle(inviter, [], { title: 'Invite Only', maxMembers: 5, visibility: 'Private', approvalRequired: true });
+    const created = await api.request(inviter, 'POST', `/circles/${privateCircle._id}/invites`, { maxUses: 1 });
+    assert.strictEqual(created.status, 201);
+    const code = created.body.code;
+    const [kemi, lola] = await Promise.all(['Kemi', 'Lola'].map(name => createMember(name, 100000)));
+    for (const asking of [kemi, lola]) {
+      assert.strictEqual((await api.request(asking, 'POST', '/circles/join', { inviteCode: code })).status, 202);
+    }
+    const usesOf = async () => (await Circle.findById(privateCircle._id)).invites[0].uses;
+    assert.strictEqual(await usesOf(), 0); // requests don't use the code up
+    const requests = (await api.request(inviter, 'GET', `/circles/${privateCircle._id}/join-requests`)).body;
+    const requestOf = (user) => requests.find(r => String(r.user._id) === String(user._id));
+    const approve = (user) => api.request(inviter, 'POST', `/circles/${privateCircle._id}/join-requests/${requestOf(user)._id}/approve`);
+    assert.strictEqual((await approve(kemi)).status, 200);
+    assert.strictEqual(await usesOf(), 1);
+    const usedUp = await approve(lola);
+    assert.strictEqual(usedUp.status, 400);
+    assert.match(usedUp.body.error, /used up/);
+    const afterRefusal = await Circle.findById(privateCircle._id);
+    assert.strictEqual(afterRefusal.joinRequests.find(r => r.user.equals(lola._id)).status, 'Pending');
+    assert.strictEqual(afterRefusal.roleOf(lola._id), null);
+
+    const openHost = await createMember('Open Host');
+    const openCircle = await formCircle(openHost, [], { title: 'Open Invites', maxMembers: 5 });
+    const single = (await api.request(openHost, 'POST', `/circles/${openCircle._id}/invites`, { maxUses: 1 })).body.code;
+    const [mo, nia] = await Promise.all(['Mo', 'Nia'].map(name => createMember(name, 100000)));
+    assert.strictEqual((await api.request(mo, 'POST', '/circles/join', { inviteCode: single })).status, 200);
+    assert.match((await api.request(nia, 'POST', '/circles/join', { inviteCode: single })).body.error, /used up/);
+    console.log(`   Two requests on a 1-use code: the first approval uses it, the second is refused: "${usedUp.body.error}"`);
+
+    console.log('\n✅ TEST 11: Every Payout Leaves a Cycle Record');
+    await setReserve(50000);
+    const [recordHost, tola, uche] = await Promise.all(['Record Host', 'Tola', 'Uche'].map(name => createMember(name, 100000)));
+    const recorded = await formCircle(recordHost, [tola, uche], { title: 'Recorded Circle' });
+    await playRound(recorded, [recordHost, tola, uche]);
+    await playRound(recorded, [recordHost, tola]); // Uche defaults, the reserve covers it
+    const history = await api.request(uche, 'GET', `/circles/${recorded._id}/cycles`);
+    assert.strictEqual(history.status, 200);
+    assert.deepStrictEqual(history.body.map(c => [c.round, c.turn, c.recipient, c.honoured]), [
+      [0, 0, String(recordHost._id), true],
+      [1, 1, String(tola._id), true]
+    ]);
+    assert.deepStrictEqual(history.body[1].members.map(m => m.paymentStatus), ['Paid', 'Paid', 'Defaulted']);
+    assert.deepStrictEqual([history.body[1].defaultsCovered, history.body[1].amounts.backstopLoan], [1, 10000]);
+    assert.deepStrictEqual((await api.request(tola, 'GET', `/circles/${recorded._id}/cycles/1`)).body, history.body[1]);
+    assert.strictEqual((await api.request(tola, 'GET', `/circles/${recorded._id}/cycles/2`)).status, 404);
+    await assert.rejects(CycleRecord.updateOne({ circle: recorded._id, round: 0 }, { recipient: uche._id }), /immutable/);
+    console.log(`   Rounds ${history.body.map(c => c.round).join(', ')} recorded and honoured; round 1 covered ₦${history.body[1].amounts.backstopLoan}`);
+
+    console.log('\n✅ TEST 12: Creating a Circle Runs the Entry Checks');
+    const newCircle = (title) => ({ title, contributionAmount: '5000', frequency: 'weekly', maxMembers: 4 });
+    const blacklisted = await createMember('Blacklisted Founder', 0, { status: 'Blacklisted' });
+    const refused = await api.request(blacklisted, 'POST', '/circles', newCircle('Never Opened'));
+    assert.deepStrictEqual([refused.status, refused.body.code], [403, 'BLACKLISTED']);
+
+    const founder = await createMember('Busy Founder'); // Bronze: 2 active circles
+    for (const title of ['Founded 1', 'Founded 2']) {
+      assert.strictEqual((await api.request(founder, 'POST', '/circles', newCircle(title))).status, 200);
+    }
+    const overLimit = await api.request(founder, 'POST', '/circles', newCircle('Founded 3'));
+    assert.deepStrictEqual([overLimit.status, overLimit.body.code], [403, 'TIER_LIMIT']);
+    assert.strictEqual((await User.findById(founder._id)).activeCircles.length, 2);
+    assert.strictEqual(await Circle.countDocuments({ title: { $in: ['Never Opened', 'Founded 3'] } }), 0);
+    assert.strictEqual(await TierDecision.countDocuments({ user: founder._id, kind: 'Admission', outcome: 'Denied' }), 1);
+    console.log(`   Blacklisted and over-limit founders get 403: "${overLimit.body.message}"`);
+
+    console.log('\n🎉 ALL TESTS PASSED');
+  } catch (error) {
+    console.error('\n❌ TEST FAILED:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    if (api) await api.stop();
+    if (stopDatabase) await stopDatabase();
+  }
+}
+
+runTests();
@@ -0,0 +1,128 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const User = require('./models/user_schema');
+const Circle = require('./models/Circles');
+const BackstopReserve = require('./models/BackstopReserve');
+const CycleManager = require('./services/CycleManager');
+const AuthService = require('./services/AuthService');
+const money = require('./utils/money');
+const { runInTransaction } = require('./utils/transaction');
+
+// Shared setup for the database-backed tests. Money flows run in
+// transactions, so the in-memory database is a one-node replica set.
+
+/**
+ * Start the in-memory database and connect mongoose to it
+ * @returns {Function} stop - disconnects and shuts the database down
+ */
+async function startDatabase() {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  return async () => {
+    await mongoose.disconnect();
+    await replSet.stop();
+  };
+}
+
+/**
+ * Serve the API on a free port
+ * `request(user, method, path, body, headers)` calls it as `user` and
+ * resolves to { status, headers, body }.
+ * @returns {Object} { request, stop }
+ */
+async function startApi() {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+  const app = express();
+  app.use(express.json());
+  app.use('/api', require('./routes'));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  const request = async (user, method, path, body, headers = {}) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${AuthService.issueToken(user)}`, ...headers },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  };
+  const stop = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return { request, stop };
+}
+
+const digits = (length) => Array.from({ length }, (_, i) => (i === 0 ? 1 + Math.floor(Math.random() * 9) : Math.floor(Math.random() * 10))).join('');
+let phones = 0;
+
+/**
+ * Save a member with `balance` naira available
+ */
+const createMember = (fullName, balance = 0, fields = {}) => User.create({
+  fullName,
+  bvn: digits(11),
+  nin: digits(11),
+  phoneNumber: `+23470${String(++phones).padStart(8, '0')}`,
+  wallet: { availableBalance: money.fromKobo(money.toKobo(balance)) },
+  ...fields
+});
+
+/**
+ * Circle run by `organizer` with `members` admitted after them, in order
+ * Unless `fields` sets maxMembers it has exactly enough seats, so the
+ * last admission starts it.
+ */
+const formCircle = (organizer, members, fields = {}) => runInTransaction(async (session) => {
+  const contributionAmount = fields.contributionAmount || '10000';
+  const circle = new Circle({
+    title: 'Test Circle',
+    frequency: 'weekly',
+    totalPot: contributionAmount,
+    maxMembers: members.length + 1,
+    ...fields,
+    contributionAmount
+  });
+
+  const creator = await User.findById(organizer._id).session(session);
+  circle.members.push({ user: creator._id, role: 'Organizer', paymentStatus: 'Pending' });
+  circle.payoutOrder.push(creator._id);
+  creator.activeCircles.push(circle._id);
+  await creator.save({ session });
+
+  for (const member of members) {
+    const user = await User.findById(member._id).session(session);
+    await CycleManager.admitMember(circle, user, session);
+    await user.save({ session });
+  }
+  await circle.save({ session });
+  return circle;
+});
+
+/**
+ * `payers` contribute, then the round is paid out; returns the payout result
+ */
+async function playRound(circle, payers) {
+  for (const payer of payers) {
+    await runInTransaction(session => CycleManager.processContribution(circle._id, payer._id, session));
+  }
+  return runInTransaction(session => CycleManager.processCirclePayout(circle._id, session));
+}
+
+/**
+ * Set the backstop reserve's balance (naira)
+ */
+async function setReserve(balance) {
+  const reserve = await BackstopReserve.findOne() || new BackstopReserve();
+  reserve.balance = money.fromKobo(money.toKobo(balance));
+  return reserve.save();
+}
+
+// Naira number of a Decimal128 field
+const naira = (value) => money.toNaira(money.toKobo(value));
+
+module.exports = { startDatabase, startApi, createMember, formCircle, playRound, setReserve, naira };
@@ -0,0 +1,87 @@
+const assert = require('assert');
+const money = require('./utils/money');
+const fees = require('./utils/fees');
+
+// Pure arithmetic checks - no database needed
+function runTests() {
+  try {
+    console.log('✅ TEST 1: Naira ↔ Kobo Conversion');
+    assert.strictEqual(money.toKobo('30000'), 3000000);
+    assert.strictEqual(money.toKobo('0.1'), 10);
+    assert.strictEqual(money.toKobo(money.fromKobo(123456)), 123456);
+    assert.strictEqual(money.toDecimalString(5), '0.05');
+    assert.strictEqual(money.toNaira(2364000), 23640);
+    // Legacy float artifacts round half-up to the nearest kobo
+    assert.strictEqual(money.toKobo('450.00000000000006'), 45000);
+    assert.strictEqual(money.toKobo('0.105'), 11);
+    console.log(`   ₦30,000 = ${money.toKobo('30000')} kobo, round trip exact`);
+
+    console.log('\n✅ TEST 2: Strict Input Parsing');
+    assert.strictEqual(money.parseAmount('10000.50'), 1000050);
+    assert.throws(() => money.parseAmount('10.001'));
+    assert.throws(() => money.parseAmount('-5'));
+    assert.throws(() => money.parseAmount('0'));
+    assert.strictEqual(money.parseAmount(0, { allowZero: true }), 0);
+    assert.throws(() => money.parseAmount('1e3'));
+    console.log('   Rejects >2 decimals, negatives, zero and exponents');
+
+    console.log('\n✅ TEST 3: README Payout Breakdown (₦30,000 pot, Bronze)');
+    const pot = money.toKobo(30000);
+    const fee = money.applyRate(pot, 150, money.ROUNDING.fee);
+    const net = money.subtract(pot, fee);
+    const vault = money.applyRate(net, 2000, money.ROUNDING.withholding);
+    assert.strictEqual(money.toNaira(fee), 450);
+    assert.strictEqual(money.toNaira(vault), 5910);
+    assert.strictEqual(money.toNaira(money.subtract(net, vault)), 23640);
+    console.log(`   Fee ₦${money.toNaira(fee)}, Vault ₦${money.toNaira(vault)}, Available ₦${money.toNaira(net - vault)}`);
+
+    console.log('\n✅ TEST 4: Rounding Rules');
+    // 1.5% of ₦0.30 = 0.45 kobo
+    assert.strictEqual(money.applyRate(30, 150, 'halfUp'), 0);
+    assert.strictEqual(money.applyRate(30, 150, 'ceil'), 1);
+    // 5% of ₦0.10 = 0.5 kobo: half-up rounds up, half-even rounds to 0
+    assert.strictEqual(money.applyRate(10, 500, 'halfUp'), 1);
+    assert.strictEqual(money.applyRate(10, 500, 'halfEven'), 0);
+    // Withholding never rounds up
+    assert.strictEqual(money.applyRate(999, 2000, money.ROUNDING.withholding), 199);
+    console.log('   floor / ceil / halfUp / halfEven behave as documented');
+
+    console.log('\n✅ TEST 5: Allocation Adds Up Exactly');
+    const shares = money.allocate(1000, 3);
+    assert.deepStrictEqual(shares, [334, 333, 333]);
+    assert.strictEqual(money.add(...shares), 1000);
+    console.log(`   ₦10 across 3: ${shares.map(money.toNaira).join(' + ')}`);
+
+    console.log('\n✅ TEST 6: Fee and Penalty Schedules');
+    // Default flat 1.5%, charged on what was collected: 2 of 3 paid into a ₦30,000 pot
+    assert.strictEqual(fees.feeFor(fees.DEFAULT_FEE_SCHEDULE, 2000000).total, 30000);
+    assert.strictEqual(fees.describeLine(fees.feeFor(fees.DEFAULT_FEE_SCHEDULE, 2000000).lines[0]), '1.50% of ₦20000.00');
+    // Tiered: 2% on the first ₦10,000, 1% above
+    const tiered = { type: 'Tiered', bands: [{ upTo: '10000', rateBps: 200 }, { upTo: null, rateBps: 100 }] };
+    const breakdown = fees.feeFor(tiered, 3000000);
+    assert.deepStrictEqual(breakdown.lines.map(l => l.amount), [20000, 20000]);
+    assert.strictEqual(breakdown.total, 40000);
+    assert.strictEqual(fees.describeLine(breakdown.lines[0]), '2.00% of ₦10000.00 (band ₦0.00-₦10000.00)');
+    assert.deepStrictEqual(fees.feeFor(tiered, 500000).lines.map(l => l.portion), [500000]);
+    // Waivers end on their date
+    const promo = { ...fees.DEFAULT_FEE_SCHEDULE, waiver: { reason: 'Launch', endsAt: new Date('2026-07-01') } };
+    assert.strictEqual(fees.feeFor(promo, 3000000, new Date('2026-06-30')).waived, true);
+    assert.strictEqual(fees.feeFor(promo, 3000000, new Date('2026-07-01')).total, 45000);
+    // Contributors split the pot's fee, rounded down
+    const split = { ...fees.DEFAULT_FEE_SCHEDULE, chargedTo: 'Contributors' };
+    assert.strictEqual(fees.contributorShare(split, 3000000, 7), 6428); // ₦450 / 7
+    assert.strictEqual(fees.contributorShare(fees.DEFAULT_FEE_SCHEDULE, 3000000, 7), 0);
+    // Penalties: rate plus fixed amount, capped
+    assert.strictEqual(fees.penaltyFor(fees.DEFAULT_PENALTY_SCHEDULE, 1000000), 50000);
+    assert.strictEqual(fees.penaltyFor({ rateBps: 300, fixed: '100', max: '250' }, 1000000), 25000);
+    console.log(`   Tiered fee on ₦30,000: ${breakdown.lines.map(fees.describeLine).join(' + ')} = ₦${money.toNaira(breakdown.total)}`);
+
+    console.log('\n🎉 ALL TESTS PASSED');
+  } catch (error) {
+    console.error('\n❌ TEST FAILED:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+runTests();
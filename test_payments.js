@@ -0,0 +1,80 @@
+const assert = require('assert');
+const FakeProvider = require('./services/payments/FakeProvider');
+const payments = require('./services/payments');
+const { isValidNuban, checkDigit } = require('./utils/nuban');
+
+// Offline checks for the provider adapter - no database or network needed
+async function runTests() {
+  try {
+    process.env.PAYMENT_WEBHOOK_SECRET = 'test_webhook_secret';
+    const provider = new FakeProvider();
+
+    console.log('✅ TEST 1: Signed Webhooks Verify');
+    const { rawBody, headers } = provider.signWebhook({ reference: 'fund_abc', amount: 2500000 });
+    assert.strictEqual(provider.verifyWebhook(Buffer.from(rawBody), headers), true);
+    console.log(`   Signature: ${headers['x-fake-signature'].slice(0, 16)}...`);
+
+    console.log('\n✅ TEST 2: Tampered or Unsigned Webhooks Are Rejected');
+    const tampered = rawBody.replace('2500000', '9900000');
+    assert.strictEqual(provider.verifyWebhook(Buffer.from(tampered), headers), false);
+    assert.strictEqual(provider.verifyWebhook(Buffer.from(rawBody), {}), false);
+    assert.strictEqual(provider.verifyWebhook(Buffer.from(rawBody), { 'x-fake-signature': 'abc' }), false);
+    console.log('   Changed amount and missing signature both fail');
+
+    console.log('\n✅ TEST 3: Webhooks Fail Closed');
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    assert.strictEqual(provider.verifyWebhook(Buffer.from(rawBody), headers), false);
+    assert.throws(() => provider.signWebhook({ reference: 'fund_abc', amount: 2500000 }), /PAYMENT_WEBHOOK_SECRET/);
+    process.env.PAYMENT_WEBHOOK_SECRET = 'test_webhook_secret';
+    process.env.NODE_ENV = 'production';
+    assert.strictEqual(provider.verifyWebhook(Buffer.from(rawBody), headers), false);
+    payments.setProvider(null);
+    assert.throws(() => payments.getProvider(), /cannot be used in production/);
+    delete process.env.NODE_ENV;
+    assert.strictEqual(payments.getProvider().name, 'fake');
+    console.log('   No secret or NODE_ENV=production: nothing verifies, and the fake provider is refused');
+
+    console.log('\n✅ TEST 4: Payload Normalisation');
+    const event = provider.parseWebhook(JSON.parse(rawBody));
+    assert.strictEqual(event.event, 'charge.success');
+    assert.strictEqual(event.reference, 'fund_abc');
+    assert.strictEqual(event.amount, 2500000);
+    assert.strictEqual(event.authorization.reusable, true);
+    assert.ok(event.authorization.expiresAt > new Date());
+    const failed = provider.parseWebhook(JSON.parse(provider.signWebhook({ reference: 'fund_abc', amount: 1, outcome: 'failed' }).rawBody));
+    assert.strictEqual(failed.event, 'charge.failed');
+    console.log(`   ${event.event} for ${event.reference}, card reusable until ${event.authorization.expiresAt.toISOString().slice(0, 10)}`);
+
+    console.log('\n✅ TEST 5: Checkout Points at the Local Stand-In');
+    const { authorizationUrl } = await provider.initializeFunding({ reference: 'fund_abc', amount: 2500000 });
+    assert.strictEqual(authorizationUrl, '/api/payments/fake/checkout/fund_abc');
+    console.log(`   ${authorizationUrl}`);
+
+    console.log('\n✅ TEST 6: NUBAN Checksum');
+    assert.strictEqual(checkDigit('011', '000001457'), 9); // CBN worked example
+    assert.strictEqual(isValidNuban('0000014579', '011'), true);
+    assert.strictEqual(isValidNuban('0000014578', '011'), false);
+    assert.strictEqual(isValidNuban(`123456789${checkDigit('090267', '123456789')}`, '090267'), true);
+    assert.strictEqual(isValidNuban('000001457', '011'), false); // 9 digits
+    assert.strictEqual(isValidNuban('0000014579', '11'), false); // Bad bank code
+    console.log('   0000014579 @ 011 valid; wrong check digit, short number and bad bank code rejected');
+
+    console.log('\n✅ TEST 7: Transfer Outcomes');
+    const queued = await provider.initiateTransfer({ bankAccount: { accountNumber: '0000014579' } });
+    assert.strictEqual(queued.status, 'pending');
+    const rejected = await provider.initiateTransfer({ bankAccount: { accountNumber: '1230000000' } });
+    assert.strictEqual(rejected.status, 'failed');
+    const reversal = provider.parseWebhook(JSON.parse(provider.signTransferWebhook({ reference: 'wd_1', amount: 500000, outcome: 'reversed' }).rawBody));
+    assert.strictEqual(reversal.event, 'transfer.reversed');
+    assert.ok(reversal.message);
+    console.log(`   Queued transfers wait for a webhook; ${reversal.event}: "${reversal.message}"`);
+
+    console.log('\n🎉 ALL TESTS PASSED');
+  } catch (error) {
+    console.error('\n❌ TEST FAILED:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+runTests();
@@ -0,0 +1,133 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const Circle = require('./models/Circles');
+const CycleManager = require('./services/CycleManager');
+const { CycleScheduler } = require('./services/CycleScheduler');
+const { DirectDebitService } = require('./services/DirectDebitService');
+const FakeProvider = require('./services/payments/FakeProvider');
+const { addPeriods } = require('./utils/schedule');
+const { Notifier } = require('./services/Notifier');
+
+// Offline cadence checks - a fake clock stands in for real time
+const fakeClock = (iso) => {
+  let current = new Date(iso);
+  return {
+    now: () => new Date(current),
+    advance: (ms) => { current = new Date(current.getTime() + ms); }
+  };
+};
+const DAY = 24 * 60 * 60 * 1000;
+const iso = (d) => d.toISOString().slice(0, 10);
+
+async function runTests() {
+  try {
+    console.log('✅ TEST 1: Daily / Weekly Cadence');
+    const start = new Date('2026-03-01T09:00:00Z');
+    assert.strictEqual(addPeriods(start, 'daily', 3).toISOString(), '2026-03-04T09:00:00.000Z');
+    assert.strictEqual(addPeriods(start, 'weekly', 2).toISOString(), '2026-03-15T09:00:00.000Z');
+    console.log(`   Daily +3: ${iso(addPeriods(start, 'daily', 3))}, Weekly +2: ${iso(addPeriods(start, 'weekly', 2))}`);
+
+    console.log('\n✅ TEST 2: Monthly Cadence Clamps Without Drifting');
+    const jan31 = new Date('2026-01-31T09:00:00Z');
+    assert.strictEqual(iso(addPeriods(jan31, 'monthly', 1)), '2026-02-28');
+    assert.strictEqual(iso(addPeriods(jan31, 'monthly', 2)), '2026-03-31');
+    assert.strictEqual(iso(addPeriods(jan31, 'monthly', 13)), '2027-02-28');
+    assert.strictEqual(iso(addPeriods(new Date('2027-12-15T00:00:00Z'), 'monthly', 1)), '2028-01-15');
+    console.log('   Jan 31 → Feb 28 → Mar 31 (anchored to start date)');
+
+    console.log('\n✅ TEST 3: Activation Sets the Calendar');
+    const clock = fakeClock('2026-03-01T09:00:00Z');
+    const circle = new Circle({
+      title: 'Market Women Weekly',
+      contributionAmount: '10000',
+      totalPot: '30000',
+      frequency: 'weekly',
+      payoutOrder: [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()]
+    });
+    CycleManager.activateCircle(circle, clock.now());
+    assert.strictEqual(circle.status, 'Active');
+    assert.strictEqual(iso(circle.nextPayoutDate), '2026-03-08');
+    assert.strictEqual(iso(circle.expectedEndDate), '2026-03-22');
+    console.log(`   Start ${iso(circle.startDate)}, first payout ${iso(circle.nextPayoutDate)}, ends ${iso(circle.expectedEndDate)}`);
+
+    console.log('\n✅ TEST 4: Due Detection Follows the Injected Clock');
+    const scheduler = new CycleScheduler({ clock });
+    assert.strictEqual(scheduler.isDue(circle), false);
+    clock.advance(6 * DAY);
+    assert.strictEqual(scheduler.isDue(circle), false);
+    clock.advance(1 * DAY);
+    assert.strictEqual(scheduler.isDue(circle), true);
+    circle.status = 'Paused';
+    assert.strictEqual(scheduler.isDue(circle), false);
+    console.log('   Not due on day 6, due on day 7, never due while Paused');
+
+    console.log('\n✅ TEST 5: Direct Debit Backoff and Provider Outcomes');
+    const debits = new DirectDebitService({ provider: new FakeProvider(), retryBaseMs: 60 * 60 * 1000 });
+    assert.deepStrictEqual([1, 2, 3].map(n => debits.backoffMs(n) / 3600000), [1, 2, 4]);
+    const provider = debits.provider;
+    assert.strictEqual((await provider.chargeAuthorization({ authorization: 'AUTH_ok', amount: 1000000 })).status, 'success');
+    const insufficient = await provider.chargeAuthorization({ authorization: 'fake_insufficient_1', amount: 1000000 });
+    assert.strictEqual(insufficient.retryable, true);
+    const declined = await provider.chargeAuthorization({ authorization: 'fake_decline_1', amount: 1000000 });
+    assert.strictEqual(declined.retryable, false);
+    provider.queueOutcomes('AUTH_flaky', ['failed', 'success']);
+    assert.strictEqual((await provider.chargeAuthorization({ authorization: 'AUTH_flaky', amount: 1 })).status, 'failed');
+    assert.strictEqual((await provider.chargeAuthorization({ authorization: 'AUTH_flaky', amount: 1 })).status, 'success');
+    console.log('   Retries wait 1h, 2h, 4h; declines are final, insufficient funds retry');
+
+    console.log('\n✅ TEST 6: Pause Freezes the Calendar, Resume Shifts It');
+    const paused = new Circle({
+      title: 'Pause Test', contributionAmount: '5000', totalPot: '15000', frequency: 'weekly',
+      payoutOrder: [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()]
+    });
+    const opened = new Date('2026-05-01T09:00:00Z');
+    CycleManager.activateCircle(paused, opened);
+    paused.currentTurn = 1; // first payout made
+    assert.throws(() => CycleManager.resumeCircle(paused), /Only Paused/);
+    CycleManager.pauseCircle(paused, 'Dispute between members', new Date(opened.getTime() + 10 * DAY));
+    assert.strictEqual(paused.status, 'Paused');
+    assert.strictEqual(new CycleScheduler().isDue(paused, new Date(opened.getTime() + 30 * DAY)), false);
+    CycleManager.resumeCircle(paused, new Date(opened.getTime() + 13 * DAY));
+    assert.strictEqual(paused.status, 'Active');
+    assert.strictEqual(paused.pausedAt, undefined);
+    assert.strictEqual(iso(paused.nextPayoutDate), '2026-05-18'); // 2 weeks after the shifted start
+    assert.strictEqual(iso(paused.expectedEndDate), '2026-05-25');
+    console.log(`   Paused 3 days: next payout ${iso(paused.nextPayoutDate)}, ends ${iso(paused.expectedEndDate)}`);
+
+    console.log('\n✅ TEST 7: Grace Period Accepts Late Contributions With a Fee');
+    const graceful = new Circle({
+      title: 'Grace Test', contributionAmount: '10000', totalPot: '30000', frequency: 'weekly',
+      gracePeriodHours: 48, lateFeeBps: 200, status: 'Active', nextPayoutDate: new Date('2026-06-01T09:00:00Z')
+    });
+    const beforeDue = new Date('2026-06-01T08:00:00Z');
+    const inGrace = new Date('2026-06-02T09:00:00Z');
+    const afterGrace = new Date('2026-06-03T09:00:00Z');
+    assert.deepStrictEqual(CycleManager.amountDue(graceful, beforeDue), { contribution: 1000000, lateFee: 0, fee: 0, total: 1000000 });
+    assert.deepStrictEqual(CycleManager.amountDue(graceful, inGrace), { contribution: 1000000, lateFee: 20000, fee: 0, total: 1020000 });
+    assert.strictEqual(graceful.inGracePeriod(beforeDue), false);
+    assert.strictEqual(graceful.inGracePeriod(inGrace), true);
+    assert.strictEqual(graceful.inGracePeriod(afterGrace), false);
+    CycleManager.startGracePeriod(graceful);
+    assert.strictEqual(graceful.graceEndsAt.toISOString(), '2026-06-03T09:00:00.000Z');
+    const strictCircle = new Circle({ title: 'No Grace', contributionAmount: '10000', totalPot: '30000', frequency: 'weekly', nextPayoutDate: beforeDue });
+    assert.strictEqual(CycleManager.amountDue(strictCircle, inGrace).lateFee, 0); // no grace, no late payments
+    console.log(`   ₦200 late fee until ${graceful.graceEndsAt.toISOString()}; circles without grace charge none`);
+
+    const sent = [];
+    const notifier = new Notifier({ transport: async (message) => { sent.push(message); } });
+    await notifier.lateContribution('user-1', { circleId: graceful._id, title: graceful.title, contribution: 1000000, lateFee: 20000, graceEndsAt: graceful.graceEndsAt });
+    assert.strictEqual(sent[0].type, 'LateContribution');
+    assert.strictEqual(sent[0].data.amountDue, 10200);
+    const broken = new Notifier({ transport: async () => { throw new Error('SMS gateway down'); } });
+    assert.strictEqual(await broken.send('user-1', 'Test', 'hello'), false); // never throws
+    console.log(`   Reminder: "${sent[0].message}"`);
+
+    console.log('\n🎉 ALL TESTS PASSED');
+  } catch (error) {
+    console.error('\n❌ TEST FAILED:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+runTests();
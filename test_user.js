@@ -1,6 +1,23 @@
+const assert = require('assert');
 const mongoose = require('mongoose');
-const { MongoMemoryServer } = require('mongodb-memory-server');
 const User = require('./models/user_schema');
+const Transaction = require('./models/Transaction');
+const BackstopReserve = require('./models/BackstopReserve');
+const BackstopLoan = require('./models/BackstopLoan');
+const DebtService = require('./services/DebtService');
+const BackstopService = require('./services/BackstopService');
+const TrustEngine = require('./services/TrustEngine');
+const CycleManager = require('./services/CycleManager');
+const Withdrawal = require('./models/Withdrawal');
+const IdempotencyKey = require('./models/IdempotencyKey');
+const Circle = require('./models/Circles');
+const CycleRecord = require('./models/CycleRecord');
+const { WithdrawalService } = require('./services/WithdrawalService');
+const SettlementService = require('./services/SettlementService');
+const { runInTransaction } = require('./utils/transaction');
+const { seededShuffle, applyAmendments } = require('./utils/payoutOrder');
+const { startDatabase, startApi, createMember, formCircle, playRound, setReserve, naira } = require('./test_helpers');
+const money = require('./utils/money');
 
 // Helpers
 const toKobo = (amount) => mongoose.Types.Decimal128.fromString(amount.toString());
@@ -10,9 +27,9 @@ const toNaira = (decimal) => decimal ? parseFloat(decimal.toString()) : 0;
 // Replace the old uniqueId function with this:
 const uniqueId = () => Math.floor(10000000000 + Math.random() * 90000000000).toString();
 async function runTests() {
-  // Start in-memory DB
-  const mongoServer = await MongoMemoryServer.create();
-  await mongoose.connect(mongoServer.getUri());
+  // Start in-memory DB (a one-node replica set: money flows run in transactions)
+  const stopDatabase = await startDatabase();
+  const api = await startApi();
   console.log('🗄️  Test DB connected\n');
 
   try {
@@ -34,7 +51,7 @@ async function runTests() {
     console.log(`   User created: ${user.fullName}, Tier: ${user.userTier}, Status: ${user.status}`);
 
     console.log('\n✅ TEST 2: Triple-Ledger (Available → Vault)');
-    await user.escrowToVault(20000);
+    await user.escrowToVault(money.toKobo(20000));
     console.log(`   Available: ₦${toNaira(user.wallet.availableBalance)}`);
     console.log(`   Vault: ₦${toNaira(user.wallet.vaultBalance)}`);
 
@@ -42,7 +59,7 @@ async function runTests() {
     console.log(`   Net Worth: ₦${user.netWorth}`); // Should be 50k (30k avail + 20k vault - 0 debt)
 
     console.log('\n✅ TEST 4: Debt Default + 5% Penalty');
-    await user.applyDefaultPenalty(1000000); // Miss a payment → 5% debt
+    await user.applyDefaultPenalty(money.toKobo(1000000)); // Miss a payment → 5% debt
     console.log(`   Debt Balance: ₦${toNaira(user.wallet.debtBalance)} (₦1m + %5 penalty)`);
     console.log(`   Trust Score: ${user.trustScore} (dropped from 400)`);
 
@@ -61,7 +78,7 @@ async function runTests() {
     });
     
     // Add ₦20k default → triggers blacklist at ₦510k+
-    await riskyUser.applyDefaultPenalty(20000);
+    await riskyUser.applyDefaultPenalty(money.toKobo(20000));
     console.log(`   Status: ${riskyUser.status}`);
     console.log(`   Blacklist Reason: ${riskyUser.blacklistReason}`);
     console.log(`   Can join circles? ${riskyUser.canJoinCircle().allowed}`);
@@ -78,14 +95,278 @@ async function runTests() {
     const check = bronzeUser.canJoinCircle();
     console.log(`   Bronze tier limit: ${check.allowed ? 'PASS' : 'BLOCKED'} - ${check.reason}`);
 
+    console.log('\n✅ TEST 7: Login Credentials (Password + OTP)');
+    bronzeUser.setPassword('correct-horse');
+    const code = bronzeUser.issueOtp();
+    await bronzeUser.save();
+    const loginUser = await User.findById(bronzeUser._id)
+      .select('+passwordHash +otp.codeHash +otp.expiresAt +otp.attempts');
+    console.log(`   Password accepted: ${loginUser.verifyPassword('correct-horse')}, wrong password rejected: ${!loginUser.verifyPassword('wrong-horse')}`);
+    console.log(`   OTP accepted: ${loginUser.verifyOtp(code)}, OTP reuse rejected: ${!loginUser.verifyOtp(code)}`);
+    console.log(`   Hash hidden from JSON: ${!('passwordHash' in loginUser.toJSON())}`);
+
+    console.log('\n✅ TEST 8: Wallet Journal');
+    const entries = await Transaction.find({ user: user._id }).sort({ createdAt: 1 });
+    entries.forEach(t => console.log(`   ${t.eventType}: ${t.direction} ${t.leg} ₦${toNaira(t.amount)} (counterparty: ${t.counterparty.kind})`));
+    // Expect: Contribution debit/credit pair, then DefaultPrincipal + DefaultPenalty on Debt
+    try {
+      await Transaction.updateOne({ _id: entries[0]._id }, { memo: 'tampered' });
+      console.log('   Journal edit allowed: FAIL');
+    } catch (err) {
+      console.log(`   Journal edit rejected: ${err.message}`);
+    }
+
+    console.log('\n✅ TEST 9: Debt Repayment Settles Backstop Loans');
+    const borrower = await User.create({
+      fullName: 'Borrower',
+      bvn: uniqueId(),
+      nin: uniqueId(),
+      phoneNumber: '+2348055544433',
+      wallet: { availableBalance: toKobo(10500) }
+    });
+    await borrower.applyDefaultPenalty(money.toKobo(10000)); // ₦10,000 + ₦500 penalty
+    const reserve = await BackstopReserve.create({ balance: toKobo(0) });
+    await BackstopLoan.create({ amount: toKobo(10000), penalty: toKobo(500), defaultedUser: borrower._id });
+    const first = await DebtService.repay(borrower, money.toKobo(10300));
+    console.log(`   Paid ₦10,300: principal ₦${money.toNaira(first.principal)}, penalty ₦${money.toNaira(first.penalty)}, loans recovered: ${first.loansRecovered}`);
+    const second = await DebtService.repay(borrower, money.toKobo(200));
+    const settled = await BackstopReserve.findById(reserve._id);
+    console.log(`   Paid ₦200: loans recovered: ${second.loansRecovered}, remaining debt ₦${money.toNaira(second.remainingDebt)}`);
+    console.log(`   Reserve balance ₦${toNaira(settled.balance)} (recovered ₦${toNaira(settled.totalRecovered)} + penalty income ₦${toNaira(settled.penaltyIncome)})`);
+    const report = await BackstopService.summary();
+    console.log(`   Dashboard: ${report.loans.count} loan(s), ${report.loans.outstandingCount} outstanding, principal recovery rate ${report.recoveryRate.principal}`);
+
+    console.log('\n✅ TEST 10: Trust Score Explained by Its Events');
+    const story = await TrustEngine.explain(borrower);
+    console.log(`   Score ${story.score} = baseline ${story.baseline} + ${story.factors.map(f => `${f.type} ×${f.count} (${f.currentImpact})`).join(', ')}`);
+    console.log(`   Latest: ${story.history[0].type} → ${story.history[0].scoreAfter} (${story.history[0].tierAfter})`);
+    const halfLife = new TrustEngine.TrustEngine({ halfLifeDays: 180 });
+    const yearAgo = { type: 'Default', points: -50, occurredAt: new Date(Date.now() - 360 * 24 * 60 * 60 * 1000) };
+    console.log(`   A default from 360 days ago now weighs ${Math.round(halfLife.impact(yearAgo))} (half-life 180 days)`);
+
+    console.log('\n✅ TEST 11: Unsubmitted Withdrawals Are Retried, Then Released');
+    const saver = await User.create({
+      fullName: 'Saver',
+      bvn: uniqueId(),
+      nin: uniqueId(),
+      phoneNumber: '+2348066655544',
+      wallet: { availableBalance: toKobo(20000) },
+      bankAccounts: [{ bankCode: '011', accountNumber: '0000014579', accountName: 'Saver' }]
+    });
+    let outage = true;
+    const flaky = {
+      name: 'fake',
+      initiateTransfer: async () => {
+        if (outage) throw new Error('connect ECONNREFUSED');
+        return { status: 'pending', providerReference: 'fake_trf_retry', message: 'Transfer queued' };
+      }
+    };
+    const t0 = new Date();
+    const withdrawals = new WithdrawalService({ provider: flaky, clock: { now: () => t0 }, maxSubmitAttempts: 3, retryAfterMs: 60 * 1000 });
+    const stuck = await withdrawals.requestWithdrawal(saver._id, { amount: money.toKobo(5000), bankAccountId: saver.bankAccounts[0]._id });
+    assert.strictEqual(stuck.status, 'Pending');
+    assert.strictEqual(stuck.submitAttempts, 1);
+    assert.strictEqual((await withdrawals.resubmitPending(new Date(t0.getTime() + 30 * 1000))).length, 0); // Too soon
+    const [retried] = await withdrawals.resubmitPending(new Date(t0.getTime() + 60 * 1000));
+    assert.strictEqual(retried.status, 'Pending');
+    assert.strictEqual(retried.submitAttempts, 2);
+    assert.strictEqual(retried.lastSubmitError, 'connect ECONNREFUSED');
+    const [failed] = await withdrawals.resubmitPending(new Date(t0.getTime() + 2 * 60 * 1000));
+    assert.strictEqual(failed.status, 'Failed');
+    const released = await User.findById(saver._id);
+    assert.strictEqual(money.toKobo(released.wallet.availableBalance), money.toKobo(20000));
+    assert.strictEqual(money.toKobo(released.wallet.reservedBalance), 0);
+    console.log(`   3 attempts → ${failed.status}: "${failed.failureReason}"; ₦${toNaira(released.wallet.availableBalance)} available again`);
+
+    outage = false;
+    const resumed = await withdrawals.requestWithdrawal(saver._id, { amount: money.toKobo(5000), bankAccountId: saver.bankAccounts[0]._id });
+    assert.strictEqual(resumed.status, 'Processing');
+    assert.strictEqual((await Withdrawal.countDocuments({ user: saver._id, status: 'Pending' })), 0);
+    console.log(`   Provider back: next withdrawal goes straight to ${resumed.status}`);
+
+    console.log('\n✅ TEST 12: Leaving Before Your Turn Refunds Contributions Minus the Fee');
+    const host = await createMember('Host', 100000);
+    const ada = await createMember('Ada', 100000);
+    const bayo = await createMember('Bayo', 100000);
+    const exitCircle = await formCircle(host, [ada, bayo]);
+    await playRound(exitCircle, [host, ada, bayo]); // Host is paid first
+    await runInTransaction(session => CycleManager.processContribution(exitCircle._id, bayo._id, session));
+    await setReserve(50000);
+    const exitReport = await runInTransaction(session =>
+      SettlementService.exit(exitCircle._id, bayo._id, { mode: 'refund', reason: 'Relocating' }, session)
+    );
+    const [exitLine] = exitReport.lines;
+    assert.deepStrictEqual(
+      [exitLine.paidIn, exitLine.received, exitLine.escrowRefunded, exitLine.refundFromReserve, exitLine.exitFee],
+      [10000, 0, 10000, 10000, 1000] // 5% of the ₦20,000 refunded
+    );
+    const bayoAfter = await User.findById(bayo._id);
+    assert.strictEqual(naira(bayoAfter.wallet.availableBalance), 99000);
+    assert.strictEqual(naira(bayoAfter.wallet.vaultBalance), 0);
+    assert.strictEqual(naira((await BackstopReserve.findOne()).balance), 50000 - 10000 + 1000);
+    const shrunk = await Circle.findById(exitCircle._id);
+    assert.deepStrictEqual(shrunk.payoutOrder.map(String), [host._id, ada._id].map(String));
+    assert.deepStrictEqual(shrunk.payoutOrderAmendments.map(a => [a.kind, a.slot, String(a.user)]), [['Removed', 2, String(bayo._id)]]);
+    assert.strictEqual(naira(shrunk.totalPot), 20000);
+    console.log(`   Bayo got back ₦${exitLine.escrowRefunded + exitLine.refundFromReserve - exitLine.exitFee}; the rotation is now ${shrunk.payoutOrder.length} slots`);
+
+    console.log('\n✅ TEST 13: A Replacement Inherits the Slot and the Draw Stays Verifiable');
+    const chair = await createMember('Chair', 100000);
+    const cy = await createMember('Cy', 100000);
+    const dee = await createMember('Dee', 100000);
+    const eve = await createMember('Eve', 50000);
+    const drawCircle = await formCircle(chair, [cy, dee], { payoutStrategy: 'RandomDraw' });
+    await playRound(drawCircle, [chair, cy, dee]);
+    let drawn = await Circle.findById(drawCircle._id);
+    const slot = drawn.payoutOrder.findIndex((id, i) => i >= drawn.currentTurn && !id.equals(chair._id));
+    const leaver = [cy, dee].find(u => u._id.equals(drawn.payoutOrder[slot]));
+    await runInTransaction(session => CycleManager.processContribution(drawCircle._id, leaver._id, session));
+    await runInTransaction(session =>
+      SettlementService.exit(drawCircle._id, leaver._id, { mode: 'replacement', nominee: eve._id }, session)
+    );
+    const takeover = await runInTransaction(session => SettlementService.replaceMember(drawCircle._id, leaver._id, eve._id, {}, session));
+    assert.strictEqual(takeover.lines[0].buyIn, 10000);
+    drawn = await Circle.findById(drawCircle._id);
+    assert.ok(drawn.payoutOrder[slot].equals(eve._id));
+    const inherited = drawn.members.find(m => m.user.equals(eve._id));
+    assert.strictEqual(inherited.totalContributionsMade, 1);
+    assert.strictEqual(inherited.paymentStatus, 'Paid');
+    assert.deepStrictEqual(
+      seededShuffle(drawn.payoutDraw.candidates.map(String), drawn.payoutDraw.seed),
+      drawn.payoutDraw.order.map(String)
+    );
+    assert.deepStrictEqual(applyAmendments(drawn.payoutDraw.order, drawn.payoutOrderAmendments), drawn.payoutOrder.map(String));
+    assert.strictEqual(naira((await User.findById(leaver._id)).wallet.availableBalance), 100000);
+    assert.strictEqual(naira((await User.findById(eve._id)).wallet.availableBalance), 30000);
+    console.log(`   Eve paid ₦${takeover.lines[0].buyIn} + this round's ₦10000 for slot ${slot}; the draw and its amendments both verify`);
+
+    console.log('\n✅ TEST 14: Dissolution Rolls Back When the Reserve Is Short');
+    const lead = await createMember('Lead', 100000);
+    const fola = await createMember('Fola', 100000);
+    const gbenga = await createMember('Gbenga', 100000);
+    const doomed = await formCircle(lead, [fola, gbenga]);
+    await playRound(doomed, [lead, fola, gbenga]); // Lead takes ₦30,000 having paid ₦10,000
+    await setReserve(0);
+    const balances = async () => (await User.find({ _id: { $in: [lead._id, fola._id, gbenga._id] } }).sort({ _id: 1 }))
+      .map(u => [u.wallet.availableBalance, u.wallet.vaultBalance, u.wallet.debtBalance].map(naira));
+    const balancesBefore = await balances();
+    await assert.rejects(
+      runInTransaction(session => SettlementService.dissolveCircle(doomed._id, { by: lead._id }, session)),
+      /Backstop insufficient/
+    );
+    const untouched = await Circle.findById(doomed._id);
+    assert.strictEqual(untouched.status, 'Active');
+    assert.strictEqual(untouched.settlements.length, 0);
+    assert.strictEqual(await BackstopLoan.countDocuments({ circle: doomed._id, kind: 'SettlementObligation' }), 0);
+    assert.deepStrictEqual(await balances(), balancesBefore);
+
+    await setReserve(50000);
+    const dissolution = await runInTransaction(session => SettlementService.dissolveCircle(doomed._id, { by: lead._id }, session));
+    const lineOf = (user) => dissolution.lines.find(l => String(l.user) === String(user._id));
+    const leadLine = lineOf(lead);
+    assert.strictEqual(leadLine.withheldApplied + leadLine.obligationCharged, 20000);
+    assert.ok(leadLine.obligationCharged > 0);
+    for (const member of [fola, gbenga]) {
+      const line = lineOf(member);
+      assert.strictEqual(line.refundFromCircle + line.refundFromReserve, 10000);
+    }
+    assert.strictEqual(dissolution.totals.refundFromCircle, leadLine.withheldApplied);
+    assert.strictEqual(await BackstopLoan.countDocuments({ circle: doomed._id, kind: 'SettlementObligation' }), 1);
+    assert.strictEqual((await Circle.findById(doomed._id)).status, 'Dissolved');
+    console.log(`   Short reserve: nothing changed. Funded: Lead owes ₦${leadLine.obligationCharged}, the reserve paid ₦${dissolution.totals.refundFromReserve}`);
+
+    console.log('\n✅ TEST 15: A Payout That Fails Midway Leaves Nothing Behind');
+    const payee = await createMember('Payee', 100000);
+    const payer = await createMember('Payer', 100000);
+    const skipper = await createMember('Skipper', 100000);
+    const failing = await formCircle(payee, [payer, skipper]);
+    for (const member of [payee, payer]) {
+      await runInTransaction(session => CycleManager.processContribution(failing._id, member._id, session));
+    }
+    await setReserve(50000);
+    // A record already holding round 0 makes the payout's last write fail
+    const blocker = await CycleRecord.collection.insertOne({ circle: failing._id, round: 0 });
+    const standing = async () => (await User.find({ _id: { $in: [payee._id, payer._id, skipper._id] } }).sort({ _id: 1 }))
+      .map(u => [u.wallet.availableBalance, u.wallet.vaultBalance, u.wallet.debtBalance].map(naira));
+    const standingBefore = await standing();
+
+    await assert.rejects(runInTransaction(session => CycleManager.processCirclePayout(failing._id, session)), /duplicate key/);
+    const unpaid = await Circle.findById(failing._id);
+    assert.deepStrictEqual([unpaid.currentTurn, unpaid.payoutsMade], [0, 0]);
+    assert.deepStrictEqual(unpaid.members.map(m => m.paymentStatus), ['Paid', 'Paid', 'Pending']);
+    assert.deepStrictEqual(await standing(), standingBefore);
+    assert.strictEqual(naira((await BackstopReserve.findOne()).balance), 50000);
+    assert.strictEqual(await BackstopLoan.countDocuments({ circle: failing._id }), 0);
+    assert.strictEqual(await Transaction.countDocuments({ circle: failing._id, eventType: 'Payout' }), 0);
+
+    await CycleRecord.collection.deleteOne({ _id: blocker.insertedId });
+    await runInTransaction(session => CycleManager.processCirclePayout(failing._id, session));
+    assert.strictEqual((await Circle.findById(failing._id)).currentTurn, 1);
+    assert.strictEqual(await BackstopLoan.countDocuments({ circle: failing._id, defaultedUser: skipper._id }), 1);
+    console.log('   Failed payout: no credit, no debt, no loan, turn unchanged; the retry pays out once');
+
+    console.log('\n✅ TEST 16: Idempotency Keys Replay, Refuse and Release');
+    const keyHost = await createMember('Key Host');
+    const keyMember = await createMember('Key Member', 100000);
+    const keyed = await formCircle(keyHost, [keyMember]);
+    const contribute = (user, key, circleId = keyed._id) =>
+      api.request(user, 'POST', '/circles/contribute', { circleId }, { 'Idempotency-Key': key });
+
+    const original = await contribute(keyMember, 'contribute-1');
+    assert.deepStrictEqual([original.status, original.body], [200, { success: true, amount: 10000 }]);
+    const replayed = await contribute(keyMember, 'contribute-1');
+    assert.deepStrictEqual([replayed.status, replayed.body], [200, original.body]);
+    assert.strictEqual(replayed.headers.get('idempotent-replayed'), 'true');
+    const keyWallet = (await User.findById(keyMember._id)).wallet;
+    assert.deepStrictEqual([keyWallet.availableBalance, keyWallet.vaultBalance].map(naira), [90000, 10000]); // debited once
+
+    const mismatch = await contribute(keyMember, 'contribute-1', exitCircle._id);
+    assert.deepStrictEqual([mismatch.status, mismatch.body.code], [422, 'IDEMPOTENCY_KEY_MISMATCH']);
+
+    // The same key while its first request is still running...
+    const claimOf = { user: keyMember._id, key: 'contribute-1' };
+    await IdempotencyKey.updateOne(claimOf, { status: 'InProgress', lockedAt: new Date() });
+    const inFlight = await contribute(keyMember, 'contribute-1');
+    assert.deepStrictEqual([inFlight.status, inFlight.body.code], [409, 'IDEMPOTENCY_IN_PROGRESS']);
+    // ...and once that request has gone quiet for too long: the retry runs
+    await IdempotencyKey.updateOne(claimOf, { lockedAt: new Date(Date.now() - 10 * 60 * 1000) });
+    const takenOver = await contribute(keyMember, 'contribute-1');
+    assert.deepStrictEqual([takenOver.status, takenOver.body.error], [400, 'Already paid this cycle']);
+    assert.strictEqual(takenOver.headers.get('idempotent-replayed'), null);
+    assert.strictEqual(await IdempotencyKey.countDocuments(claimOf), 0); // errors release the key
+
+    const broke = await contribute(keyHost, 'host-1');
+    assert.deepStrictEqual([broke.status, broke.body.error], [400, 'Insufficient available balance']);
+    assert.strictEqual(await IdempotencyKey.countDocuments({ user: keyHost._id }), 0);
+    console.log('   Replayed once, 422 for another body, 409 while running, taken over when stale, released on error');
+
+    console.log('\n✅ TEST 17: Roles Guard Organizer and Admin Operations');
+    for (const [path, body] of [['/circles/payout', { circleId: keyed._id }], ['/circles/default', { circleId: keyed._id, userId: keyHost._id }]]) {
+      const denied = await api.request(keyMember, 'POST', path, body);
+      assert.deepStrictEqual([denied.status, denied.body.code], [403, 'FORBIDDEN']);
+    }
+    const outsider = await api.request(payer, 'GET', `/circles/${keyed._id}/cycles`);
+    assert.strictEqual(outsider.status, 403); // members only
+    const reset = await api.request(keyHost, 'POST', '/reset');
+    assert.deepStrictEqual([reset.status, reset.body.code], [403, 'FORBIDDEN']);
+    assert.strictEqual(await User.exists({ _id: keyMember._id }) !== null, true);
+    assert.strictEqual((await Circle.findById(keyed._id)).currentTurn, 0);
+
+    const admin = await createMember('Platform Admin', 0, { role: 'Admin' });
+    const adminPayout = await api.request(admin, 'POST', '/circles/payout', { circleId: keyed._id });
+    assert.strictEqual(adminPayout.status, 200);
+    assert.strictEqual((await Circle.findById(keyed._id)).currentTurn, 1);
+    console.log('   Members and organizers are refused admin and organizer routes; an Admin can pay out any circle');
+
     console.log('\n🎉 ALL TESTS PASSED');
 
   } catch (error) {
     console.error('\n❌ TEST FAILED:', error.message);
     console.error(error.stack);
+    process.exitCode = 1;
   } finally {
-    await mongoose.disconnect();
-    await mongoServer.stop();
+    await api.stop();
+    await stopDatabase();
     console.log('\n🔌 Disconnected');
   }
 }
@@ -0,0 +1,120 @@
+const money = require('./money');
+
+/**
+ * Fee and Penalty Schedules
+ * Every circle carries its own schedules, copied from the platform
+ * defaults (or set by an Admin) when it is created, so later changes never
+ * reprice a running circle.
+ *
+ * Fee schedule: { type, rateBps, bands, chargedTo, waiver }
+ * - Flat: rateBps of the whole amount.
+ * - Tiered: marginal bands [{ upTo, rateBps }], each rate applying to the
+ *   part of the amount inside its band, like tax brackets. The last band
+ *   has no upTo.
+ * - chargedTo Recipient: deducted from the payout, on what was actually
+ *   collected (never on the share the backstop covered).
+ *   chargedTo Contributors: the pot's fee is split equally and each member
+ *   pays their share with their contribution (rounded down to the kobo).
+ * - waiver: { reason, endsAt } waives the fee until endsAt (for ever
+ *   without one), e.g. for promotional circles.
+ *
+ * Penalty schedule: { rateBps, fixed, max } - rateBps of the missed
+ * contribution plus a fixed amount, capped at max when set.
+ *
+ * Amounts in schedules are Naira (as stored); results are kobo.
+ */
+
+const FEE_TYPES = ['Flat', 'Tiered'];
+const FEE_PAYERS = ['Recipient', 'Contributors'];
+
+const DEFAULT_FEE_SCHEDULE = Object.freeze({ type: 'Flat', rateBps: 150, bands: [], chargedTo: 'Recipient' });
+const DEFAULT_PENALTY_SCHEDULE = Object.freeze({ rateBps: 500, fixed: 0, max: null });
+
+const isWaived = (schedule, now = new Date()) => Boolean(
+  schedule.waiver && schedule.waiver.reason && (!schedule.waiver.endsAt || now < schedule.waiver.endsAt)
+);
+
+/**
+ * Fee on `base` kobo at `now`, with the amount charged in each band
+ * @returns {{ base, total, waived, waiverReason, lines: Array<{ from, upTo, rateBps, portion, amount }> }}
+ */
+const feeFor = (schedule, base, now = new Date()) => {
+  if (isWaived(schedule, now)) {
+    return { base, total: 0, waived: true, waiverReason: schedule.waiver.reason, lines: [] };
+  }
+
+  const bands = schedule.type === 'Tiered'
+    ? schedule.bands.map(b => ({ upTo: b.upTo === null || b.upTo === undefined ? null : money.toKobo(b.upTo), rateBps: b.rateBps }))
+    : [{ upTo: null, rateBps: schedule.rateBps }];
+
+  const lines = [];
+  let from = 0;
+  for (const { upTo, rateBps } of bands) {
+    if (from >= base) break;
+    const portion = money.subtract(upTo === null ? base : Math.min(base, upTo), from);
+    lines.push({ from, upTo, rateBps, portion, amount: money.applyRate(portion, rateBps, money.ROUNDING.fee) });
+    if (upTo === null) break;
+    from = upTo;
+  }
+
+  return { base, total: money.add(0, ...lines.map(l => l.amount)), waived: false, lines };
+};
+
+/**
+ * Each contributor's share of the fee on a full pot (Contributors schedules)
+ */
+const contributorShare = (schedule, pot, members, now = new Date()) => {
+  if (schedule.chargedTo !== 'Contributors' || !members) return 0;
+  return Math.floor(feeFor(schedule, pot, now).total / members);
+};
+
+/**
+ * Penalty on a missed contribution of `base` kobo
+ */
+const penaltyFor = (schedule, base) => {
+  const penalty = money.add(money.applyRate(base, schedule.rateBps, money.ROUNDING.penalty), money.toKobo(schedule.fixed));
+  if (schedule.max === null || schedule.max === undefined) return penalty;
+  return Math.min(penalty, money.toKobo(schedule.max));
+};
+
+/**
+ * Journal memo for one band of a fee, e.g. "2.00% of ₦10000.00 (band ₦0.00-₦10000.00)"
+ */
+const describeLine = ({ from, upTo, rateBps, portion }) => {
+  const charge = `${(rateBps / 100).toFixed(2)}% of ₦${money.toDecimalString(portion)}`;
+  if (upTo === null && from === 0) return charge;
+  const band = upTo === null
+    ? `above ₦${money.toDecimalString(from)}`
+    : `₦${money.toDecimalString(from)}-₦${money.toDecimalString(upTo)}`;
+  return `${charge} (band ${band})`;
+};
+
+/**
+ * Fee result in Naira, for API responses
+ */
+const presentFee = ({ base, total, waived, waiverReason, lines }) => ({
+  base: money.toNaira(base),
+  total: money.toNaira(total),
+  waived,
+  waiverReason,
+  bands: lines.map(l => ({
+    from: money.toNaira(l.from),
+    upTo: l.upTo === null ? null : money.toNaira(l.upTo),
+    rateBps: l.rateBps,
+    portion: money.toNaira(l.portion),
+    amount: money.toNaira(l.amount)
+  }))
+});
+
+module.exports = {
+  FEE_TYPES,
+  FEE_PAYERS,
+  DEFAULT_FEE_SCHEDULE,
+  DEFAULT_PENALTY_SCHEDULE,
+  isWaived,
+  feeFor,
+  contributorShare,
+  penaltyFor,
+  describeLine,
+  presentFee
+};
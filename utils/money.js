@@ -0,0 +1,171 @@
+const { Decimal128 } = require('mongoose').Types;
+
+/**
+ * Money Arithmetic (Integer Kobo)
+ *
+ * Balances are stored as Decimal128 Naira with two decimal places, but all
+ * arithmetic happens on integer kobo (₦1 = 100 kobo) so fees, penalties and
+ * withholding never pick up floating-point artifacts. Percentages are given
+ * in basis points (1 bp = 0.01%, so 1.5% = 150 bps) and every percentage
+ * calculation names its rounding rule explicitly.
+ *
+ * Convert at the edges only:
+ *   Decimal128 / request input -> toKobo / parseAmount -> arithmetic -> fromKobo / toNaira
+ */
+
+const KOBO_PER_NAIRA = 100;
+const BPS_DENOMINATOR = 10000n;
+
+/**
+ * Rounding rules for each kind of percentage charge
+ * - fee: half-up to the nearest kobo (₦0.005 rounds to ₦0.01)
+ * - penalty: half-up, same as fees
+ * - withholding: floor - never lock more than the tier rate; the leftover
+ *   kobo stays available to the recipient
+ */
+const ROUNDING = {
+  fee: 'halfUp',
+  penalty: 'halfUp',
+  withholding: 'floor'
+};
+
+const AMOUNT_PATTERN = /^(-)?(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Convert a Naira value (Decimal128, string or number) to integer kobo
+ * Stored values with more than two decimals (legacy float artifacts) are
+ * rounded half-up to the nearest kobo.
+ */
+const toKobo = (value) => {
+  if (value === null || value === undefined) return 0;
+
+  const str = value.toString().trim();
+  const match = AMOUNT_PATTERN.exec(str);
+  if (!match) throw new Error(`Invalid money amount: ${str}`);
+
+  const [, sign, whole, frac = ''] = match;
+  let kobo = BigInt(whole) * BigInt(KOBO_PER_NAIRA) + BigInt((frac + '00').slice(0, 2));
+  if (frac.length > 2 && frac[2] >= '5') kobo += 1n;
+
+  const result = Number(sign ? -kobo : kobo);
+  if (!Number.isSafeInteger(result)) throw new Error(`Money amount out of range: ${str}`);
+  return result;
+};
+
+/**
+ * Strictly parse a Naira amount supplied by a client
+ * Rejects anything that is not a positive number with at most two decimals.
+ */
+const parseAmount = (input, { allowZero = false } = {}) => {
+  const str = input === null || input === undefined ? '' : input.toString().trim();
+  const match = AMOUNT_PATTERN.exec(str);
+
+  if (!match || match[1] || (match[3] && match[3].length > 2)) {
+    throw new Error('Amount must be a positive Naira value with at most two decimal places');
+  }
+
+  const kobo = toKobo(str);
+  if (kobo === 0 && !allowZero) throw new Error('Amount must be greater than zero');
+  return kobo;
+};
+
+/**
+ * Format integer kobo as a fixed two-decimal Naira string ("1234.50")
+ */
+const toDecimalString = (kobo) => {
+  assertKobo(kobo);
+  const abs = Math.abs(kobo);
+  const naira = Math.floor(abs / KOBO_PER_NAIRA);
+  const rest = (abs % KOBO_PER_NAIRA).toString().padStart(2, '0');
+  return `${kobo < 0 ? '-' : ''}${naira}.${rest}`;
+};
+
+// Integer kobo -> Decimal128 Naira for storage
+const fromKobo = (kobo) => Decimal128.fromString(toDecimalString(kobo));
+
+// Integer kobo -> Naira number for API responses and logs
+const toNaira = (kobo) => Number(toDecimalString(kobo));
+
+// Sum any number of kobo amounts
+const add = (...amounts) => amounts.reduce((sum, kobo) => {
+  assertKobo(kobo);
+  return sum + kobo;
+}, 0);
+
+const subtract = (a, b) => {
+  assertKobo(a);
+  assertKobo(b);
+  return a - b;
+};
+
+/**
+ * Apply a basis-point rate to a kobo amount with an explicit rounding mode
+ * e.g. applyRate(3000000, 150, ROUNDING.fee) -> 45000 (1.5% of ₦30,000 = ₦450)
+ *
+ * @param {Number} kobo - Non-negative integer amount
+ * @param {Number} bps - Rate in basis points
+ * @param {String} rounding - 'floor' | 'ceil' | 'halfUp' | 'halfEven'
+ */
+const applyRate = (kobo, bps, rounding) => {
+  assertKobo(kobo);
+  if (kobo < 0) throw new Error('Cannot apply a rate to a negative amount');
+  if (!Number.isInteger(bps) || bps < 0) throw new Error(`Invalid rate: ${bps} bps`);
+
+  const product = BigInt(kobo) * BigInt(bps);
+  const quotient = product / BPS_DENOMINATOR;
+  const remainder = product % BPS_DENOMINATOR;
+  const twice = remainder * 2n;
+
+  let result;
+  switch (rounding) {
+    case 'floor':
+      result = quotient;
+      break;
+    case 'ceil':
+      result = remainder > 0n ? quotient + 1n : quotient;
+      break;
+    case 'halfUp':
+      result = twice >= BPS_DENOMINATOR ? quotient + 1n : quotient;
+      break;
+    case 'halfEven':
+      result = twice > BPS_DENOMINATOR || (twice === BPS_DENOMINATOR && quotient % 2n === 1n)
+        ? quotient + 1n
+        : quotient;
+      break;
+    default:
+      throw new Error(`Unknown rounding mode: ${rounding}`);
+  }
+
+  return Number(result);
+};
+
+/**
+ * Split an amount into `parts` integer shares that add back up exactly
+ * The leftover kobo go one each to the first shares.
+ */
+const allocate = (kobo, parts) => {
+  assertKobo(kobo);
+  if (!Number.isInteger(parts) || parts <= 0) throw new Error('Allocation needs at least one part');
+
+  const base = Math.floor(kobo / parts);
+  const leftover = kobo - base * parts;
+  return Array.from({ length: parts }, (_, i) => base + (i < leftover ? 1 : 0));
+};
+
+function assertKobo(kobo) {
+  if (!Number.isSafeInteger(kobo)) throw new Error(`Expected an integer kobo amount, got ${kobo}`);
+}
+
+module.exports = {
+  KOBO_PER_NAIRA,
+  ROUNDING,
+  toKobo,
+  parseAmount,
+  fromKobo,
+  toNaira,
+  toDecimalString,
+  add,
+  subtract,
+  applyRate,
+  allocate
+};
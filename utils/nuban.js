@@ -0,0 +1,34 @@
+/**
+ * NUBAN (Nigeria Uniform Bank Account Number) Validation
+ * A NUBAN is 10 digits: a 9-digit serial plus a check digit computed from
+ * the bank code and serial (CBN algorithm, weights 3-7-3 repeating).
+ *
+ * Bank codes are 3 digits for deposit money banks ("058") or 6 digits for
+ * other financial institutions ("090267"); 3-digit codes are prefixed with
+ * "000" so every check runs over 15 digits.
+ */
+
+const WEIGHTS = [3, 7, 3, 3, 7, 3, 3, 7, 3, 3, 7, 3, 3, 7, 3];
+
+const isValidBankCode = (bankCode) => /^(\d{3}|\d{6})$/.test(String(bankCode || ''));
+
+/**
+ * Check digit for a bank code and 9-digit serial
+ */
+const checkDigit = (bankCode, serial) => {
+  const digits = `${String(bankCode).padStart(6, '0')}${serial}`;
+  const sum = WEIGHTS.reduce((total, weight, i) => total + weight * Number(digits[i]), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Whether accountNumber is a well-formed NUBAN for bankCode
+ * Format only: it cannot tell whether the account actually exists.
+ */
+const isValidNuban = (accountNumber, bankCode) => {
+  const account = String(accountNumber || '');
+  if (!/^\d{10}$/.test(account) || !isValidBankCode(bankCode)) return false;
+  return checkDigit(bankCode, account.slice(0, 9)) === Number(account[9]);
+};
+
+module.exports = { isValidBankCode, checkDigit, isValidNuban };
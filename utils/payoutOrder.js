@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+/**
+ * Payout Order Strategies
+ * How a circle's payoutOrder is fixed when it becomes Active:
+ * - JoinOrder:          first to join is paid first (the original behaviour)
+ * - RandomDraw:         seeded shuffle; seed and candidates are stored so
+ *                       anyone can replay the draw and check the result
+ * - OrganizerAssigned:  the organizer's list; unlisted members follow in join order
+ * - TrustScore:         highest trust score first
+ * - Bidding:            highest bid (discount given up from the payout) first
+ *
+ * Ties always fall back to join order, so every strategy is deterministic.
+ */
+
+const PAYOUT_STRATEGIES = ['JoinOrder', 'RandomDraw', 'OrganizerAssigned', 'TrustScore', 'Bidding'];
+const DRAW_ALGORITHM = 'sha256-fisher-yates-v1';
+
+const newSeed = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Deterministic uniform integer in [0, max) from the seed and step number
+ * Rejection sampling over 32-bit words avoids modulo bias.
+ */
+const drawIndex = (seed, step, max) => {
+  const limit = Math.floor(0x100000000 / max) * max;
+  for (let counter = 0; ; counter++) {
+    const word = crypto.createHash('sha256').update(`${seed}:${step}:${counter}`).digest().readUInt32BE(0);
+    if (word < limit) return word % max;
+  }
+};
+
+/**
+ * Fisher-Yates shuffle driven by the seed (same seed + input = same output)
+ */
+const seededShuffle = (items, seed) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = drawIndex(seed, i, i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Order members for payout
+ *
+ * @param {String} strategy - One of PAYOUT_STRATEGIES
+ * @param {Array} members - [{ userId, joinedAt, trustScore, bid }] in join order; bid in kobo
+ * @param {Object} options - { seed } for RandomDraw, { assignedOrder } for OrganizerAssigned
+ * @returns {Array} userIds (strings) in payout order
+ */
+const orderMembers = (strategy, members, { seed, assignedOrder = [] } = {}) => {
+  const ids = members.map(m => m.userId.toString());
+  const byJoinThen = (key) => [...members]
+    .map((m, index) => ({ m, index }))
+    .sort((a, b) => (b.m[key] || 0) - (a.m[key] || 0) || a.index - b.index)
+    .map(({ m }) => m.userId.toString());
+
+  switch (strategy) {
+    case 'JoinOrder':
+      return ids;
+    case 'RandomDraw':
+      if (!seed) throw new Error('RandomDraw needs a seed');
+      return seededShuffle(ids, seed);
+    case 'OrganizerAssigned': {
+      const assigned = assignedOrder.map(String).filter(id => ids.includes(id));
+      return [...new Set(assigned), ...ids.filter(id => !assigned.includes(id))];
+    }
+    case 'TrustScore':
+      return byJoinThen('trustScore');
+    case 'Bidding':
+      return byJoinThen('bid');
+    default:
+      throw new Error(`Unknown payout strategy: ${strategy}`);
+  }
+};
+
+/**
+ * Replay amendments (members removed or replaced after the start) over an order
+ * Each amendment must name the user who held its slot at the time.
+ *
+ * @returns {Array|null} userIds (strings) in payout order, or null if an amendment doesn't fit
+ */
+const applyAmendments = (order, amendments = []) => {
+  const result = order.map(String);
+  for (const { kind, slot, user, replacement } of amendments) {
+    if (result[slot] !== String(user)) return null;
+    if (kind === 'Removed') result.splice(slot, 1);
+    if (kind === 'Replaced') result[slot] = String(replacement);
+  }
+  return result;
+};
+
+module.exports = { PAYOUT_STRATEGIES, DRAW_ALGORITHM, newSeed, seededShuffle, orderMembers, applyAmendments };
@@ -0,0 +1,41 @@
+/**
+ * Cadence Date Math
+ * Payout dates are always computed from the circle's startDate
+ * (start + n periods) rather than by stepping from the previous date, so
+ * monthly circles that start on the 31st don't drift to the 28th forever.
+ * All calculations are in UTC.
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysInMonthUTC = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Date that is `n` periods after `start`
+ * Monthly steps clamp to the last day of shorter months (Jan 31 -> Feb 28).
+ */
+const addPeriods = (start, frequency, n) => {
+  const date = new Date(start);
+
+  switch (frequency) {
+    case 'daily':
+      return new Date(date.getTime() + n * DAY_MS);
+    case 'weekly':
+      return new Date(date.getTime() + n * 7 * DAY_MS);
+    case 'monthly': {
+      const totalMonths = date.getUTCMonth() + n;
+      const year = date.getUTCFullYear() + Math.floor(totalMonths / 12);
+      const month = ((totalMonths % 12) + 12) % 12;
+      const day = Math.min(date.getUTCDate(), daysInMonthUTC(year, month));
+
+      const result = new Date(date);
+      result.setUTCFullYear(year, month, day);
+      return result;
+    }
+    default:
+      throw new Error(`Unknown frequency: ${frequency}`);
+  }
+};
+
+module.exports = { FREQUENCIES, addPeriods };
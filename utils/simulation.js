@@ -0,0 +1,122 @@
+/**
+ * Simulation Helpers
+ * Pure pieces of the backstop stress test (services/SimulationService):
+ * a seeded random source, weighted choices, percentile summaries and the
+ * CSV writer. Amounts are kobo unless a name says otherwise.
+ */
+
+/**
+ * Seeded uniform random numbers in [0, 1) (mulberry32)
+ * The same seed always gives the same run, so a worrying result can be
+ * replayed. Not for anything security-related.
+ */
+const seededRandom = (seed) => {
+  let state = typeof seed === 'number'
+    ? seed >>> 0
+    : [...String(seed)].reduce((h, c) => Math.imul(h ^ c.charCodeAt(0), 16777619) >>> 0, 2166136261);
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Pick a key of `weights` ({ Bronze: 0.5, Silver: 0.3, ... }) in proportion to its weight
+ */
+const weightedPick = (weights, random) => {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  if (!entries.length) throw new Error('At least one weight must be positive');
+
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = random() * total;
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+};
+
+/**
+ * Whole number in [min, max]
+ */
+const between = ([min, max], random) => min + Math.floor(random() * (max - min + 1));
+
+/**
+ * Linear-interpolated percentile of an ascending array (p in 0-100)
+ */
+const percentile = (sorted, p) => {
+  if (!sorted.length) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+};
+
+/**
+ * Mean, min, max and 5th/50th/95th percentiles of a list of numbers
+ * `scale` converts each figure (e.g. kobo -> naira); nulls are ignored.
+ */
+const describe = (values, scale = (v) => v) => {
+  const sorted = values.filter(v => v !== null && v !== undefined).sort((a, b) => a - b);
+  if (!sorted.length) return { count: 0, mean: null, min: null, p5: null, p50: null, p95: null, max: null };
+
+  const round = (v) => Math.round(scale(v) * 10000) / 10000;
+  return {
+    count: sorted.length,
+    mean: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    min: round(sorted[0]),
+    p5: round(percentile(sorted, 5)),
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    max: round(sorted[sorted.length - 1])
+  };
+};
+
+/**
+ * Reserve balance across trials, day by day
+ * Each trial gives { balances: [kobo per day], firstDryDay }; a trial that
+ * ended early keeps its last balance. `dryProbability` is the share of
+ * trials whose reserve had failed to cover a payout by that day.
+ *
+ * @returns {Array<{ day, mean, min, p5, p50, p95, max, dryProbability }>} naira
+ */
+const trajectory = (trials, { everyDays = 7, toNaira }) => {
+  const days = Math.max(0, ...trials.map(t => t.balances.length - 1));
+  const rows = [];
+
+  for (let day = 0; day <= days; day += everyDays) {
+    const balances = trials.map(t => t.balances[Math.min(day, t.balances.length - 1)]);
+    const dry = trials.filter(t => t.firstDryDay !== null && t.firstDryDay <= day).length;
+    const { mean, min, p5, p50, p95, max } = describe(balances, toNaira);
+    rows.push({ day, mean, min, p5, p50, p95, max, dryProbability: trials.length ? dry / trials.length : 0 });
+  }
+  return rows;
+};
+
+/**
+ * Rows of flat objects as CSV, columns from the first row
+ */
+const toCsv = (rows) => {
+  if (!rows.length) return '';
+  const columns = Object.keys(rows[0]);
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(c => cell(row[c])).join(','))].join('\n') + '\n';
+};
+
+module.exports = {
+  seededRandom,
+  weightedPick,
+  between,
+  percentile,
+  describe,
+  trajectory,
+  toCsv
+};
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * MongoDB Transaction Runner
+ * Runs `work(session)` inside a multi-document transaction so a money flow
+ * either commits completely or leaves nothing behind.
+ *
+ * - TransientTransactionError (write conflicts, primary step-downs): the
+ *   whole unit of work is re-run from the start, up to `maxAttempts` times.
+ *   `work` must therefore load every document it touches through the
+ *   session it is given, never reuse documents loaded outside it.
+ * - UnknownTransactionCommitResult: only the commit is retried.
+ *
+ * Requires a replica set (MongoDB Atlas, or MongoMemoryReplSet in tests).
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+const hasLabel = (err, label) =>
+  Boolean(err && typeof err.hasErrorLabel === 'function' && err.hasErrorLabel(label));
+
+async function commitWithRetry(session, maxAttempts) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await session.commitTransaction();
+      return;
+    } catch (err) {
+      if (hasLabel(err, 'UnknownTransactionCommitResult') && attempt < maxAttempts) continue;
+      throw err;
+    }
+  }
+}
+
+async function runInTransaction(work, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  const session = await mongoose.startSession();
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      session.startTransaction({
+        readConcern: { level: 'snapshot' },
+        writeConcern: { w: 'majority' }
+      });
+
+      try {
+        const result = await work(session);
+        await commitWithRetry(session, maxAttempts);
+        return result;
+      } catch (err) {
+        if (session.inTransaction()) await session.abortTransaction();
+
+        if (hasLabel(err, 'TransientTransactionError') && attempt < maxAttempts) {
+          console.warn(`[TXN] Transient error, retrying (attempt ${attempt + 1}/${maxAttempts}): ${err.message}`);
+          continue;
+        }
+        throw err;
+      }
+    }
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = { runInTransaction };